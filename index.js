@@ -3,6 +3,9 @@ require('dotenv').config();
 const logger = require('./src/utils/logger');
 const { initializeDatabase } = require('./src/database/db');
 const { startBot } = require('./src/bot');
+const { startPredictionWorker } = require('./src/ml/predictionService');
+const { loadLigandCatalogue } = require('./src/utils/ligandUtils');
+const { purgeExpiredStates } = require('./src/utils/conversationState');
 
 // Async function to initialize everything
 async function initialize() {
@@ -13,10 +16,23 @@ async function initialize() {
     await initializeDatabase();
     logger.info('Database initialized successfully');
     
+    // Ligand types accepted by the bot come from the catalogue in the database
+    await loadLigandCatalogue();
+    logger.info('Ligand catalogue loaded successfully');
+    
+    // Unfinished dialogs survive restarts, the ones that expired in the meantime are dropped
+    await purgeExpiredStates();
+    
     // Start the Telegram bot
     await startBot();
     logger.info('Bot started successfully');
     
+    // Load the models in the background: loading can take minutes and must not hold up the
+    // other commands; prediction commands report the models as not loaded until it is done
+    startPredictionWorker()
+      .then(() => logger.info('Prediction worker started successfully'))
+      .catch(error => logger.error(`Prediction worker failed to start: ${error.message}`));
+    
     logger.info('NanoPredictBot is now running!');
   } catch (error) {
     logger.error(`Initialization failed: ${error.message}`);
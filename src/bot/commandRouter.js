@@ -0,0 +1,100 @@
+const logger = require('../utils/logger');
+const { PERMISSIONS, checkAccess } = require('./middlewares/authMiddleware');
+const { isPredictionWorkerReady } = require('../ml/predictionService');
+
+// Shown for commands that need the models while the prediction worker is loading them or is down
+const MODELS_NOT_READY_MESSAGE = '⏳ Модели прогнозирования еще не загружены. Пожалуйста, попробуйте через несколько минут.';
+
+/**
+ * Routing of the bot commands declared in commands.js. Every command declares its
+ * pattern, the permission it requires, how its arguments are read from the pattern match
+ * and its help text; access control, the Telegram command menu and /help are built from them.
+ * Permissions are checked for the sender (msg.from.id), which differs from the chat in groups.
+ */
+
+// Commands passed to registerCommands, in help order
+let registeredCommands = [];
+
+/**
+ * Format command arguments for the log
+ * @param {Object} args - Parsed arguments
+ * @returns {string} - " with arguments: {...}" or an empty string
+ */
+function formatArgsForLog(args) {
+  const entries = Object.entries(args).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return entries.length === 0 ? '' : ` with arguments: ${JSON.stringify(Object.fromEntries(entries))}`;
+}
+
+/**
+ * Register the commands with the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Array<Object>} commands - Command declarations:
+ *   { name, pattern, permission, requiresModels, parseArgs(match), handler(bot, msg, args), usage, description, menu }
+ */
+function registerCommands(bot, commands) {
+  for (const command of commands) {
+    if (!Object.values(PERMISSIONS).includes(command.permission)) {
+      throw new Error(`Command ${command.name}: unknown permission ${command.permission}`);
+    }
+
+    if (commands.filter(other => other.name === command.name).length > 1) {
+      throw new Error(`Command ${command.name} is declared twice`);
+    }
+  }
+
+  for (const command of commands) {
+    bot.onText(command.pattern, async (msg, match) => {
+      const userId = msg.from.id.toString();
+
+      try {
+        const args = command.parseArgs ? command.parseArgs(match) : {};
+        logger.info(`/${command.name} command received from ${userId}${formatArgsForLog(args)}`);
+
+        const access = await checkAccess(userId, command.permission);
+        if (!access.allowed) {
+          logger.warn(`User ${userId} (role: ${access.role || 'none'}) has no access to /${command.name}`);
+          await bot.sendMessage(msg.chat.id, access.message);
+          return;
+        }
+
+        if (command.requiresModels && !isPredictionWorkerReady()) {
+          logger.warn(`/${command.name} from ${userId} refused: prediction models are not loaded`);
+          await bot.sendMessage(msg.chat.id, MODELS_NOT_READY_MESSAGE);
+          return;
+        }
+
+        await command.handler(bot, msg, args);
+      } catch (error) {
+        logger.error(`Error handling /${command.name} command: ${error.message}`);
+      }
+    });
+  }
+
+  registeredCommands = commands;
+}
+
+/**
+ * Get the registered commands
+ * @param {string} [permission] - Only the commands that require this permission
+ * @returns {Array<Object>} - Command declarations in help order
+ */
+function getCommands(permission) {
+  return permission ? registeredCommands.filter(command => command.permission === permission) : registeredCommands;
+}
+
+/**
+ * Get the command menu for setMyCommands
+ * @returns {Array<Object>} - { command, description }
+ */
+function getMenuCommands() {
+  return registeredCommands
+    .filter(command => command.menu)
+    .map(command => ({ command: command.name, description: command.description }));
+}
+
+module.exports = {
+  MODELS_NOT_READY_MESSAGE,
+  registerCommands,
+  getCommands,
+  getMenuCommands
+};
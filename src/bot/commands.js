@@ -0,0 +1,374 @@
+const userHandler = require('./handlers/userHandler');
+const predictionHandler = require('./handlers/predictionHandler');
+const experimentHandler = require('./handlers/experimentHandler');
+const adminHandler = require('./handlers/adminHandler');
+const dataHandler = require('./handlers/dataHandler');
+const helpHandler = require('./handlers/helpHandler');
+const batchHandler = require('./handlers/batchHandler');
+const designHandler = require('./handlers/designHandler');
+const explainHandler = require('./handlers/explainHandler');
+const ligandHandler = require('./handlers/ligandHandler');
+const { PERMISSIONS } = require('./middlewares/authMiddleware');
+
+/**
+ * Command registry, in the order of /help. Each command declares:
+ * - name: command name (/help <name>, the Telegram menu)
+ * - pattern: regular expression matched against messages
+ * - permission: permission required to run it (PERMISSIONS, granted to roles in authMiddleware.js)
+ * - requiresModels: refused while the prediction models are not loaded
+ * - parseArgs: reads the arguments from the pattern match
+ * - handler: (bot, msg, args)
+ * - usage, description: help text
+ * - menu: whether the command is in the Telegram command menu
+ */
+const COMMANDS = [
+  // Basic commands
+  {
+    name: 'start',
+    pattern: /\/start/,
+    permission: PERMISSIONS.PUBLIC,
+    handler: (bot, msg) => userHandler.handleStart(bot, msg),
+    usage: '/start',
+    description: 'Начать работу с ботом',
+    menu: true
+  },
+  {
+    name: 'predict',
+    pattern: /\/predict(?:@\w+)?(?:\s+(step))?$/,
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    parseArgs: match => ({ stepByStep: Boolean(match[1]) }),
+    handler: (bot, msg, { stepByStep }) => stepByStep ?
+      predictionHandler.startWizard(bot, msg) :
+      predictionHandler.startPrediction(bot, msg),
+    usage: '/predict [step]',
+    description: 'Сделать прогноз параметров наночастиц (step - пошаговый ввод)',
+    menu: true
+  },
+  {
+    name: 'predict_batch',
+    pattern: /\/predict_batch/,
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    handler: (bot, msg) => batchHandler.startBatchPrediction(bot, msg),
+    usage: '/predict_batch',
+    description: 'Пакетный прогноз по файлу CSV/XLSX',
+    menu: true
+  },
+  {
+    name: 'design',
+    pattern: /\/design(?:\s+(.+))?/,
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    parseArgs: match => ({ query: match[1] ? match[1].trim() : '' }),
+    handler: (bot, msg, { query }) => designHandler.handleDesign(bot, msg, query),
+    usage: '/design условия',
+    description: 'Подобрать параметры синтеза под целевой размер и PdI',
+    menu: true
+  },
+
+  // Experiment commands
+  {
+    name: 'add_result',
+    pattern: /\/add_result (.+)/,
+    permission: PERMISSIONS.ADD_RESULTS,
+    parseArgs: match => ({ experimentId: match[1] }),
+    handler: (bot, msg, { experimentId }) => experimentHandler.startAddResult(bot, msg, experimentId),
+    usage: '/add_result ID',
+    description: 'Добавить фактические результаты эксперимента',
+    menu: true
+  },
+  {
+    name: 'history',
+    pattern: /\/history(?:\s+(\d+))?/,
+    permission: PERMISSIONS.VIEW_HISTORY,
+    parseArgs: match => ({ limit: match[1] ? parseInt(match[1]) : null }),
+    handler: (bot, msg, { limit }) => experimentHandler.showHistory(bot, msg, limit),
+    usage: '/history [N]',
+    description: 'Просмотреть историю экспериментов (опционально: N последних)',
+    menu: true
+  },
+  {
+    name: 'repredict',
+    pattern: /\/repredict(?:\s+(\S+))?/,
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    parseArgs: match => ({ scope: match[1] || null }),
+    handler: (bot, msg, { scope }) => experimentHandler.repredictExperiments(bot, msg, scope),
+    usage: '/repredict all|ID',
+    description: 'Пересчитать прошлые эксперименты текущими моделями',
+    menu: true
+  },
+  {
+    name: 'approve',
+    pattern: /\/approve(?:\s+(\S+))?/,
+    permission: PERMISSIONS.APPROVE_RESULTS,
+    parseArgs: match => ({ experimentId: match[1] || null }),
+    handler: (bot, msg, { experimentId }) => experimentHandler.approveResults(bot, msg, experimentId),
+    usage: '/approve ID',
+    description: 'Подтвердить фактические результаты эксперимента (руководитель лаборатории)'
+  },
+
+  // Data visualization commands
+  {
+    name: 'plot',
+    // The optional property name (e.g. zeta) comes before the experiment ID, which may start with a letter
+    pattern: /\/plot(?:\s+(\w+))?(?:\s+([a-zA-Z]\w*)(?![\w-]))?(?:\s+([a-f0-9-]+))?/,
+    permission: PERMISSIONS.VIEW_HISTORY,
+    parseArgs: match => ({ parameter: match[1], property: match[2], referenceExperimentId: match[3] }),
+    handler: (bot, msg, { parameter, property, referenceExperimentId }) =>
+      dataHandler.generatePlot(bot, msg, parameter, referenceExperimentId, property),
+    usage: '/plot параметр [свойство] [ID]',
+    description: 'Построить график зависимости от параметра',
+    menu: true
+  },
+  {
+    name: 'sweep',
+    pattern: /\/sweep(?:\s+(\w+)\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+([a-f0-9-]+))?)?/,
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    parseArgs: ([, parameter, from, to, steps, baseExperimentId]) => ({ parameter, from, to, steps, baseExperimentId }),
+    handler: (bot, msg, { parameter, from, to, steps, baseExperimentId }) =>
+      dataHandler.generateSweepPlot(bot, msg, parameter, from, to, steps, baseExperimentId),
+    usage: '/sweep параметр от до шагов [ID]',
+    description: 'Прогноз зависимости от одного параметра',
+    menu: true
+  },
+  {
+    name: 'explain',
+    pattern: /\/explain(?:\s+(\S+))?/,
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    parseArgs: match => ({ experimentId: match[1] || null }),
+    handler: (bot, msg, { experimentId }) => explainHandler.handleExplain(bot, msg, experimentId),
+    usage: '/explain ID',
+    description: 'Какие параметры сильнее всего влияют на прогноз эксперимента',
+    menu: true
+  },
+  {
+    name: 'plot_correlation',
+    pattern: /\/plot_correlation/,
+    permission: PERMISSIONS.VIEW_HISTORY,
+    handler: (bot, msg) => dataHandler.generateCorrelationPlot(bot, msg),
+    usage: '/plot_correlation',
+    description: 'Построить тепловую карту корреляции параметров'
+  },
+  {
+    name: 'export_csv',
+    pattern: /\/export_csv/,
+    permission: PERMISSIONS.VIEW_HISTORY,
+    handler: (bot, msg) => dataHandler.exportToCsv(bot, msg),
+    usage: '/export_csv',
+    description: 'Экспортировать данные в CSV-файл',
+    menu: true
+  },
+  {
+    name: 'feedback',
+    pattern: /\/feedback (.+)/,
+    permission: PERMISSIONS.PUBLIC,
+    parseArgs: match => ({ feedbackText: match[1] }),
+    handler: (bot, msg, { feedbackText }) => userHandler.handleFeedback(bot, msg, feedbackText),
+    usage: '/feedback текст',
+    description: 'Отправить обратную связь разработчикам',
+    menu: true
+  },
+  {
+    name: 'cancel',
+    pattern: /\/cancel/,
+    permission: PERMISSIONS.PUBLIC,
+    handler: (bot, msg) => userHandler.handleCancel(bot, msg),
+    usage: '/cancel',
+    description: 'Отменить незавершенные действия (ввод параметров, добавление результатов и т.д.)',
+    menu: true
+  },
+  {
+    name: 'help',
+    pattern: /\/help(.*)/,
+    permission: PERMISSIONS.PUBLIC,
+    parseArgs: match => ({ command: match[1].trim() }),
+    handler: (bot, msg, { command }) => helpHandler.handleHelp(bot, msg, command),
+    usage: '/help [команда]',
+    description: 'Показать справку (опционально: по конкретной команде)',
+    menu: true
+  },
+
+  // Admin commands
+  {
+    name: 'admin user add',
+    pattern: /\/admin\s+user\s+add\s+(\d+)\s+(.+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ targetTelegramId: match[1], name: match[2] }),
+    handler: (bot, msg, { targetTelegramId, name }) => adminHandler.addUserToWhitelist(bot, msg, targetTelegramId, name),
+    usage: '/admin user add ID имя',
+    description: 'Добавить пользователя в белый список'
+  },
+  {
+    name: 'admin user remove',
+    pattern: /\/admin\s+user\s+remove\s+(\d+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ targetTelegramId: match[1] }),
+    handler: (bot, msg, { targetTelegramId }) => adminHandler.removeUserFromWhitelist(bot, msg, targetTelegramId),
+    usage: '/admin user remove ID',
+    description: 'Удалить пользователя из белого списка'
+  },
+  {
+    name: 'admin user list',
+    pattern: /\/admin\s+user\s+list/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => adminHandler.listWhitelistedUsers(bot, msg),
+    usage: '/admin user list',
+    description: 'Вывести список пользователей в белом списке'
+  },
+  {
+    name: 'admin user role',
+    pattern: /\/admin\s+user\s+role(?:\s+(\d+)\s+(\S+))?/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ targetTelegramId: match[1], role: match[2] }),
+    handler: (bot, msg, { targetTelegramId, role }) => adminHandler.setUserRole(bot, msg, targetTelegramId, role),
+    usage: '/admin user role ID роль',
+    description: 'Назначить роль пользователю: viewer, researcher, lab_manager или admin'
+  },
+  {
+    name: 'admin model list',
+    pattern: /\/admin\s+model\s+list/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => adminHandler.listModels(bot, msg),
+    usage: '/admin model list',
+    description: 'Вывести список моделей прогнозирования'
+  },
+  {
+    name: 'admin model reload',
+    pattern: /\/admin\s+model\s+reload\s+(\S+)\s+(\S+)(?:\s+(\S+))?/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ sizeModelPath: match[1], pdiModelPath: match[2], trainingDataPath: match[3] }),
+    handler: (bot, msg, { sizeModelPath, pdiModelPath, trainingDataPath }) =>
+      adminHandler.reloadModels(bot, msg, sizeModelPath, pdiModelPath, trainingDataPath),
+    usage: '/admin model reload путь_к_size_model путь_к_pdi_model [путь_к_обучающим_данным]',
+    description: 'Загрузить новые модели'
+  },
+  {
+    name: 'admin model health',
+    pattern: /\/admin\s+model\s+health/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => adminHandler.showModelHealth(bot, msg),
+    usage: '/admin model health',
+    description: 'Проверить состояние процесса прогнозирования'
+  },
+  {
+    name: 'admin model activate',
+    pattern: /\/admin\s+model\s+activate\s+(\d+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ modelId: match[1] }),
+    handler: (bot, msg, { modelId }) => adminHandler.activateModelVersion(bot, msg, modelId),
+    usage: '/admin model activate ID',
+    description: 'Сделать активной указанную версию модели размера или PdI'
+  },
+  {
+    name: 'admin model rollback',
+    pattern: /\/admin\s+model\s+rollback(?:\s+(\w+))?/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ target: match[1] }),
+    handler: (bot, msg, { target }) => adminHandler.rollbackModelVersions(bot, msg, target),
+    usage: '/admin model rollback [свойство]',
+    description: 'Вернуть предыдущие активные версии моделей'
+  },
+  {
+    name: 'admin model evaluate',
+    pattern: /\/admin\s+model\s+evaluate(?:\s+(\d+))?/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ modelId: match[1] }),
+    handler: (bot, msg, { modelId }) => adminHandler.evaluateModels(bot, msg, modelId),
+    usage: '/admin model evaluate [ID]',
+    description: 'Оценить модели по экспериментам с фактическими результатами (MAE, RMSE, R², MAPE и график прогноз/факт)'
+  },
+  {
+    name: 'admin model compare',
+    pattern: /\/admin\s+model\s+compare\s+(\d+)\s+(\d+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ firstModelId: match[1], secondModelId: match[2] }),
+    handler: (bot, msg, { firstModelId, secondModelId }) => adminHandler.compareModels(bot, msg, firstModelId, secondModelId),
+    usage: '/admin model compare ID1 ID2',
+    description: 'Сравнить две модели на одних данных (можно приложить CSV/XLSX с параметрами, указав команду в подписи)'
+  },
+  {
+    name: 'admin model retrain',
+    pattern: /\/admin\s+model\s+retrain/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => adminHandler.startRetraining(bot, msg),
+    usage: '/admin model retrain',
+    description: 'Переобучить модели на экспериментах с фактическими результатами (новые модели регистрируются неактивными)'
+  },
+  {
+    name: 'admin ligand list',
+    pattern: /\/admin\s+ligand\s+list/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => ligandHandler.listLigandCatalogue(bot, msg),
+    usage: '/admin ligand list',
+    description: 'Вывести каталог лигандов'
+  },
+  {
+    name: 'admin ligand add',
+    pattern: /\/admin\s+ligand\s+add\s+(\S+)\s+(.+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ key: match[1], name: match[2] }),
+    handler: (bot, msg, { key, name }) => ligandHandler.addLigandToCatalogue(bot, msg, key, name),
+    usage: '/admin ligand add ключ название',
+    description: 'Добавить лиганд в каталог'
+  },
+  {
+    name: 'admin ligand rename',
+    pattern: /\/admin\s+ligand\s+rename\s+(\d+)\s+(.+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ code: match[1], name: match[2] }),
+    handler: (bot, msg, { code, name }) => ligandHandler.renameLigandInCatalogue(bot, msg, code, name),
+    usage: '/admin ligand rename код название',
+    description: 'Переименовать лиганд'
+  },
+  {
+    name: 'admin ligand retire',
+    pattern: /\/admin\s+ligand\s+retire\s+(\d+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ code: match[1] }),
+    handler: (bot, msg, { code }) => ligandHandler.retireLigandFromCatalogue(bot, msg, code),
+    usage: '/admin ligand retire код',
+    description: 'Вывести лиганд из употребления'
+  },
+  {
+    name: 'admin backup create',
+    pattern: /\/admin\s+backup\s+create/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => adminHandler.createBackup(bot, msg),
+    usage: '/admin backup create',
+    description: 'Создать резервную копию базы данных'
+  },
+  {
+    name: 'admin backup list',
+    pattern: /\/admin\s+backup\s+list/,
+    permission: PERMISSIONS.ADMIN,
+    handler: (bot, msg) => adminHandler.listBackups(bot, msg),
+    usage: '/admin backup list',
+    description: 'Вывести список резервных копий'
+  },
+  {
+    name: 'admin backup restore',
+    pattern: /\/admin\s+backup\s+restore\s+([a-f0-9-]+)/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ backupId: match[1] }),
+    handler: (bot, msg, { backupId }) => adminHandler.restoreBackup(bot, msg, backupId),
+    usage: '/admin backup restore ID',
+    description: 'Восстановить БД из резервной копии'
+  },
+  {
+    name: 'admin logs',
+    pattern: /\/admin\s+logs\s+(\w+)(?:\s+(\d+))?/,
+    permission: PERMISSIONS.ADMIN,
+    parseArgs: match => ({ level: match[1], limit: match[2] ? parseInt(match[2]) : 10 }),
+    handler: (bot, msg, { level, limit }) => adminHandler.showLogs(bot, msg, level, limit),
+    usage: '/admin logs уровень [N]',
+    description: 'Просмотреть логи указанного уровня (опционально: N записей)'
+  }
+];
+
+module.exports = {
+  COMMANDS
+};
@@ -1,10 +1,29 @@
 const logger = require('../../utils/logger');
 const User = require('../../database/models/User');
 const Whitelist = require('../../database/models/Whitelist');
+const UserRole = require('../../database/models/UserRole');
 const PredictionModel = require('../../database/models/PredictionModel');
 const BackupLog = require('../../database/models/BackupLog');
 const { createDatabaseBackup, restoreDatabaseFromBackup } = require('../../utils/backupUtils');
-const { validateModelFile } = require('../../ml/predictionService');
+const {
+  validateModelFile,
+  activateModel,
+  activateModels,
+  rollbackModels,
+  checkPredictionWorker
+} = require('../../ml/predictionService');
+const { collectTrainingParameters, computeTrainingStats } = require('../../ml/applicabilityDomain');
+const { getManifestPath, loadManifest } = require('../../ml/modelManifest');
+const { computeMetrics, predictWithModel, runModelOnExperiments, evaluateModel } = require('../../ml/modelEvaluation');
+const { getModelTarget } = require('../../ml/modelRegistry');
+const { isRetrainingRunning, retrainModels } = require('../../ml/retrainService');
+const { generateChart } = require('../../utils/chartUtils');
+const { formatModelMetrics, getPropertyLabel } = require('../../utils/displayUtils');
+const { MEASURED_PROPERTIES, getProperty } = require('../../utils/propertyUtils');
+const { validateParameters, convertParametersToObject } = require('../../utils/parameterUtils');
+const { readParameterRows } = require('../../utils/tableUtils');
+const { ROLES, ROLE_NAMES, getEnvAdminIds, getUserRole } = require('../middlewares/authMiddleware');
+const { createObjectCsvWriter } = require('csv-writer');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
@@ -12,6 +31,13 @@ const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 
+// Minimum interval between edits of the retraining status message
+const PROGRESS_UPDATE_INTERVAL = 5000;
+
+// Rows listed in the model comparison message, the full list goes to the CSV file
+const MAX_COMPARE_MESSAGE_ROWS = 10;
+const MAX_COMPARE_UPLOAD_ROWS = 200;
+
 /**
  * Add a user to the whitelist
  * @param {TelegramBot} bot - Telegram bot instance
@@ -94,8 +120,9 @@ async function removeUserFromWhitelist(bot, msg, targetTelegramId) {
       return;
     }
     
-    // Remove from whitelist
+    // Remove from whitelist, the assigned role goes with it
     await whitelist.destroy();
+    await UserRole.destroy({ where: { telegramId: targetTelegramId } });
     
     await bot.sendMessage(
       chatId,
@@ -148,7 +175,7 @@ async function listWhitelistedUsers(bot, msg) {
       
       whitelistText += `*ID:* ${user.telegramId}\n`;
       whitelistText += `*Имя:* ${user.name || 'Не указано'}\n`;
-      whitelistText += `*Администратор:* ${user.isAdmin ? 'Да' : 'Нет'}\n`;
+      whitelistText += `*Роль:* ${ROLE_NAMES[await getUserRole(user.telegramId)]}\n`;
       whitelistText += `*Добавлен:* ${addedDate}\n\n`;
     }
     
@@ -163,6 +190,88 @@ async function listWhitelistedUsers(bot, msg) {
   }
 }
 
+/**
+ * Assign a role to a whitelisted user
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} targetTelegramId - Telegram ID of the user
+ * @param {string} role - Role (ROLES)
+ */
+async function setUserRole(bot, msg, targetTelegramId, role) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  const roleList = Object.values(ROLES).map(value => `• \`${value}\` - ${ROLE_NAMES[value]}`).join('\n');
+  
+  try {
+    if (!targetTelegramId || !role) {
+      await bot.sendMessage(
+        chatId,
+        `Использование: \`/admin user role ID роль\`\n\n*Роли:*\n${roleList}`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const normalizedRole = role.toLowerCase();
+    if (!Object.values(ROLES).includes(normalizedRole)) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Неизвестная роль «${role.replace(/[_*`[]/g, '')}».\n\n*Роли:*\n${roleList}`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (getEnvAdminIds().includes(targetTelegramId)) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Пользователь с ID ${targetTelegramId} указан в ADMIN_TELEGRAM_IDS и всегда является администратором.`
+      );
+      return;
+    }
+    
+    // Roles are assigned to known users only, so /admin user list shows everyone with access
+    const whitelist = await Whitelist.findOne({
+      where: { telegramId: targetTelegramId }
+    });
+    
+    if (!whitelist) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Пользователь с ID ${targetTelegramId} не найден в белом списке. Сначала добавьте его: /admin user add ${targetTelegramId} имя`
+      );
+      return;
+    }
+    
+    const [userRole, created] = await UserRole.findOrCreate({
+      where: { telegramId: targetTelegramId },
+      defaults: {
+        role: normalizedRole,
+        assignedBy: adminId
+      }
+    });
+    
+    if (!created) {
+      userRole.role = normalizedRole;
+      userRole.assignedBy = adminId;
+      await userRole.save();
+    }
+    
+    await bot.sendMessage(
+      chatId,
+      `✅ Пользователю с ID ${targetTelegramId} назначена роль «${ROLE_NAMES[normalizedRole]}».`
+    );
+    
+    logger.info(`Admin ${adminId} assigned role ${normalizedRole} to user ${targetTelegramId}`);
+  } catch (error) {
+    logger.error(`Error assigning user role: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при назначении роли. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
 /**
  * List all prediction models
  * @param {TelegramBot} bot - Telegram bot instance
@@ -194,14 +303,21 @@ async function listModels(bot, msg) {
     
     for (const model of models) {
       const trainedDate = new Date(model.trainedDate).toLocaleDateString('ru-RU');
-      const metrics = model.metrics ? JSON.stringify(model.metrics) : 'Не указаны';
+      const metrics = model.metrics && model.metrics.count ?
+        formatModelMetrics(model.metrics, getModelTarget(model)) :
+        'Не оценены';
       
+      modelsText += `*ID:* ${model.id}\n`;
       modelsText += `*Название:* ${model.name}\n`;
       modelsText += `*Версия:* ${model.version}\n`;
       modelsText += `*Дата обучения:* ${trainedDate}\n`;
       modelsText += `*Метрики:* ${metrics}\n`;
       modelsText += `*Путь:* ${model.filePath}\n`;
-      modelsText += `*Активна:* ${model.isActive ? '✅' : '❌'}\n\n`;
+      modelsText += `*Активна:* ${model.isActive ? '✅' : '❌'}\n`;
+      if (model.previousModelId) {
+        modelsText += `*Предыдущая версия:* ID ${model.previousModelId}\n`;
+      }
+      modelsText += '\n';
     }
     
     await bot.sendMessage(chatId, modelsText, { parse_mode: 'Markdown' });
@@ -221,8 +337,9 @@ async function listModels(bot, msg) {
  * @param {Object} msg - Message object from Telegram
  * @param {string} sizeModelPath - Path to the size model file
  * @param {string} pdiModelPath - Path to the PDI model file
+ * @param {string} [trainingDataPath] - Path to a CSV/XLSX file with the training recipes
  */
-async function reloadModels(bot, msg, sizeModelPath, pdiModelPath) {
+async function reloadModels(bot, msg, sizeModelPath, pdiModelPath, trainingDataPath) {
   const chatId = msg.chat.id;
   const adminId = msg.from.id.toString();
   
@@ -236,23 +353,38 @@ async function reloadModels(bot, msg, sizeModelPath, pdiModelPath) {
       return;
     }
     
-    // Validate models
-    const sizeModelValid = await validateModelFile(sizeModelPath);
-    const pdiModelValid = await validateModelFile(pdiModelPath);
+    // Manifests next to the model files, or the default ones
+    const sizeManifest = loadManifest(sizeModelPath, 'size');
+    const pdiManifest = loadManifest(pdiModelPath, 'pdi');
+    
+    // Validate models against the parameter schema of the bot
+    const sizeValidation = await validateModelFile(sizeModelPath, sizeManifest, 'size');
+    const pdiValidation = await validateModelFile(pdiModelPath, pdiManifest, 'pdi');
     
-    if (!sizeModelValid || !pdiModelValid) {
+    if (!sizeValidation.valid || !pdiValidation.valid) {
+      const errors = [];
+      if (!sizeValidation.valid) errors.push(`• Модель размера: ${sizeValidation.error}`);
+      if (!pdiValidation.valid) errors.push(`• Модель PdI: ${pdiValidation.error}`);
+      
       await bot.sendMessage(
         chatId,
-        '❌ Один или оба файла моделей недействительны. Проверьте файлы и попробуйте снова.'
+        '❌ Один или оба файла моделей недействительны. Проверьте файлы и манифесты и попробуйте снова.\n\n' +
+        errors.join('\n')
       );
       return;
     }
     
-    // Deactivate all existing models
-    await PredictionModel.update(
-      { isActive: false },
-      { where: {} }
-    );
+    if (trainingDataPath && !fs.existsSync(trainingDataPath)) {
+      await bot.sendMessage(
+        chatId,
+        '❌ Файл с обучающими данными не найден. Проверьте путь и попробуйте снова.'
+      );
+      return;
+    }
+    
+    // Training data statistics for the applicability domain check
+    const training = await collectTrainingParameters(trainingDataPath);
+    const trainingStats = computeTrainingStats(training.parameters);
     
     // Create directory for models if it doesn't exist
     const modelsDir = path.join(__dirname, '../../../models');
@@ -263,36 +395,57 @@ async function reloadModels(bot, msg, sizeModelPath, pdiModelPath) {
     // Copy and register size model
     const sizeModelDestPath = path.join(modelsDir, `size_model_${Date.now()}.keras`);
     fs.copyFileSync(sizeModelPath, sizeModelDestPath);
+    fs.writeFileSync(getManifestPath(sizeModelDestPath), JSON.stringify(sizeManifest, null, 2));
     
-    await PredictionModel.create({
+    const sizeModel = await PredictionModel.create({
       name: 'size_model',
       version: `${new Date().toISOString().slice(0, 10)}`,
       trainedDate: new Date(),
-      metrics: { r2: 0.85 }, // Default metrics, should be updated with actual values
+      metrics: null, // Filled in by /admin model evaluate
       filePath: sizeModelDestPath,
-      isActive: true
+      isActive: false,
+      manifest: sizeManifest,
+      trainingStats
     });
     
     // Copy and register PDI model
     const pdiModelDestPath = path.join(modelsDir, `pdi_model_${Date.now()}.keras`);
     fs.copyFileSync(pdiModelPath, pdiModelDestPath);
+    fs.writeFileSync(getManifestPath(pdiModelDestPath), JSON.stringify(pdiManifest, null, 2));
     
-    await PredictionModel.create({
+    const pdiModel = await PredictionModel.create({
       name: 'pdi_model',
       version: `${new Date().toISOString().slice(0, 10)}`,
       trainedDate: new Date(),
-      metrics: { r2: 0.82 }, // Default metrics, should be updated with actual values
+      metrics: null, // Filled in by /admin model evaluate
       filePath: pdiModelDestPath,
-      isActive: true
+      isActive: false,
+      manifest: pdiManifest,
+      trainingStats
     });
     
-    // Update environment variables
-    process.env.SIZE_MODEL_PATH = sizeModelDestPath;
-    process.env.PDI_MODEL_PATH = pdiModelDestPath;
+    // Activate both models together, which also hot-swaps them in the running prediction worker;
+    // size and PdI must never be served by models of different uploads
+    const activation = await activateModels([sizeModel.id, pdiModel.id]);
+    if (activation.error) {
+      logger.error(`Failed to activate models ${sizeModel.id}, ${pdiModel.id}: ${activation.error}`);
+      await bot.sendMessage(
+        chatId,
+        `❌ Новые модели не активированы, прогнозы используют прежние модели.\n\n${activation.error}`
+      );
+      return;
+    }
+    
+    const trainingSource = training.source === 'file' ? 'из файла' : 'по экспериментам с фактическими результатами';
     
     await bot.sendMessage(
       chatId,
-      '✅ Модели успешно загружены и активированы. Прогнозы теперь будут использовать новые модели.'
+      '✅ Модели успешно загружены и активированы. Прогнозы теперь будут использовать новые модели.\n' +
+      `ID моделей: размер ${sizeModel.id}, PdI ${pdiModel.id}. Вернуть прежние модели: /admin model rollback\n\n` +
+      (trainingStats ?
+        `Область применимости рассчитана ${trainingSource}: ${trainingStats.count} рецептов.` :
+        '⚠️ Обучающие данные не найдены, проверка области применимости для этих моделей отключена.') +
+      '\n\nЧтобы рассчитать метрики новых моделей, используйте /admin model evaluate'
     );
     
     logger.info(`Admin ${adminId} reloaded prediction models: size_model=${sizeModelDestPath}, pdi_model=${pdiModelDestPath}`);
@@ -305,6 +458,552 @@ async function reloadModels(bot, msg, sizeModelPath, pdiModelPath) {
   }
 }
 
+/**
+ * Activate a registered model version
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} modelId - ID of the model to activate
+ */
+async function activateModelVersion(bot, msg, modelId) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  
+  try {
+    const result = await activateModel(modelId);
+    
+    if (result.error) {
+      await bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+    
+    await bot.sendMessage(
+      chatId,
+      `✅ Модель ${result.model.name} (ID ${result.model.id}, версия ${result.model.version}) активирована.\n` +
+      (result.previous ?
+        `Предыдущая модель: ID ${result.previous.id}, версия ${result.previous.version}. ` +
+        'Вернуть ее: /admin model rollback' :
+        'Предыдущей активной модели не было.')
+    );
+    
+    logger.info(`Admin ${adminId} activated model ${modelId}`);
+  } catch (error) {
+    logger.error(`Error activating model: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при активации модели. Прежние модели продолжают работать.'
+    );
+  }
+}
+
+/**
+ * Roll the active models back to the previous versions
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} [target] - Output to roll back (all outputs with an active model if omitted)
+ */
+async function rollbackModelVersions(bot, msg, target) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  
+  try {
+    const property = target ? getProperty(target) : null;
+    
+    if (target && !property) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Неизвестное свойство "${target}". Допустимые: ${MEASURED_PROPERTIES.map(entry => entry.name).join(', ')}`
+      );
+      return;
+    }
+    
+    const results = await rollbackModels(property ? [property.name] : undefined);
+    const name = (resultTarget) => `Модель «${getProperty(resultTarget).label}»`;
+    
+    const lines = results.map(result => result.error ?
+      `⚠️ ${name(result.target)}: ${result.error}` :
+      `✅ ${name(result.target)}: ID ${result.previous.id} → ID ${result.model.id} (версия ${result.model.version})`
+    );
+    
+    await bot.sendMessage(chatId, `🔙 Откат моделей\n\n${lines.join('\n')}`);
+    
+    logger.info(`Admin ${adminId} rolled back models: ${target || 'all'}`);
+  } catch (error) {
+    logger.error(`Error rolling back models: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при откате моделей. Проверьте активные модели командой /admin model list.'
+    );
+  }
+}
+
+/**
+ * Evaluate models against the experiments with measured results
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} [modelId] - ID of the model to evaluate (all active models if omitted)
+ */
+async function evaluateModels(bot, msg, modelId) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  
+  try {
+    const models = modelId ?
+      [await PredictionModel.findByPk(modelId)].filter(Boolean) :
+      await PredictionModel.findAll({ where: { isActive: true }, order: [['name', 'DESC']] });
+    
+    if (models.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        modelId ?
+          `❌ Модель с ID ${modelId} не найдена.` :
+          '❌ Нет активных моделей. Используйте команду /admin model reload для загрузки моделей.'
+      );
+      return;
+    }
+    
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      '⏳ Оцениваю модели по экспериментам с фактическими результатами...'
+    );
+    
+    // Create "temp" directory if it doesn't exist
+    const tempDir = path.join(__dirname, '../../../temp');
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+    
+    let reportText = '📏 <b>Оценка моделей прогнозирования</b>\n\n';
+    const charts = [];
+    
+    for (const model of models) {
+      const evaluation = await evaluateModel(model);
+      
+      reportText += `<b>${model.name}</b> (ID ${model.id}, версия ${model.version})\n`;
+      
+      if (!evaluation.metrics) {
+        reportText += 'Нет экспериментов с фактическими результатами для оценки.\n\n';
+        continue;
+      }
+      
+      reportText += `${formatModelMetrics(evaluation.metrics, evaluation.target)}\n\n`;
+      
+      const label = getPropertyLabel(getProperty(evaluation.target));
+      const chartPath = await generateChart(
+        evaluation.actual,
+        [evaluation.predicted],
+        {
+          title: `${model.name}: прогноз и факт`,
+          isParity: true,
+          xAxisLabel: `Факт, ${label}`,
+          yAxisLabel: `Прогноз, ${label}`,
+          legendLabels: [`${model.name} (ID ${model.id})`]
+        },
+        path.join(tempDir, `parity_${model.id}_${Date.now()}.png`)
+      );
+      charts.push({ chartPath, model });
+    }
+    
+    reportText += 'Метрики сохранены в карточках моделей (/admin model list).';
+    
+    await bot.editMessageText(reportText, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id,
+      parse_mode: 'HTML'
+    });
+    
+    for (const { chartPath, model } of charts) {
+      await bot.sendPhoto(
+        chatId,
+        fs.createReadStream(chartPath),
+        { caption: `📈 ${model.name} (ID ${model.id}): точки на пунктирной линии - точный прогноз` }
+      );
+      
+      // Clean up the temporary file
+      fs.unlinkSync(chartPath);
+    }
+    
+    logger.info(`Admin ${adminId} evaluated models: ${models.map(model => model.id).join(', ')}`);
+  } catch (error) {
+    logger.error(`Error evaluating models: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при оценке моделей. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Compare two models of the same output on the measured experiments
+ * and, if a file is attached, on an uploaded parameter set
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram (may carry a CSV/XLSX document)
+ * @param {string} modelIdA - ID of the first model
+ * @param {string} modelIdB - ID of the second model
+ */
+async function compareModels(bot, msg, modelIdA, modelIdB) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  
+  // Create "temp" directory if it doesn't exist
+  const tempDir = path.join(__dirname, '../../../temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  
+  const tempFiles = [];
+  
+  try {
+    const modelA = await PredictionModel.findByPk(modelIdA);
+    const modelB = await PredictionModel.findByPk(modelIdB);
+    
+    if (!modelA || !modelB) {
+      await bot.sendMessage(chatId, `❌ Модель с ID ${!modelA ? modelIdA : modelIdB} не найдена.`);
+      return;
+    }
+    
+    const target = getModelTarget(modelA);
+    if (getModelTarget(modelB) !== target) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Модели прогнозируют разные величины (${modelA.name} и ${modelB.name}). Сравнивать можно только модели одного типа.`
+      );
+      return;
+    }
+    
+    // Optional parameter set uploaded together with the command
+    let uploadedRows = [];
+    let failedUploadRows = 0;
+    
+    if (msg.document) {
+      const filePath = await bot.downloadFile(msg.document.file_id, tempDir);
+      tempFiles.push(filePath);
+      
+      const rows = readParameterRows(filePath);
+      if (rows.length > MAX_COMPARE_UPLOAD_ROWS) {
+        await bot.sendMessage(
+          chatId,
+          `❌ Слишком много строк в файле (${rows.length}). Максимум: ${MAX_COMPARE_UPLOAD_ROWS}.`
+        );
+        return;
+      }
+      
+      for (const row of rows) {
+        if (validateParameters(row.values, { allowRetired: true }).valid) {
+          uploadedRows.push({ rowNumber: row.rowNumber, parameters: convertParametersToObject(row.values) });
+        } else {
+          failedUploadRows++;
+        }
+      }
+    }
+    
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      '⏳ Выполняю прогноз обеими моделями...'
+    );
+    
+    const evaluationA = await runModelOnExperiments(modelA);
+    const evaluationB = await runModelOnExperiments(modelB, evaluationA.experiments);
+    
+    let uploadedA = [];
+    let uploadedB = [];
+    if (uploadedRows.length > 0) {
+      const uploadedParameters = uploadedRows.map(row => row.parameters);
+      uploadedA = await predictWithModel(modelA, uploadedParameters);
+      uploadedB = await predictWithModel(modelB, uploadedParameters);
+    }
+    
+    const property = getProperty(target);
+    const decimals = property.decimals;
+    const unit = property.unit ? ` ${property.unit}` : '';
+    const formatValue = (value) => value.toFixed(decimals);
+    
+    let reportText = '⚖️ <b>Сравнение моделей</b>\n\n' +
+      `A: <b>${modelA.name}</b> (ID ${modelA.id}, версия ${modelA.version}${modelA.isActive ? ', активна' : ''})\n` +
+      `B: <b>${modelB.name}</b> (ID ${modelB.id}, версия ${modelB.version}${modelB.isActive ? ', активна' : ''})\n\n`;
+    
+    if (evaluationA.metrics) {
+      reportText += `<b>Эксперименты с фактическими результатами (${evaluationA.actual.length}):</b>\n` +
+        `A: ${formatModelMetrics(evaluationA.metrics, target)}\n` +
+        `B: ${formatModelMetrics(evaluationB.metrics, target)}\n\n`;
+      
+      // The most recent experiments are listed in the message
+      const firstListed = Math.max(0, evaluationA.experiments.length - MAX_COMPARE_MESSAGE_ROWS);
+      for (let i = firstListed; i < evaluationA.experiments.length; i++) {
+        reportText += `<code>${evaluationA.experiments[i].experimentId.slice(0, 8)}</code>: ` +
+          `факт ${formatValue(evaluationA.actual[i])}, ` +
+          `A ${formatValue(evaluationA.predicted[i])}, B ${formatValue(evaluationB.predicted[i])}${unit}\n`;
+      }
+      reportText += '\n';
+    } else {
+      reportText += 'Нет экспериментов с фактическими результатами для сравнения.\n\n';
+    }
+    
+    if (msg.document) {
+      reportText += `<b>Загруженный набор параметров (${uploadedRows.length} строк` +
+        `${failedUploadRows > 0 ? `, ${failedUploadRows} с ошибками пропущено` : ''}):</b>\n`;
+      
+      if (uploadedRows.length > 0) {
+        const meanDifference = computeMetrics(uploadedA, uploadedB).mae;
+        reportText += `Среднее расхождение моделей: ${formatValue(meanDifference)}${unit}\n`;
+        reportText += uploadedRows.slice(0, MAX_COMPARE_MESSAGE_ROWS).map((row, i) =>
+          `Строка ${row.rowNumber}: A ${formatValue(uploadedA[i])}, B ${formatValue(uploadedB[i])}${unit}`
+        ).join('\n') + '\n\n';
+      } else {
+        reportText += 'В файле нет корректных строк с параметрами.\n\n';
+      }
+    }
+    
+    const totalRows = evaluationA.experiments.length + uploadedRows.length;
+    if (totalRows > MAX_COMPARE_MESSAGE_ROWS) {
+      reportText += 'Полный список прогнозов - в файле.';
+    }
+    
+    await bot.editMessageText(reportText, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id,
+      parse_mode: 'HTML'
+    });
+    
+    if (evaluationA.metrics) {
+      const label = getPropertyLabel(getProperty(target));
+      const chartPath = await generateChart(
+        evaluationA.actual,
+        [evaluationA.predicted, evaluationB.predicted],
+        {
+          title: `Сравнение моделей ${modelA.id} и ${modelB.id}: прогноз и факт`,
+          isParity: true,
+          xAxisLabel: `Факт, ${label}`,
+          yAxisLabel: `Прогноз, ${label}`,
+          legendLabels: [`A: ${modelA.name} (ID ${modelA.id})`, `B: ${modelB.name} (ID ${modelB.id})`]
+        },
+        path.join(tempDir, `compare_${modelA.id}_${modelB.id}_${Date.now()}.png`)
+      );
+      tempFiles.push(chartPath);
+      
+      await bot.sendPhoto(
+        chatId,
+        fs.createReadStream(chartPath),
+        { caption: '📈 Точки ближе к пунктирной линии - более точный прогноз' }
+      );
+    }
+    
+    if (totalRows > MAX_COMPARE_MESSAGE_ROWS) {
+      const csvFilePath = path.join(tempDir, `compare_${modelA.id}_${modelB.id}_${Date.now()}.csv`);
+      tempFiles.push(csvFilePath);
+      
+      const csvWriter = createObjectCsvWriter({
+        path: csvFilePath,
+        header: [
+          { id: 'source', title: 'Источник' },
+          { id: 'actual', title: 'Факт' },
+          { id: 'predictedA', title: `Модель A (ID ${modelA.id})` },
+          { id: 'predictedB', title: `Модель B (ID ${modelB.id})` },
+          { id: 'errorA', title: 'Ошибка A' },
+          { id: 'errorB', title: 'Ошибка B' }
+        ]
+      });
+      
+      await csvWriter.writeRecords([
+        ...evaluationA.experiments.map((exp, i) => ({
+          source: exp.experimentId,
+          actual: formatValue(evaluationA.actual[i]),
+          predictedA: formatValue(evaluationA.predicted[i]),
+          predictedB: formatValue(evaluationB.predicted[i]),
+          errorA: formatValue(evaluationA.predicted[i] - evaluationA.actual[i]),
+          errorB: formatValue(evaluationB.predicted[i] - evaluationA.actual[i])
+        })),
+        ...uploadedRows.map((row, i) => ({
+          source: `Строка ${row.rowNumber}`,
+          actual: '',
+          predictedA: formatValue(uploadedA[i]),
+          predictedB: formatValue(uploadedB[i]),
+          errorA: '',
+          errorB: ''
+        }))
+      ]);
+      
+      await bot.sendDocument(
+        chatId,
+        fs.createReadStream(csvFilePath),
+        { caption: `⚖️ Прогнозы моделей ${modelA.id} и ${modelB.id}` },
+        { filename: `model_compare_${modelA.id}_${modelB.id}.csv`, contentType: 'text/csv' }
+      );
+    }
+    
+    logger.info(`Admin ${adminId} compared models ${modelA.id} and ${modelB.id}`);
+  } catch (error) {
+    logger.error(`Error comparing models: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при сравнении моделей. Пожалуйста, попробуйте позже.'
+    );
+  } finally {
+    // Clean up temporary files
+    for (const file of tempFiles) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+}
+
+/**
+ * Start retraining the models on the experiments with measured results
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function startRetraining(bot, msg) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  
+  try {
+    if (isRetrainingRunning()) {
+      await bot.sendMessage(
+        chatId,
+        '⚠️ Переобучение уже выполняется. Дождитесь его завершения.'
+      );
+      return;
+    }
+    
+    const statusMsg = await bot.sendMessage(
+      chatId,
+      '⏳ Подготовка обучающих данных...'
+    );
+    
+    let lastUpdate = 0;
+    const onProgress = (progress) => {
+      let text;
+      
+      if (progress.stage === 'evaluating') {
+        text = '⏳ Оценка новых моделей на отложенной выборке...';
+      } else if (progress.epoch) {
+        // Epoch updates are frequent, Telegram limits how often a message can be edited
+        if (Date.now() - lastUpdate < PROGRESS_UPDATE_INTERVAL) return;
+        const targetName = progress.target === 'size' ? 'размера' : 'PdI';
+        text = `⏳ Обучение модели ${targetName}: эпоха ${progress.epoch}/${progress.epochs}, ` +
+          `ошибка (MSE) ${progress.loss.toFixed(4)}`;
+      } else {
+        text = `⏳ Обучение на ${progress.trainCount} экспериментах, ` +
+          `${progress.testCount} отложено для проверки...`;
+      }
+      
+      lastUpdate = Date.now();
+      bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: statusMsg.message_id
+      }).catch(error => logger.warn(`Failed to update retraining status: ${error.message}`));
+    };
+    
+    // Training takes minutes, it runs in the background and reports when done
+    retrainModels(onProgress)
+      .then(
+        result => reportRetraining(bot, chatId, result),
+        (error) => {
+          logger.error(`Error retraining models: ${error.message}`);
+          // Nothing awaits this chain, a failed send (e.g. the bot was blocked meanwhile) is only logged
+          return bot.sendMessage(
+            chatId,
+            `❌ Переобучение завершилось с ошибкой: ${error.message}`
+          ).catch(sendError => logger.error(`Error reporting retraining failure: ${sendError.message}`));
+        }
+      );
+    
+    logger.info(`Admin ${adminId} started model retraining`);
+  } catch (error) {
+    logger.error(`Error starting model retraining: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при запуске переобучения. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Report the result of a retraining job
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat to report to
+ * @param {Object} result - Retraining result
+ */
+async function reportRetraining(bot, chatId, result) {
+  // Runs after the command has returned, so its errors are only logged
+  try {
+    if (result.error) {
+      await bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+    
+    let reportText = '✅ <b>Переобучение завершено</b>\n\n' +
+      `Обучающая выборка: ${result.trainCount} экспериментов\n` +
+      `Отложенная выборка: ${result.testCount} экспериментов\n\n`;
+    
+    for (const { model, metrics } of result.candidates) {
+      const target = getModelTarget(model);
+      const active = await PredictionModel.findOne({
+        where: { name: model.name, isActive: true }
+      });
+    
+      reportText += `<b>${model.name}</b> (ID ${model.id}, версия ${model.version})\n`;
+      reportText += `На отложенной выборке: ${formatModelMetrics(metrics, target)}\n`;
+    
+      if (active && active.metrics && active.metrics.count) {
+        reportText += `Активная модель (ID ${active.id}): ${formatModelMetrics(active.metrics, target)}\n`;
+      }
+    
+      reportText += '\n';
+    }
+    
+    reportText += 'Новые модели зарегистрированы как неактивные кандидаты (/admin model list). ' +
+      'Чтобы перевести кандидата в работу, используйте /admin model activate ID';
+    
+    await bot.sendMessage(chatId, reportText, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error(`Error reporting retraining result: ${error.message}`);
+  }
+}
+
+/**
+ * Show the status of the prediction worker
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function showModelHealth(bot, msg) {
+  const chatId = msg.chat.id;
+  
+  try {
+    const health = await checkPredictionWorker();
+    
+    if (health.status !== 'ok') {
+      await bot.sendMessage(
+        chatId,
+        `❌ Процесс прогнозирования не запущен.\n\n` +
+        `Попыток перезапуска: ${health.restartAttempts}`
+      );
+      return;
+    }
+    
+    const models = Object.entries(health.models)
+      .map(([name, modelPath]) => `• ${name}: ${modelPath}`)
+      .join('\n');
+    
+    await bot.sendMessage(
+      chatId,
+      `✅ Процесс прогнозирования работает\n\n` +
+      `PID: ${health.pid}\n` +
+      `Время работы: ${Math.round(health.uptime)} с\n` +
+      `Попыток перезапуска: ${health.restartAttempts}\n\n` +
+      `Загруженные модели:\n${models || 'нет'}`
+    );
+    
+    logger.info(`Admin ${msg.from.id} checked prediction worker health`);
+  } catch (error) {
+    logger.error(`Error checking prediction worker health: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      `❌ Процесс прогнозирования не отвечает: ${error.message}`
+    );
+  }
+}
+
 /**
  * Create a database backup
  * @param {TelegramBot} bot - Telegram bot instance
@@ -569,8 +1268,15 @@ module.exports = {
   addUserToWhitelist,
   removeUserFromWhitelist,
   listWhitelistedUsers,
+  setUserRole,
   listModels,
   reloadModels,
+  activateModelVersion,
+  rollbackModelVersions,
+  evaluateModels,
+  compareModels,
+  startRetraining,
+  showModelHealth,
   createBackup,
   listBackups,
   restoreBackup,
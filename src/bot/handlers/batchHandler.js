@@ -0,0 +1,282 @@
+const logger = require('../../utils/logger');
+const Experiment = require('../../database/models/Experiment');
+const { makeBatchPrediction } = require('../../ml/predictionService');
+const { getActiveModelDomains, assessApplicabilityDomain } = require('../../ml/applicabilityDomain');
+const { convertParametersToObject, validateParameters } = require('../../utils/parameterUtils');
+const {
+  formatParametersForCsv,
+  getParameterCsvHeader,
+  formatAdditionalPropertiesForCsv,
+  getAdditionalPropertyCsvHeader
+} = require('../../utils/displayUtils');
+const { getAdditionalPredictions } = require('../../utils/propertyUtils');
+const { readParameterRows } = require('../../utils/tableUtils');
+const { getState, setState, clearState } = require('../../utils/conversationState');
+const { PERMISSIONS, checkAccess } = require('../middlewares/authMiddleware');
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
+
+const MAX_BATCH_ROWS = 200;
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+/**
+ * Format the applicability domain column of the batch results
+ * @param {Object} domain - Result of assessApplicabilityDomain
+ * @returns {string} - Warnings, the reason the domain is unknown, or an empty string if in domain
+ */
+function formatDomainColumn(domain) {
+  if (domain.inDomain === false) {
+    return domain.warnings.join('; ');
+  }
+
+  return domain.inDomain === null ? `не определена: ${domain.unknown.join('; ')}` : '';
+}
+
+/**
+ * Start the batch prediction process
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function startBatchPrediction(bot, msg) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+
+  try {
+    await bot.sendMessage(
+      chatId,
+      '📑 *Пакетное прогнозирование*\n\n' +
+      'Отправьте файл CSV или XLSX, в котором каждая строка содержит параметры синтеза ' +
+      'в том же порядке, что и для /predict:\n\n' +
+      '`eu phen lig ligtype ph vol time [rate]`\n\n' +
+      'Первая строка может быть заголовком с названиями столбцов ' +
+      '(eu, phen, lig, ligtype, ph, vol, time, rate) - тогда порядок столбцов не важен. ' +
+      'Подходит и файл, полученный через /export\\_csv.\n\n' +
+      `Максимум строк в файле: ${MAX_BATCH_ROWS}.`,
+      { parse_mode: 'Markdown' }
+    );
+
+    await setState(userId, 'batch', { state: 'awaiting_file' });
+
+    logger.info(`Started batch prediction process for user ${userId}`);
+  } catch (error) {
+    logger.error(`Error starting batch prediction: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при запуске пакетного прогнозирования. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Handle a document uploaded during the batch prediction process
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function handleBatchDocument(bot, msg) {
+  if (!msg.document) return;
+
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const tempDir = path.join(__dirname, '../../../temp');
+  const tempFiles = [];
+
+  try {
+    const userState = await getState(userId, 'batch');
+
+    // If the user is not waiting for a batch file, do nothing
+    if (!userState || userState.state !== 'awaiting_file') return;
+
+    // The role may have changed since /predict_batch
+    const access = await checkAccess(userId, PERMISSIONS.PREDICT);
+    if (!access.allowed) {
+      await clearState(userId, 'batch');
+      await bot.sendMessage(chatId, access.message);
+      return;
+    }
+
+    const extension = path.extname(msg.document.file_name || '').toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Неподдерживаемый формат файла. Допустимые форматы: ${SUPPORTED_EXTENSIONS.join(', ')}`
+      );
+      return;
+    }
+
+    await clearState(userId, 'batch');
+
+    // Create "temp" directory if it doesn't exist
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      '⏳ Читаю файл и выполняю прогнозирование...'
+    );
+
+    const filePath = await bot.downloadFile(msg.document.file_id, tempDir);
+    tempFiles.push(filePath);
+
+    const rows = readParameterRows(filePath);
+
+    if (rows.length === 0) {
+      await bot.editMessageText('❌ В файле не найдено ни одной строки с параметрами.', {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      });
+      return;
+    }
+
+    if (rows.length > MAX_BATCH_ROWS) {
+      await bot.editMessageText(
+        `❌ Слишком много строк в файле (${rows.length}). Максимум: ${MAX_BATCH_ROWS}.`,
+        {
+          chat_id: chatId,
+          message_id: processingMsg.message_id
+        }
+      );
+      return;
+    }
+
+    // Validate every row, keeping track of the failed ones
+    const validRows = [];
+    const failedRows = [];
+
+    for (const row of rows) {
+      const validationResult = validateParameters(row.values);
+      if (validationResult.valid) {
+        validRows.push(row);
+      } else {
+        failedRows.push({ ...row, error: validationResult.error });
+      }
+    }
+
+    // Predict all valid rows in a single worker call and save them as experiments
+    const results = [];
+
+    if (validRows.length > 0) {
+      const predictions = await makeBatchPrediction(validRows.map(row => row.values));
+      const domains = await getActiveModelDomains();
+
+      for (let i = 0; i < validRows.length; i++) {
+        const parameters = convertParametersToObject(validRows[i].values);
+        const prediction = predictions[i];
+        const domain = await assessApplicabilityDomain(parameters, domains);
+
+        const experiment = await Experiment.create({
+          parameters,
+          predictedSize: prediction.size,
+          predictedPdI: prediction.pdi,
+          predictedSizeUncertainty: prediction.sizeUncertainty,
+          predictedPdIUncertainty: prediction.pdiUncertainty,
+          sizeModelId: prediction.sizeModelId,
+          pdiModelId: prediction.pdiModelId,
+          predictions: getAdditionalPredictions(prediction),
+          isExtrapolation: domain.inDomain === false,
+          userId
+        });
+
+        results.push({
+          row: validRows[i].rowNumber,
+          id: experiment.experimentId,
+          ...formatParametersForCsv(parameters),
+          predictedSize: prediction.size.toFixed(1),
+          predictedSizeUncertainty: prediction.sizeUncertainty !== null ? prediction.sizeUncertainty.toFixed(1) : '',
+          predictedPdI: prediction.pdi.toFixed(3),
+          predictedPdIUncertainty: prediction.pdiUncertainty !== null ? prediction.pdiUncertainty.toFixed(3) : '',
+          ...formatAdditionalPropertiesForCsv(experiment),
+          extrapolation: formatDomainColumn(domain)
+        });
+      }
+    }
+
+    await bot.editMessageText(
+      `✅ Пакетное прогнозирование завершено\n\n` +
+      `Всего строк: ${rows.length}\n` +
+      `Успешно: ${results.length}\n` +
+      `С ошибками: ${failedRows.length}`,
+      {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      }
+    );
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (results.length > 0) {
+      const resultsPath = path.join(tempDir, `batch_results_${userId}_${Date.now()}.csv`);
+      tempFiles.push(resultsPath);
+
+      const csvWriter = createObjectCsvWriter({
+        path: resultsPath,
+        header: [
+          { id: 'row', title: 'Строка' },
+          { id: 'id', title: 'ID эксперимента' },
+          ...getParameterCsvHeader(),
+          { id: 'predictedSize', title: 'Прогноз размера (нм)' },
+          { id: 'predictedSizeUncertainty', title: '± размера (нм)' },
+          { id: 'predictedPdI', title: 'Прогноз PdI' },
+          { id: 'predictedPdIUncertainty', title: '± PdI' },
+          ...getAdditionalPropertyCsvHeader(false),
+          { id: 'extrapolation', title: 'Вне области применимости модели' }
+        ]
+      });
+      await csvWriter.writeRecords(results);
+
+      await bot.sendDocument(
+        chatId,
+        fs.createReadStream(resultsPath),
+        { caption: `📊 Результаты прогнозирования (${results.length} экспериментов)` },
+        { filename: `batch_predictions_${date}.csv`, contentType: 'text/csv' }
+      );
+    }
+
+    if (failedRows.length > 0) {
+      const errorsPath = path.join(tempDir, `batch_errors_${userId}_${Date.now()}.csv`);
+      tempFiles.push(errorsPath);
+
+      const csvWriter = createObjectCsvWriter({
+        path: errorsPath,
+        header: [
+          { id: 'row', title: 'Строка' },
+          { id: 'values', title: 'Значения' },
+          { id: 'error', title: 'Ошибка' }
+        ]
+      });
+      await csvWriter.writeRecords(failedRows.map(row => ({
+        row: row.rowNumber,
+        values: row.values.join(' '),
+        error: row.error
+      })));
+
+      await bot.sendDocument(
+        chatId,
+        fs.createReadStream(errorsPath),
+        { caption: `⚠️ Строки с ошибками (${failedRows.length})` },
+        { filename: `batch_errors_${date}.csv`, contentType: 'text/csv' }
+      );
+    }
+
+    logger.info(`Batch prediction for user ${userId}: ${results.length} saved, ${failedRows.length} failed`);
+  } catch (error) {
+    logger.error(`Error handling batch prediction file: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при обработке файла. Пожалуйста, проверьте файл и попробуйте снова.'
+    );
+  } finally {
+    // Clean up the temporary files
+    for (const file of tempFiles) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+}
+
+module.exports = {
+  startBatchPrediction,
+  handleBatchDocument
+};
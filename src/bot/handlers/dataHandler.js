@@ -1,10 +1,38 @@
 const logger = require('../../utils/logger');
 const Experiment = require('../../database/models/Experiment');
 const { generateChart } = require('../../utils/chartUtils');
+const { getExperimentScope } = require('../middlewares/authMiddleware');
 const fs = require('fs');
 const path = require('path');
 const { createObjectCsvWriter } = require('csv-writer');
-const { formatParametersForCsv } = require('../../utils/displayUtils');
+const {
+  formatParametersForCsv,
+  getParameterCsvHeader,
+  getParameterAxisLabel,
+  getPropertyLabel,
+  getAdditionalPropertyCsvHeader,
+  formatAdditionalPropertiesForCsv
+} = require('../../utils/displayUtils');
+const { makeBatchPrediction } = require('../../ml/predictionService');
+const { getActiveModels } = require('../../ml/modelRegistry');
+const { getState } = require('../../utils/conversationState');
+const {
+  PARAMETER_SCHEMA,
+  getParameterByCode,
+  toParameterArray,
+  validateParameters,
+  convertParametersToObject
+} = require('../../utils/parameterUtils');
+const {
+  MEASURED_PROPERTIES,
+  getProperty,
+  getActualValue,
+  getPredictedValue
+} = require('../../utils/propertyUtils');
+
+const MAX_SWEEP_STEPS = 50;
+// Points of the sweep plotted from the what-if buttons of a prediction result
+const RECIPE_SWEEP_STEPS = 21;
 
 /**
  * Generate a plot based on parameter
@@ -12,8 +40,9 @@ const { formatParametersForCsv } = require('../../utils/displayUtils');
  * @param {Object} msg - Message object from Telegram
  * @param {string} parameter - Parameter to plot
  * @param {string} referenceExperimentId - ID of reference experiment to highlight
+ * @param {string} [propertyName] - Measured property to plot instead of size and PdI
  */
-async function generatePlot(bot, msg, parameter, referenceExperimentId) {
+async function generatePlot(bot, msg, parameter, referenceExperimentId, propertyName) {
   const chatId = msg.chat.id;
   const userId = msg.from.id.toString();
   
@@ -25,16 +54,12 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
         chatId,
         '📊 *Построение графика*\n\n' +
         'Пожалуйста, укажите параметр для построения графика:\n\n' +
-        '• `/plot eu` - Концентрация Eu\n' +
-        '• `/plot phen` - Концентрация Фенантролина\n' +
-        '• `/plot lig` - Концентрация Лиганда\n' +
-        '• `/plot ligtype` - Вид лиганда\n' +
-        '• `/plot ph` - pH BSA\n' +
-        '• `/plot vol` - Объем добавления\n' +
-        '• `/plot time` - Время добавления\n' +
-        '• `/plot rate` - Скорость добавления\n\n' +
+        PARAMETER_SCHEMA.map(param => `• \`/plot ${param.code}\` - ${param.fullName}`).join('\n') + '\n\n' +
         'Опционально можно указать ID опорного эксперимента для выделения на графике:\n' +
         '`/plot параметр ID_эксперимента`\n\n' +
+        'По умолчанию строятся размер и PdI, другое измеряемое свойство указывается после параметра:\n' +
+        '`/plot параметр свойство [ID_эксперимента]`\n' +
+        `Свойства: ${MEASURED_PROPERTIES.map(p => p.name).join(', ')}\n\n` +
         'Для построения тепловой карты корреляций используйте:\n' +
         '`/plot_correlation`',
         { parse_mode: 'Markdown' }
@@ -43,30 +68,29 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
     }
     
     // Get parameter field
-    const parameterMap = {
-      'eu': 'euConcentration',
-      'phen': 'phenanthrolineConcentration',
-      'lig': 'ligandConcentration',
-      'ligtype': 'ligandType',
-      'ph': 'phBsa',
-      'vol': 'additionVolume',
-      'time': 'additionTime',
-      'rate': 'additionRate'
-    };
+    const param = getParameterByCode(parameter);
     
-    const parameterField = parameterMap[parameter.toLowerCase()];
+    if (!param) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Неизвестный параметр. Допустимые параметры: ${PARAMETER_SCHEMA.map(p => p.code).join(', ')}`
+      );
+      return;
+    }
+    
+    const property = propertyName ? getProperty(propertyName) : null;
     
-    if (!parameterField) {
+    if (propertyName && !property) {
       await bot.sendMessage(
         chatId,
-        '❌ Неизвестный параметр. Допустимые параметры: eu, phen, lig, ligtype, ph, vol, time, rate'
+        `❌ Неизвестное свойство. Допустимые свойства: ${MEASURED_PROPERTIES.map(p => p.name).join(', ')}`
       );
       return;
     }
     
-    // Get experiments for the user
+    // Get experiments visible to the user
     const experiments = await Experiment.findAll({
-      where: { userId },
+      where: await getExperimentScope(userId),
       order: [['createdAt', 'ASC']]
     });
     
@@ -78,6 +102,17 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
       return;
     }
     
+    if (property) {
+      await sendPropertyPlot(bot, chatId, userId, experiments, param, property, referenceExperimentId);
+      return;
+    }
+    
+    // Predictions of other model versions are not comparable with the current ones,
+    // so only measured values and predictions of the active models are plotted
+    const activeModels = await getActiveModels();
+    const activeSizeModelId = activeModels.size ? activeModels.size.id : null;
+    const activePdiModelId = activeModels.pdi ? activeModels.pdi.id : null;
+    
     // Prepare data for plotting
     const plotData = {
       x: [],
@@ -85,21 +120,41 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
       yPdi: [],
       referenceIndex: -1
     };
+    let omittedCount = 0;
     
-    experiments.forEach((exp, index) => {
-      const value = exp.parameters[parameterField];
-      if (value !== undefined) {
-        plotData.x.push(value);
-        plotData.ySize.push(exp.actualSize || exp.predictedSize);
-        plotData.yPdi.push(exp.actualPdI || exp.predictedPdI);
-        
-        // Check if this is the reference experiment
-        if (referenceExperimentId && exp.experimentId === referenceExperimentId) {
-          plotData.referenceIndex = index;
-        }
+    experiments.forEach((exp) => {
+      const value = exp.parameters[param.name];
+      if (value === undefined) return;
+      
+      const size = exp.actualSize !== null ? exp.actualSize :
+        (exp.sizeModelId === activeSizeModelId ? exp.predictedSize : null);
+      const pdi = exp.actualPdI !== null ? exp.actualPdI :
+        (exp.pdiModelId === activePdiModelId ? exp.predictedPdI : null);
+      
+      if (size === null && pdi === null) {
+        omittedCount++;
+        return;
+      }
+      
+      // Check if this is the reference experiment
+      if (referenceExperimentId && exp.experimentId === referenceExperimentId) {
+        plotData.referenceIndex = plotData.x.length;
       }
+      
+      plotData.x.push(value);
+      plotData.ySize.push(size);
+      plotData.yPdi.push(pdi);
     });
     
+    if (plotData.x.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        '📝 Нет экспериментов с фактическими результатами или прогнозами текущих моделей.\n\n' +
+        'Сравнить старые прогнозы с текущими моделями можно командой /repredict all'
+      );
+      return;
+    }
+    
     // Create "temp" directory if it doesn't exist
     const tempDir = path.join(__dirname, '../../../temp');
     if (!fs.existsSync(tempDir)) {
@@ -108,15 +163,15 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
     
     // Generate chart
     const chartOptions = {
-      title: `Зависимость от параметра: ${getParameterDisplayName(parameter)}`,
-      xAxisLabel: getParameterDisplayName(parameter),
+      title: `Зависимость от параметра: ${getParameterAxisLabel(param)}`,
+      xAxisLabel: getParameterAxisLabel(param),
       yAxisLabel: 'Размер (нм) / PdI',
       legendLabels: ['Размер частиц (нм)', 'PdI x 100'],
       referenceIndex: plotData.referenceIndex
     };
     
     // Scale PdI values for better visibility
-    const scaledPdi = plotData.yPdi.map(val => val * 100);
+    const scaledPdi = plotData.yPdi.map(val => val !== null ? val * 100 : null);
     
     const chartPath = await generateChart(
       plotData.x,
@@ -130,9 +185,12 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
       chatId,
       fs.createReadStream(chartPath),
       {
-        caption: `📊 График зависимости от параметра: ${getParameterDisplayName(parameter)}` +
+        caption: `📊 График зависимости от параметра: ${getParameterAxisLabel(param)}` +
                 (referenceExperimentId ? `\nВыделенный эксперимент: ${referenceExperimentId}` : '') +
-                '\n\nЗначения PdI умножены на 100 для лучшей визуализации'
+                '\n\nЗначения PdI умножены на 100 для лучшей визуализации' +
+                (omittedCount > 0 ?
+                  `\nНе показаны прогнозы прежних версий моделей без фактических результатов: ${omittedCount}` :
+                  '')
       }
     );
     
@@ -149,6 +207,94 @@ async function generatePlot(bot, msg, parameter, referenceExperimentId) {
   }
 }
 
+/**
+ * Plot one measured property against a parameter
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram user ID
+ * @param {Array<Object>} experiments - Experiments of the user
+ * @param {Object} param - Parameter definition
+ * @param {Object} property - Property definition
+ * @param {string} referenceExperimentId - ID of reference experiment to highlight
+ */
+async function sendPropertyPlot(bot, chatId, userId, experiments, param, property, referenceExperimentId) {
+  // As for size and PdI, only measured values and predictions of the active model are comparable
+  const activeModels = await getActiveModels();
+  const activeModelId = activeModels[property.name] ? activeModels[property.name].id : null;
+  
+  const plotData = { x: [], y: [], referenceIndex: -1 };
+  let omittedCount = 0;
+  
+  experiments.forEach((exp) => {
+    const value = exp.parameters[param.name];
+    if (value === undefined) return;
+    
+    const actual = getActualValue(exp, property);
+    const predicted = getPredictedValue(exp, property);
+    
+    let y = actual;
+    if (y === null && predicted) {
+      if (predicted.modelId !== activeModelId) {
+        omittedCount++;
+        return;
+      }
+      y = predicted.value;
+    }
+    
+    if (y === null || y === undefined) return;
+    
+    if (referenceExperimentId && exp.experimentId === referenceExperimentId) {
+      plotData.referenceIndex = plotData.x.length;
+    }
+    
+    plotData.x.push(value);
+    plotData.y.push(y);
+  });
+  
+  if (plotData.x.length === 0) {
+    await bot.sendMessage(
+      chatId,
+      `📝 Нет экспериментов с измеренным или спрогнозированным свойством «${property.label}».\n\n` +
+      'Фактические значения вносятся командой /add_result'
+    );
+    return;
+  }
+  
+  const tempDir = path.join(__dirname, '../../../temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  
+  const chartPath = await generateChart(
+    plotData.x,
+    [plotData.y],
+    {
+      title: `${property.label}: зависимость от параметра ${getParameterAxisLabel(param)}`,
+      xAxisLabel: getParameterAxisLabel(param),
+      yAxisLabel: getPropertyLabel(property),
+      legendLabels: [getPropertyLabel(property)],
+      referenceIndex: plotData.referenceIndex
+    },
+    path.join(tempDir, `plot_${userId}_${Date.now()}.png`)
+  );
+  
+  await bot.sendPhoto(
+    chatId,
+    fs.createReadStream(chartPath),
+    {
+      caption: `📊 ${property.label}: зависимость от параметра ${getParameterAxisLabel(param)}` +
+              (referenceExperimentId ? `\nВыделенный эксперимент: ${referenceExperimentId}` : '') +
+              (omittedCount > 0 ?
+                `\nНе показаны прогнозы прежних версий моделей без фактических результатов: ${omittedCount}` :
+                '')
+    }
+  );
+  
+  fs.unlinkSync(chartPath);
+  
+  logger.info(`Generated plot for user ${userId}, parameter ${param.code}, property ${property.name}`);
+}
+
 /**
  * Generate a correlation plot
  * @param {TelegramBot} bot - Telegram bot instance
@@ -159,9 +305,9 @@ async function generateCorrelationPlot(bot, msg) {
   const userId = msg.from.id.toString();
   
   try {
-    // Get experiments for the user
+    // Get experiments visible to the user
     const experiments = await Experiment.findAll({
-      where: { userId }
+      where: await getExperimentScope(userId)
     });
     
     if (experiments.length < 5) {
@@ -174,31 +320,13 @@ async function generateCorrelationPlot(bot, msg) {
     }
     
     // Prepare data for correlation plot
-    const data = {
-      euConcentration: [],
-      phenanthrolineConcentration: [],
-      ligandConcentration: [],
-      ligandType: [],
-      phBsa: [],
-      additionVolume: [],
-      additionTime: [],
-      additionRate: [],
-      size: [],
-      pdi: []
-    };
+    const data = {};
     
-    experiments.forEach(exp => {
-      data.euConcentration.push(exp.parameters.euConcentration);
-      data.phenanthrolineConcentration.push(exp.parameters.phenanthrolineConcentration);
-      data.ligandConcentration.push(exp.parameters.ligandConcentration);
-      data.ligandType.push(exp.parameters.ligandType);
-      data.phBsa.push(exp.parameters.phBsa);
-      data.additionVolume.push(exp.parameters.additionVolume);
-      data.additionTime.push(exp.parameters.additionTime);
-      data.additionRate.push(exp.parameters.additionRate);
-      data.size.push(exp.actualSize || exp.predictedSize);
-      data.pdi.push(exp.actualPdI || exp.predictedPdI);
-    });
+    for (const param of PARAMETER_SCHEMA) {
+      data[param.name] = experiments.map(exp => exp.parameters[param.name]);
+    }
+    data.size = experiments.map(exp => exp.actualSize || exp.predictedSize);
+    data.pdi = experiments.map(exp => exp.actualPdI || exp.predictedPdI);
     
     // Create "temp" directory if it doesn't exist
     const tempDir = path.join(__dirname, '../../../temp');
@@ -207,10 +335,7 @@ async function generateCorrelationPlot(bot, msg) {
     }
     
     // Generate correlation heatmap
-    const labels = [
-      'Конц. Eu', 'Конц. Фен', 'Конц. Лиг', 'Вид лиганда', 'pH BSA',
-      'Объем доб.', 'Время доб.', 'Скорость доб.', 'Размер', 'PdI'
-    ];
+    const labels = [...PARAMETER_SCHEMA.map(param => param.shortLabel), 'Размер', 'PdI'];
     
     const chartOptions = {
       title: 'Тепловая карта корреляции параметров',
@@ -261,9 +386,9 @@ async function exportToCsv(bot, msg) {
   const userId = msg.from.id.toString();
   
   try {
-    // Get experiments for the user
+    // Get experiments visible to the user
     const experiments = await Experiment.findAll({
-      where: { userId },
+      where: await getExperimentScope(userId),
       order: [['createdAt', 'ASC']]
     });
     
@@ -289,21 +414,22 @@ async function exportToCsv(bot, msg) {
       path: csvFilePath,
       header: [
         { id: 'id', title: 'ID эксперимента' },
+        { id: 'userId', title: 'Пользователь' },
         { id: 'date', title: 'Дата' },
-        { id: 'euConcentration', title: 'Конц. Eu (мМ/л)' },
-        { id: 'phenanthrolineConcentration', title: 'Конц. Фенантролина (мМ/л)' },
-        { id: 'ligandConcentration', title: 'Конц. Лиганда (мМ/л)' },
-        { id: 'ligandType', title: 'Вид лиганда' },
-        { id: 'phBsa', title: 'pH BSA' },
-        { id: 'additionVolume', title: 'Объем доб. (мл)' },
-        { id: 'additionTime', title: 'Время доб. (мин)' },
-        { id: 'additionRate', title: 'Скорость доб. (мл/мин)' },
+        ...getParameterCsvHeader(),
         { id: 'predictedSize', title: 'Прогноз размера (нм)' },
+        { id: 'predictedSizeUncertainty', title: '± размера (нм)' },
         { id: 'predictedPdI', title: 'Прогноз PdI' },
+        { id: 'predictedPdIUncertainty', title: '± PdI' },
+        { id: 'isExtrapolation', title: 'Экстраполяция' },
+        { id: 'sizeModelId', title: 'ID модели размера' },
+        { id: 'pdiModelId', title: 'ID модели PdI' },
         { id: 'actualSize', title: 'Факт. размер (нм)' },
         { id: 'actualPdI', title: 'Факт. PdI' },
         { id: 'sizeDiff', title: 'Разница размера (%)' },
-        { id: 'pdiDiff', title: 'Разница PdI (%)' }
+        { id: 'pdiDiff', title: 'Разница PdI (%)' },
+        { id: 'resultsApprovedAt', title: 'Результаты подтверждены' },
+        ...getAdditionalPropertyCsvHeader(true)
       ]
     });
     
@@ -314,14 +440,22 @@ async function exportToCsv(bot, msg) {
       
       return {
         id: exp.experimentId,
+        userId: exp.userId,
         date: new Date(exp.createdAt).toLocaleDateString('ru-RU'),
         ...formatParametersForCsv(exp.parameters),
         predictedSize: exp.predictedSize.toFixed(1),
+        predictedSizeUncertainty: exp.predictedSizeUncertainty !== null ? exp.predictedSizeUncertainty.toFixed(1) : '',
         predictedPdI: exp.predictedPdI.toFixed(3),
+        predictedPdIUncertainty: exp.predictedPdIUncertainty !== null ? exp.predictedPdIUncertainty.toFixed(3) : '',
+        isExtrapolation: exp.isExtrapolation ? 'да' : '',
+        sizeModelId: exp.sizeModelId || '',
+        pdiModelId: exp.pdiModelId || '',
         actualSize: exp.actualSize ? exp.actualSize.toFixed(1) : '',
         actualPdI: exp.actualPdI ? exp.actualPdI.toFixed(3) : '',
         sizeDiff,
-        pdiDiff
+        pdiDiff,
+        resultsApprovedAt: exp.resultsApprovedAt ? new Date(exp.resultsApprovedAt).toLocaleDateString('ru-RU') : '',
+        ...formatAdditionalPropertiesForCsv(exp)
       };
     });
     
@@ -352,27 +486,278 @@ async function exportToCsv(bot, msg) {
 }
 
 /**
- * Get a human-readable display name for a parameter
- * @param {string} parameter - Parameter code
- * @returns {string} - Display name
+ * Generate predicted response curves for a one-parameter sweep
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} parameter - Parameter to vary
+ * @param {string} from - Start value
+ * @param {string} to - End value
+ * @param {string} steps - Number of points
+ * @param {string} baseExperimentId - ID of the base experiment (latest experiment if omitted)
  */
-function getParameterDisplayName(parameter) {
-  const displayNames = {
-    'eu': 'Концентрация Eu (мМ/л)',
-    'phen': 'Концентрация Фенантролина (мМ/л)',
-    'lig': 'Концентрация Лиганда (мМ/л)',
-    'ligtype': 'Вид лиганда',
-    'ph': 'pH BSA',
-    'vol': 'Объем добавления (мл)',
-    'time': 'Время добавления (мин)',
-    'rate': 'Скорость добавления (мл/мин)'
+async function generateSweepPlot(bot, msg, parameter, from, to, steps, baseExperimentId) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  try {
+    // Check if arguments were specified
+    if (!parameter) {
+      await bot.sendMessage(
+        chatId,
+        '📉 *Прогноз зависимости от параметра*\n\n' +
+        'Использование:\n' +
+        '`/sweep параметр от до шагов [ID_эксперимента]`\n\n' +
+        `Параметры: ${getSweepParameterCodes().join(', ')}\n\n` +
+        'Базовый рецепт берется из указанного эксперимента, иначе из последнего прогноза ' +
+        '(если его кнопки уже устарели - из последнего сохраненного эксперимента).\n\n' +
+        'Пример: `/sweep ph 7 11 5`',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const param = getParameterByCode(parameter);
+    
+    if (!param) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Неизвестный параметр. Допустимые параметры: ${getSweepParameterCodes().join(', ')}`
+      );
+      return;
+    }
+    
+    // Calculated parameters follow the ones they are calculated from and cannot be varied on their own
+    if (param.derived) {
+      const sources = [param.derived.numerator, param.derived.denominator]
+        .map(name => PARAMETER_SCHEMA.find(other => other.name === name).code);
+      
+      await bot.sendMessage(
+        chatId,
+        `❌ ${param.fullName} рассчитывается из других параметров. ` +
+        `Используйте параметры ${sources.join(' или ')}.`
+      );
+      return;
+    }
+    
+    const fromValue = parseFloat(from.replace(',', '.'));
+    const toValue = parseFloat(to.replace(',', '.'));
+    const stepCount = parseInt(steps);
+    
+    if (isNaN(fromValue) || isNaN(toValue) || fromValue === toValue) {
+      await bot.sendMessage(
+        chatId,
+        '❌ Начальное и конечное значения должны быть различными числами.'
+      );
+      return;
+    }
+    
+    if (isNaN(stepCount) || stepCount < 2 || stepCount > MAX_SWEEP_STEPS) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Количество шагов должно быть целым числом от 2 до ${MAX_SWEEP_STEPS}.`
+      );
+      return;
+    }
+    
+    const base = await findSweepBase(userId, baseExperimentId);
+    
+    if (!base) {
+      await bot.sendMessage(
+        chatId,
+        baseExperimentId ?
+          '❌ Эксперимент не найден или вы не имеете к нему доступа. Проверьте ID эксперимента.' :
+          '📝 У вас пока нет прогнозов. Используйте команду /predict для создания прогноза.'
+      );
+      return;
+    }
+    
+    // Build the sweep points, integer parameters are rounded and deduplicated
+    const isInteger = param.type !== 'number';
+    const xValues = [];
+    
+    for (let i = 0; i < stepCount; i++) {
+      let value = fromValue + (toValue - fromValue) * i / (stepCount - 1);
+      value = isInteger ? Math.round(value) : parseFloat(value.toFixed(4));
+      
+      if (!xValues.includes(value)) {
+        xValues.push(value);
+      }
+    }
+    
+    await sendSweepPlot(bot, chatId, userId, param, xValues, base.parameters, base.description);
+  } catch (error) {
+    logger.error(`Error generating sweep plot: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при построении прогноза зависимости. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Find the base recipe of a sweep: a visible experiment by ID, otherwise the last prediction
+ * of the user (/predict no longer saves an experiment), otherwise the latest saved experiment
+ * @param {string} userId - Telegram ID of the user
+ * @param {string} [baseExperimentId] - ID of the base experiment
+ * @returns {Promise<Object|null>} - { parameters, description }
+ */
+async function findSweepBase(userId, baseExperimentId) {
+  if (baseExperimentId) {
+    const experiment = await Experiment.findOne({
+      where: { ...(await getExperimentScope(userId)), experimentId: baseExperimentId }
+    });
+    return experiment ?
+      { parameters: experiment.parameters, description: `Базовый эксперимент: ${experiment.experimentId}` } :
+      null;
+  }
+  
+  // The recipe shown under the what-if buttons, including unsaved changes
+  const lastPrediction = await getState(userId, 'what_if');
+  if (lastPrediction) {
+    return {
+      parameters: convertParametersToObject(lastPrediction.values),
+      description: lastPrediction.experimentId ?
+        `Базовый рецепт: последний прогноз (эксперимент ${lastPrediction.experimentId})` :
+        'Базовый рецепт: последний прогноз'
+    };
+  }
+  
+  const experiment = await Experiment.findOne({
+    where: { userId },
+    order: [['createdAt', 'DESC']]
+  });
+  return experiment ?
+    { parameters: experiment.parameters, description: `Базовый эксперимент: ${experiment.experimentId}` } :
+    null;
+}
+
+/**
+ * Predict the sweep points around a base recipe and send the chart
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ * @param {Object} param - Parameter definition of the varied parameter
+ * @param {Array<number>} xValues - Values of the varied parameter
+ * @param {Object} baseParameters - Parameter object of the base recipe
+ * @param {string} baseDescription - Caption line naming the base recipe
+ */
+async function sendSweepPlot(bot, chatId, userId, param, xValues, baseParameters, baseDescription) {
+  const rows = xValues.map(value => toParameterArray({
+    ...baseParameters,
+    [param.name]: value
+  }));
+  
+  for (const row of rows) {
+    const validationResult = validateParameters(row);
+    if (!validationResult.valid) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Диапазон выходит за допустимые значения: ${validationResult.error}`
+      );
+      return;
+    }
+  }
+  
+  const processingMsg = await bot.sendMessage(
+    chatId,
+    '⏳ Выполняю прогнозирование для всех точек...'
+  );
+  
+  const predictions = await makeBatchPrediction(rows);
+  const sizes = predictions.map(prediction => prediction.size);
+  const pdis = predictions.map(prediction => prediction.pdi);
+  
+  // Create "temp" directory if it doesn't exist
+  const tempDir = path.join(__dirname, '../../../temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  
+  // Mark the point matching the base recipe, if it is part of the sweep
+  const chartOptions = {
+    title: `Прогноз зависимости от параметра: ${getParameterAxisLabel(param)}`,
+    xAxisLabel: getParameterAxisLabel(param),
+    yAxisLabel: 'Размер (нм) / PdI',
+    legendLabels: ['Прогноз размера (нм)', 'Прогноз PdI x 100'],
+    referenceIndex: xValues.indexOf(baseParameters[param.name])
   };
   
-  return displayNames[parameter.toLowerCase()] || parameter;
+  const chartPath = await generateChart(
+    xValues,
+    [sizes, pdis.map(val => val * 100)],
+    chartOptions,
+    path.join(tempDir, `sweep_${userId}_${Date.now()}.png`)
+  );
+  
+  await bot.deleteMessage(chatId, processingMsg.message_id);
+  
+  await bot.sendPhoto(
+    chatId,
+    fs.createReadStream(chartPath),
+    {
+      caption: `📉 Прогноз зависимости от параметра: ${getParameterAxisLabel(param)}\n` +
+              `${baseDescription}\n\n` +
+              `Размер: ${Math.min(...sizes).toFixed(1)} - ${Math.max(...sizes).toFixed(1)} нм\n` +
+              `PdI: ${Math.min(...pdis).toFixed(3)} - ${Math.max(...pdis).toFixed(3)}\n\n` +
+              'Значения PdI умножены на 100 для лучшей визуализации'
+    }
+  );
+  
+  // Clean up the temporary file
+  fs.unlinkSync(chartPath);
+  
+  logger.info(`Generated sweep plot for user ${userId}, parameter ${param.code}, ${xValues.length} points`);
+}
+
+/**
+ * Plot the predicted response to one parameter over its search range around a recipe
+ * that is not saved yet (the what-if buttons of prediction results)
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ * @param {Object} parameters - Parameter object of the recipe
+ * @param {Object} param - Parameter definition of the varied parameter
+ */
+async function generateRecipeSweepPlot(bot, chatId, userId, parameters, param) {
+  try {
+    const { min, max, step } = param.search;
+    const stepCount = Math.min(RECIPE_SWEEP_STEPS, Math.round((max - min) / step) + 1);
+    const xValues = [];
+    
+    for (let i = 0; i < stepCount; i++) {
+      const value = min + (max - min) * i / (stepCount - 1);
+      xValues.push(param.type !== 'number' ? Math.round(value) : parseFloat(value.toFixed(4)));
+    }
+    
+    // The current value is marked on the chart
+    if (!xValues.includes(parameters[param.name])) {
+      xValues.push(parameters[param.name]);
+      xValues.sort((a, b) => a - b);
+    }
+    
+    await sendSweepPlot(bot, chatId, userId, param, [...new Set(xValues)], parameters,
+      'Базовый рецепт: текущий вариант прогноза');
+  } catch (error) {
+    logger.error(`Error generating recipe sweep plot: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при построении прогноза зависимости. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Get the codes of the parameters that can be varied in a sweep
+ * @returns {Array<string>} - Parameter codes
+ */
+function getSweepParameterCodes() {
+  return PARAMETER_SCHEMA.filter(param => !param.derived).map(param => param.code);
 }
 
 module.exports = {
   generatePlot,
+  generateSweepPlot,
+  generateRecipeSweepPlot,
   generateCorrelationPlot,
   exportToCsv
 };
\ No newline at end of file
@@ -0,0 +1,201 @@
+const logger = require('../../utils/logger');
+const Experiment = require('../../database/models/Experiment');
+const { parseDesignTargets, designParameters } = require('../../ml/designService');
+const { getActiveModelDomains, assessApplicabilityDomain } = require('../../ml/applicabilityDomain');
+const { convertParametersToObject } = require('../../utils/parameterUtils');
+const { formatWithUncertainty, formatParametersCompact } = require('../../utils/displayUtils');
+const { getAdditionalPredictions } = require('../../utils/propertyUtils');
+const { getState, setState } = require('../../utils/conversationState');
+
+/**
+ * Handle the /design command
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} query - Target conditions, e.g. "size=80 pdi<0.15"
+ */
+async function handleDesign(bot, msg, query) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+
+  try {
+    if (!query) {
+      await bot.sendMessage(
+        chatId,
+        '🎯 *Подбор параметров синтеза*\n\n' +
+        'Укажите целевые характеристики частиц:\n\n' +
+        '• `size=80` - размер около 80 нм\n' +
+        '• `size<100`, `size>50` - ограничения на размер\n' +
+        '• `pdi<0.15` - ограничение на PdI\n' +
+        '• `n=5` - количество вариантов (до 10)\n\n' +
+        'Пример: `/design size=80 pdi<0.15`',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const parsed = parseDesignTargets(query);
+    if (parsed.error) {
+      await bot.sendMessage(
+        chatId,
+        `❌ ${parsed.error}\n\nПример: /design size=80 pdi<0.15`
+      );
+      return;
+    }
+
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      '⏳ Подбираю параметры синтеза, это может занять некоторое время...'
+    );
+
+    const candidates = await designParameters(parsed.targets, parsed.topN);
+
+    if (candidates.length === 0) {
+      await bot.editMessageText('❌ Не удалось подобрать параметры синтеза.', {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      });
+      return;
+    }
+
+    // Flag candidates outside the training data of the models
+    const domains = await getActiveModelDomains();
+    for (const candidate of candidates) {
+      const domain = await assessApplicabilityDomain(convertParametersToObject(candidate.values), domains);
+      candidate.isExtrapolation = domain.inDomain === false;
+      candidate.isDomainUnknown = domain.inDomain === null;
+    }
+    
+    // Last design results of the user, used by the "save" buttons of this message only
+    await setState(userId, 'design', { candidates, messageId: processingMsg.message_id });
+
+    let designText = `🎯 <b>Подобранные параметры синтеза</b>\n` +
+      `Цель: ${formatTargets(parsed.targets)}\n\n`;
+
+    candidates.forEach((candidate, index) => {
+      const params = convertParametersToObject(candidate.values);
+
+      designText += `<b>${index + 1}.</b> ${formatParametersCompact(params)}\n`;
+      designText += `Прогноз: размер=${formatWithUncertainty(candidate.prediction.size, candidate.prediction.sizeUncertainty, 1)} нм, `;
+      designText += `PdI=${formatWithUncertainty(candidate.prediction.pdi, candidate.prediction.pdiUncertainty, 3)}\n`;
+      if (candidate.isExtrapolation) {
+        designText += `⚠️ Вне области обучающих данных модели, прогноз может быть ненадежным\n`;
+      } else if (candidate.isDomainUnknown) {
+        designText += `❔ Область применимости модели не определена\n`;
+      }
+      designText += `Ввод для /predict: <code>${candidate.values.join(' ')}</code>\n\n`;
+    });
+
+    designText += 'Нажмите кнопку, чтобы сохранить вариант как планируемый эксперимент.';
+
+    // Two save buttons per row
+    const buttons = candidates.map((_, index) => ({
+      text: `💾 Сохранить №${index + 1}`,
+      callback_data: `design_save:${index}`
+    }));
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+      keyboard.push(buttons.slice(i, i + 2));
+    }
+
+    await bot.editMessageText(designText, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id,
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+
+    logger.info(`Inverse design for user ${userId}: ${query}, ${candidates.length} candidates`);
+  } catch (error) {
+    logger.error(`Error running inverse design: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при подборе параметров. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Save a design candidate as a planned experiment
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query from Telegram
+ */
+async function handleDesignCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const index = parseInt(query.data.split(':')[1]);
+
+  try {
+    const userState = await getState(userId, 'design');
+    
+    // Buttons of an older /design message would index into the candidates of a newer search
+    const isCurrent = userState && userState.messageId === query.message.message_id;
+    const candidate = isCurrent ? userState.candidates[index] : null;
+
+    if (!candidate) {
+      await bot.answerCallbackQuery(query.id, {
+        text: 'Результаты подбора устарели. Выполните /design снова.',
+        show_alert: true
+      });
+      return;
+    }
+
+    if (candidate.experimentId) {
+      await bot.answerCallbackQuery(query.id, {
+        text: `Вариант №${index + 1} уже сохранен.`
+      });
+      return;
+    }
+
+    const experiment = await Experiment.create({
+      parameters: convertParametersToObject(candidate.values),
+      predictedSize: candidate.prediction.size,
+      predictedPdI: candidate.prediction.pdi,
+      predictedSizeUncertainty: candidate.prediction.sizeUncertainty,
+      predictedPdIUncertainty: candidate.prediction.pdiUncertainty,
+      sizeModelId: candidate.prediction.sizeModelId,
+      pdiModelId: candidate.prediction.pdiModelId,
+      predictions: getAdditionalPredictions(candidate.prediction),
+      isExtrapolation: candidate.isExtrapolation,
+      userId
+    });
+    candidate.experimentId = experiment.experimentId;
+    await setState(userId, 'design', userState);
+
+    await bot.answerCallbackQuery(query.id, { text: `Вариант №${index + 1} сохранен` });
+    await bot.sendMessage(
+      chatId,
+      `💾 Вариант №${index + 1} сохранен как планируемый эксперимент.\n\n` +
+      `<b>ID эксперимента:</b> <code>${experiment.experimentId}</code>\n\n` +
+      `Чтобы добавить фактические результаты после синтеза, используйте команду:\n` +
+      `/add_result ${experiment.experimentId}`,
+      { parse_mode: 'HTML' }
+    );
+
+    logger.info(`User ${userId} saved design candidate ${index + 1} as experiment ${experiment.experimentId}`);
+  } catch (error) {
+    logger.error(`Error saving design candidate: ${error.message}`);
+    await bot.answerCallbackQuery(query.id, {
+      text: 'Произошла ошибка при сохранении варианта.',
+      show_alert: true
+    });
+  }
+}
+
+/**
+ * Format design targets for display
+ * @param {Object} targets - Target conditions
+ * @returns {string} - Formatted targets
+ */
+function formatTargets(targets) {
+  const names = { size: 'размер', pdi: 'PdI' };
+
+  return Object.entries(targets)
+    .map(([name, { operator, value }]) => `${names[name]} ${operator === '=' ? '≈' : operator} ${value}`)
+    .map(text => text.replace('<', '&lt;').replace('>', '&gt;'))
+    .join(', ');
+}
+
+module.exports = {
+  handleDesign,
+  handleDesignCallback
+};
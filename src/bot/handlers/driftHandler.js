@@ -0,0 +1,140 @@
+const logger = require('../../utils/logger');
+const { checkModelDrift, recordDriftAlert } = require('../../ml/driftMonitor');
+const { generateChart } = require('../../utils/chartUtils');
+const fs = require('fs');
+const path = require('path');
+
+// Number of results averaged for the rolling error line on the chart
+const CHART_ROLLING_WINDOW = 5;
+
+/**
+ * Check the models of an experiment for drift and alert the administrators
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} experiment - Experiment with newly saved actual results
+ */
+async function notifyModelDrift(bot, experiment) {
+  try {
+    const reports = await checkModelDrift(experiment);
+    if (reports.length === 0) return;
+
+    // Get admin IDs from environment variable
+    const adminIds = (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    // Create "temp" directory if it doesn't exist
+    const tempDir = path.join(__dirname, '../../../temp');
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    for (const report of reports) {
+      const summary = formatDriftSummary(report);
+      // One unreachable administrator must not keep the alert from the others
+      let sent = 0;
+      for (const adminId of adminIds) {
+        try {
+          await bot.sendMessage(adminId, summary, { parse_mode: 'HTML' });
+          sent++;
+        } catch (error) {
+          logger.error(`Error sending drift alert for model ${report.modelId} to ${adminId}: ${error.message}`);
+        }
+      }
+
+      logger.info(`Drift alert for model ${report.modelId} sent to ${sent} of ${adminIds.length} administrators`);
+
+      // Nobody got the alert, it is repeated with the next result instead of waiting out the cooldown
+      if (sent === 0) continue;
+      recordDriftAlert(report.modelId);
+
+      // The summary is already out, a chart failure only loses the chart
+      try {
+        const chartPath = await generateDriftChart(report, tempDir);
+
+        try {
+          for (const adminId of adminIds) {
+            try {
+              await bot.sendPhoto(
+                adminId,
+                fs.createReadStream(chartPath),
+                { caption: `📉 Ошибка модели ID ${report.modelId} по последним результатам` }
+              );
+            } catch (error) {
+              logger.error(`Error sending drift chart for model ${report.modelId} to ${adminId}: ${error.message}`);
+            }
+          }
+        } finally {
+          // Clean up the temporary file
+          fs.unlinkSync(chartPath);
+        }
+      } catch (error) {
+        logger.error(`Error sending drift chart for model ${report.modelId}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error checking model drift: ${error.message}`);
+  }
+}
+
+/**
+ * Format the administrator alert for a drifting model
+ * @param {Object} report - Drift report from the drift monitor
+ * @returns {string} - HTML message text
+ */
+function formatDriftSummary(report) {
+  const decimals = report.target === 'size' ? 1 : 3;
+  const unit = report.target === 'size' ? ' нм' : '';
+  const format = (value) => `${value.toFixed(decimals)}${unit}`;
+  const modelName = report.model ? `${report.model.name}, версия ${report.model.version}` : report.target;
+
+  let text = `⚠️ <b>Дрейф модели</b> (ID ${report.modelId}, ${modelName})\n\n` +
+    `Последние ${report.errors.length} результатов:\n` +
+    `• Средняя абсолютная ошибка: ${format(report.mae)} (порог ${format(report.threshold)})\n` +
+    `• Первая половина: ${format(report.olderMae)}, вторая половина: ${format(report.recentMae)}\n\n`;
+
+  if (report.thresholdExceeded) {
+    text += '• Ошибка превысила порог\n';
+  }
+  if (report.trendingUp) {
+    text += `• Ошибка растет: во второй половине в ${(report.recentMae / report.olderMae).toFixed(1)} раза выше ` +
+      `(допустимо до ${report.trendRatio})\n`;
+  }
+
+  text += '\nВозможно, условия в лаборатории изменились. ' +
+    'Проверьте модель (/admin model evaluate) или переобучите ее (/admin model retrain).';
+
+  return text;
+}
+
+/**
+ * Plot the absolute error of each result with its rolling mean and the threshold
+ * @param {Object} report - Drift report from the drift monitor
+ * @param {string} tempDir - Directory for the chart file
+ * @returns {Promise<string>} - Path to the chart
+ */
+async function generateDriftChart(report, tempDir) {
+  const rollingMae = report.errors.map((_, i) => {
+    const window = report.errors.slice(Math.max(0, i - CHART_ROLLING_WINDOW + 1), i + 1);
+    return window.reduce((sum, value) => sum + value, 0) / window.length;
+  });
+
+  const label = report.target === 'size' ? 'Ошибка размера (нм)' : 'Ошибка PdI';
+
+  return generateChart(
+    report.errors.map((_, i) => i + 1),
+    [report.errors, rollingMae, report.errors.map(() => report.threshold)],
+    {
+      title: `Дрейф модели ID ${report.modelId}`,
+      xAxisLabel: 'Результат (от старых к новым)',
+      yAxisLabel: label,
+      legendLabels: [
+        'Абсолютная ошибка',
+        `Скользящее среднее (${CHART_ROLLING_WINDOW})`,
+        'Порог'
+      ]
+    },
+    path.join(tempDir, `drift_${report.modelId}_${Date.now()}.png`)
+  );
+}
+
+module.exports = {
+  notifyModelDrift
+};
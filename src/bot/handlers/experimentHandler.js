@@ -1,9 +1,30 @@
 const logger = require('../../utils/logger');
 const Experiment = require('../../database/models/Experiment');
-const { formatExperimentForDisplay } = require('../../utils/displayUtils');
+const { makeExperimentPrediction, invalidateCalibratedUncertainty } = require('../../ml/predictionService');
+const { computeMetrics } = require('../../ml/modelEvaluation');
+const { notifyModelDrift } = require('./driftHandler');
+const {
+  formatExperimentForDisplay,
+  formatWithUncertainty,
+  formatParametersCompact,
+  formatPropertyValue,
+  formatAdditionalProperties
+} = require('../../utils/displayUtils');
+const {
+  MEASURED_PROPERTIES,
+  parsePropertyValue,
+  getActualValue,
+  setActualValue,
+  getPredictedValue
+} = require('../../utils/propertyUtils');
+const { getState, setState, clearState } = require('../../utils/conversationState');
+const { getExperimentScope } = require('../middlewares/authMiddleware');
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
 
-// State storage for ongoing add result operations
-const addResultState = new Map();
+// Experiments listed in the /repredict message, the rest go to the CSV file
+const MAX_REPREDICT_MESSAGE_ROWS = 10;
 
 /**
  * Start the process of adding actual results to an experiment
@@ -42,7 +63,7 @@ async function startAddResult(bot, msg, experimentId) {
       );
       
       // Set state for confirmation
-      addResultState.set(userId, {
+      await setState(userId, 'add_result', {
         state: 'awaiting_overwrite_confirmation',
         experimentId
       });
@@ -57,15 +78,16 @@ async function startAddResult(bot, msg, experimentId) {
       chatId,
       `📊 *Добавление фактических результатов*\n\n` +
       `*Детали эксперимента:*\n${experimentDisplay}\n\n` +
-      `Пожалуйста, введите фактический размер частиц (нм):\n` +
-      `(число > 0, например: 125.4)`,
+      formatPropertyPrompt(MEASURED_PROPERTIES[0]),
       { parse_mode: 'Markdown' }
     );
     
-    // Set state for size input
-    addResultState.set(userId, {
-      state: 'awaiting_actual_size',
-      experimentId
+    // Measured properties are asked one by one in the order of config/properties.json
+    await setState(userId, 'add_result', {
+      state: 'awaiting_property',
+      experimentId,
+      propertyIndex: 0,
+      values: {}
     });
     
     logger.info(`Started add result process for user ${userId}, experiment ${experimentId}`);
@@ -88,19 +110,12 @@ async function handleAddResultResponse(bot, msg) {
   
   const chatId = msg.chat.id;
   const userId = msg.from.id.toString();
-  const userState = addResultState.get(userId);
-  
-  // If the user is not in an add result state, do nothing
-  if (!userState) return;
   
   try {
-    // Check for cancel command
-    if (msg.text.toLowerCase() === '/cancel') {
-      addResultState.delete(userId);
-      await bot.sendMessage(chatId, '🛑 Операция отменена.');
-      logger.info(`Add result cancelled by user ${userId}`);
-      return;
-    }
+    const userState = await getState(userId, 'add_result');
+    
+    // If the user is not in an add result state, do nothing
+    if (!userState) return;
     
     switch (userState.state) {
       case 'awaiting_overwrite_confirmation':
@@ -119,95 +134,63 @@ async function handleAddResultResponse(bot, msg) {
             chatId,
             `📊 *Обновление фактических результатов*\n\n` +
             `*Детали эксперимента:*\n${experimentDisplay}\n\n` +
-            `Пожалуйста, введите фактический размер частиц (нм):\n` +
-            `(число > 0, например: 125.4)`,
+            formatPropertyPrompt(MEASURED_PROPERTIES[0]),
             { parse_mode: 'Markdown' }
           );
           
           // Update state
-          userState.state = 'awaiting_actual_size';
-          addResultState.set(userId, userState);
+          await setState(userId, 'add_result', {
+            state: 'awaiting_property',
+            experimentId: userState.experimentId,
+            propertyIndex: 0,
+            values: {}
+          });
         } else {
           // Cancel overwrite
-          addResultState.delete(userId);
+          await clearState(userId, 'add_result');
           await bot.sendMessage(chatId, '🛑 Операция отменена.');
           logger.info(`Add result overwrite cancelled by user ${userId}`);
         }
         break;
         
-      case 'awaiting_actual_size':
-        const sizeInput = msg.text.trim();
-        const size = parseFloat(sizeInput);
+      case 'awaiting_property':
+        const property = MEASURED_PROPERTIES[userState.propertyIndex];
+        const input = msg.text.trim();
+        let value = null;
         
-        if (isNaN(size) || size <= 0) {
-          await bot.sendMessage(
-            chatId,
-            '❌ Неверный формат. Пожалуйста, введите положительное число для размера частиц.'
-          );
-          return;
+        // Optional properties that were not measured are skipped with "-"
+        if (!(property.optional && input === '-')) {
+          const parsed = parsePropertyValue(property, input);
+          
+          if (!parsed.valid) {
+            await bot.sendMessage(chatId, `❌ Неверный формат. ${parsed.error}`);
+            return;
+          }
+          
+          value = parsed.value;
         }
         
-        // Store size and ask for PdI
-        userState.actualSize = size;
-        userState.state = 'awaiting_actual_pdi';
-        addResultState.set(userId, userState);
-        
-        await bot.sendMessage(
-          chatId,
-          `✅ Размер частиц: ${size} нм\n\n` +
-          `Теперь введите фактический PdI:\n` +
-          `(число >= 0, например: 0.123)`
-        );
-        break;
-        
-      case 'awaiting_actual_pdi':
-        const pdiInput = msg.text.trim();
-        const pdi = parseFloat(pdiInput);
+        userState.values[property.name] = value;
+        userState.propertyIndex++;
         
-        if (isNaN(pdi) || pdi < 0) {
+        if (userState.propertyIndex < MEASURED_PROPERTIES.length) {
+          await setState(userId, 'add_result', userState);
+          
+          const accepted = value === null ?
+            `⏭ ${property.fullName}: не измерялось` :
+            `✅ ${property.fullName}: ${formatPropertyValue(property, value)}`;
+          
           await bot.sendMessage(
             chatId,
-            '❌ Неверный формат. Пожалуйста, введите неотрицательное число для PdI.'
+            `${accepted}\n\n${formatPropertyPrompt(MEASURED_PROPERTIES[userState.propertyIndex])}`
           );
           return;
         }
         
-        // Update experiment with actual results
-        const experiment = await Experiment.findOne({
-          where: {
-            experimentId: userState.experimentId,
-            userId
-          }
-        });
-        
-        // Calculate differences
-        const sizeDiff = ((userState.actualSize - experiment.predictedSize) / experiment.predictedSize * 100).toFixed(1);
-        const pdiDiff = ((pdi - experiment.predictedPdI) / experiment.predictedPdI * 100).toFixed(1);
-        
-        // Update experiment
-        experiment.actualSize = userState.actualSize;
-        experiment.actualPdI = pdi;
-        await experiment.save();
-        
         // Clear state
-        addResultState.delete(userId);
-        
-        // Send confirmation
-        await bot.sendMessage(
-          chatId,
-          `✅ *Фактические результаты сохранены!*\n\n` +
-          `*ID эксперимента:* \`${experiment.experimentId}\`\n\n` +
-          `*Прогноз:*\n` +
-          `• Размер: ${experiment.predictedSize.toFixed(1)} нм\n` +
-          `• PdI: ${experiment.predictedPdI.toFixed(3)}\n\n` +
-          `*Факт:*\n` +
-          `• Размер: ${userState.actualSize.toFixed(1)} нм (${sizeDiff}%)\n` +
-          `• PdI: ${pdi.toFixed(3)} (${pdiDiff}%)\n\n` +
-          `Для просмотра истории экспериментов используйте команду /history`,
-          { parse_mode: 'Markdown' }
-        );
+        await clearState(userId, 'add_result');
         
-        logger.info(`User ${userId} added results for experiment ${experiment.experimentId}`);
+        await saveAddResult(bot, chatId, userId, userState);
         break;
     }
   } catch (error) {
@@ -216,12 +199,94 @@ async function handleAddResultResponse(bot, msg) {
       chatId,
       '❌ Произошла ошибка при обработке ввода. Пожалуйста, попробуйте позже.'
     );
-    addResultState.delete(userId);
+    await clearState(userId, 'add_result');
+  }
+}
+
+/**
+ * Describe the value expected for a measured property
+ * @param {Object} property - Property definition
+ * @returns {string} - Prompt text
+ */
+function formatPropertyPrompt(property) {
+  const unit = property.unit ? ` (${property.unit})` : '';
+  
+  let range = 'число';
+  if (property.min !== undefined && property.max !== undefined) {
+    range = `число от ${property.min} до ${property.max}`;
+  } else if (property.min !== undefined) {
+    range = `число ${property.exclusiveMin ? '>' : '>='} ${property.min}`;
+  }
+  
+  return `Пожалуйста, введите фактическое значение: ${property.fullName}${unit}\n` +
+    `(${range}, например: ${property.example})` +
+    (property.optional ? '\nЕсли это свойство не измерялось, отправьте "-".' : '');
+}
+
+/**
+ * Save the entered measured values and report them next to the predictions
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ * @param {Object} userState - Add result state with the entered values
+ */
+async function saveAddResult(bot, chatId, userId, userState) {
+  const experiment = await Experiment.findOne({
+    where: {
+      experimentId: userState.experimentId,
+      userId
+    }
+  });
+  
+  for (const property of MEASURED_PROPERTIES) {
+    setActualValue(experiment, property, userState.values[property.name]);
+  }
+  experiment.resultsAddedAt = new Date();
+  // Changed results have to be approved again
+  experiment.resultsApprovedBy = null;
+  experiment.resultsApprovedAt = null;
+  await experiment.save();
+  // The calibrated uncertainty of the models includes this experiment now
+  invalidateCalibratedUncertainty();
+  
+  const predictedLines = [];
+  const actualLines = [];
+  
+  for (const property of MEASURED_PROPERTIES) {
+    const predicted = getPredictedValue(experiment, property);
+    const actual = getActualValue(experiment, property);
+    
+    if (predicted) {
+      predictedLines.push(`• ${property.label}: ${formatPropertyValue(property, predicted.value)}`);
+    }
+    
+    if (actual !== null) {
+      // Differences are relative to the prediction
+      const diff = predicted && predicted.value !== 0 ?
+        ` (${((actual - predicted.value) / predicted.value * 100).toFixed(1)}%)` : '';
+      actualLines.push(`• ${property.label}: ${formatPropertyValue(property, actual)}${diff}`);
+    }
   }
+  
+  await bot.sendMessage(
+    chatId,
+    `✅ *Фактические результаты сохранены!*\n\n` +
+    `*ID эксперимента:* \`${experiment.experimentId}\`\n\n` +
+    `*Прогноз:*\n${predictedLines.join('\n')}\n\n` +
+    `*Факт:*\n${actualLines.join('\n')}\n\n` +
+    `Для просмотра истории экспериментов используйте команду /history`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  logger.info(`User ${userId} added results for experiment ${experiment.experimentId}`);
+  
+  // Alert the administrators if the models have drifted, without delaying the user
+  notifyModelDrift(bot, experiment);
 }
 
 /**
- * Show experiment history for a user
+ * Show experiment history for a user: the user's own experiments, or everyone's
+ * for roles that may view all data
  * @param {TelegramBot} bot - Telegram bot instance
  * @param {Object} msg - Message object from Telegram
  * @param {number|null} limit - Maximum number of experiments to show
@@ -234,9 +299,10 @@ async function showHistory(bot, msg, limit) {
     // Default limit to 10 if not specified
     const actualLimit = limit || 10;
     
-    // Get experiments for the user
+    // Get experiments visible to the user
+    const scope = await getExperimentScope(userId);
     const experiments = await Experiment.findAll({
-      where: { userId },
+      where: scope,
       order: [['createdAt', 'DESC']],
       limit: actualLimit
     });
@@ -254,13 +320,23 @@ async function showHistory(bot, msg, limit) {
     
     for (const exp of experiments) {
       const date = new Date(exp.createdAt).toLocaleDateString('ru-RU');
-      const params = exp.parameters;
       
       historyText += `*ID:* \`${exp.experimentId}\`\n`;
+      if (!scope.userId) {
+        historyText += `*Пользователь:* ${exp.userId}\n`;
+      }
       historyText += `*Дата:* ${date}\n`;
-      historyText += `*Параметры:* Eu=${params.euConcentration}, Фен=${params.phenanthrolineConcentration}, `;
-      historyText += `Лиг=${params.ligandConcentration} тип ${params.ligandType}, pH=${params.phBsa}\n`;
-      historyText += `*Прогноз:* Размер=${exp.predictedSize.toFixed(1)} нм, PdI=${exp.predictedPdI.toFixed(3)}\n`;
+      historyText += `*Параметры:* ${formatParametersCompact(exp.parameters)}\n`;
+      historyText += `*Прогноз:* Размер=${formatWithUncertainty(exp.predictedSize, exp.predictedSizeUncertainty, 1)} нм, `;
+      historyText += `PdI=${formatWithUncertainty(exp.predictedPdI, exp.predictedPdIUncertainty, 3)}\n`;
+      
+      if (exp.sizeModelId || exp.pdiModelId) {
+        historyText += `*Модели:* размер ID ${exp.sizeModelId || '?'}, PdI ID ${exp.pdiModelId || '?'}\n`;
+      }
+      
+      if (exp.isExtrapolation) {
+        historyText += `⚠️ Прогноз вне области обучающих данных модели\n`;
+      }
       
       if (exp.actualSize !== null && exp.actualPdI !== null) {
         const sizeDiff = ((exp.actualSize - exp.predictedSize) / exp.predictedSize * 100).toFixed(1);
@@ -268,17 +344,28 @@ async function showHistory(bot, msg, limit) {
         
         historyText += `*Факт:* Размер=${exp.actualSize.toFixed(1)} нм (Δ=${sizeDiff}%), `;
         historyText += `PdI=${exp.actualPdI.toFixed(3)} (Δ=${pdiDiff}%)\n`;
+        
+        if (exp.resultsApprovedAt) {
+          historyText += `✅ Результаты подтверждены ${new Date(exp.resultsApprovedAt).toLocaleDateString('ru-RU')}\n`;
+        }
       } else {
         historyText += `*Факт:* Не указан\n`;
       }
       
+      const additional = formatAdditionalProperties(exp);
+      if (additional.length > 0) {
+        historyText += `*Другие свойства:* ${additional.join('; ')}\n`;
+      }
+      
       historyText += `\n`;
     }
     
     historyText += `Для добавления фактических результатов используйте:\n`;
     historyText += `/add_result ID_эксперимента\n\n`;
     historyText += `Для построения графиков используйте:\n`;
-    historyText += `/plot параметр [ID_эксперимента_опорного]`;
+    historyText += `/plot параметр [ID_эксперимента_опорного]\n\n`;
+    historyText += `Чтобы сравнить прогнозы с текущими моделями, используйте:\n`;
+    historyText += `/repredict all или /repredict ID_эксперимента`;
     
     await bot.sendMessage(chatId, historyText, { parse_mode: 'Markdown' });
     logger.info(`Showed history for user ${userId}, ${experiments.length} experiments`);
@@ -291,8 +378,245 @@ async function showHistory(bot, msg, limit) {
   }
 }
 
+/**
+ * Approve the measured results of an experiment of any user
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} experimentId - ID of the experiment
+ */
+async function approveResults(bot, msg, experimentId) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  try {
+    if (!experimentId) {
+      await bot.sendMessage(
+        chatId,
+        'Пожалуйста, укажите ID эксперимента: /approve ID\n\nID экспериментов всех пользователей показывает /history.'
+      );
+      return;
+    }
+    
+    const experiment = await Experiment.findOne({
+      where: { experimentId }
+    });
+    
+    if (!experiment) {
+      await bot.sendMessage(chatId, '❌ Эксперимент не найден. Проверьте ID эксперимента.');
+      return;
+    }
+    
+    if (experiment.actualSize === null || experiment.actualPdI === null) {
+      await bot.sendMessage(
+        chatId,
+        '⚠️ Для этого эксперимента еще не добавлены фактические результаты, подтверждать нечего.'
+      );
+      return;
+    }
+    
+    if (experiment.resultsApprovedAt) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ Результаты уже подтверждены ${new Date(experiment.resultsApprovedAt).toLocaleDateString('ru-RU')} (пользователь ${experiment.resultsApprovedBy}).`
+      );
+      return;
+    }
+    
+    experiment.resultsApprovedBy = userId;
+    experiment.resultsApprovedAt = new Date();
+    await experiment.save();
+    
+    await bot.sendMessage(
+      chatId,
+      `✅ Результаты эксперимента ${experiment.experimentId} (пользователь ${experiment.userId}) подтверждены.`
+    );
+    
+    logger.info(`User ${userId} approved results of experiment ${experiment.experimentId}`);
+  } catch (error) {
+    logger.error(`Error approving results: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при подтверждении результатов. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Re-run past experiments on the current models and compare with the stored predictions
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} scope - "all" or an experiment ID
+ */
+async function repredictExperiments(bot, msg, scope) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  try {
+    if (!scope) {
+      await bot.sendMessage(
+        chatId,
+        '🔁 *Повторный прогноз*\n\n' +
+        'Пересчитывает прошлые эксперименты текущими моделями и показывает старый и новый прогноз ' +
+        'рядом с фактическими результатами:\n\n' +
+        '• `/repredict all` - все ваши эксперименты\n' +
+        '• `/repredict ID_эксперимента` - один эксперимент\n\n' +
+        'Сохраненные прогнозы не изменяются.',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    // "all" is the user's own experiments, a single experiment may be any visible one
+    const where = scope.toLowerCase() === 'all' ?
+      { userId } :
+      { ...(await getExperimentScope(userId)), experimentId: scope };
+    
+    let experiments;
+    try {
+      experiments = await Experiment.findAll({
+        where,
+        order: [['createdAt', 'DESC']]
+      });
+    } catch (error) {
+      // Not a valid experiment ID
+      experiments = [];
+    }
+    
+    if (experiments.length === 0) {
+      await bot.sendMessage(
+        chatId,
+        scope.toLowerCase() === 'all' ?
+          '📝 У вас пока нет истории экспериментов. Используйте команду /predict для создания прогноза.' :
+          '❌ Эксперимент с указанным ID не найден или не принадлежит вам.'
+      );
+      return;
+    }
+    
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      `⏳ Пересчитываю прогнозы для ${experiments.length} экспериментов...`
+    );
+    
+    const predictions = await makeExperimentPrediction(experiments.map(exp => exp.parameters));
+    const rows = experiments.map((exp, index) => ({ exp, prediction: predictions[index] }));
+    
+    const modelIds = `размер ID ${predictions[0].sizeModelId || '?'}, PdI ID ${predictions[0].pdiModelId || '?'}`;
+    let repredictText = `🔁 <b>Повторный прогноз текущими моделями</b> (${modelIds})\n\n`;
+    
+    for (const { exp, prediction } of rows.slice(0, MAX_REPREDICT_MESSAGE_ROWS)) {
+      const date = new Date(exp.createdAt).toLocaleDateString('ru-RU');
+      
+      repredictText += `<code>${exp.experimentId}</code> (${date})\n`;
+      repredictText += `Размер: ${exp.predictedSize.toFixed(1)} (модель ${exp.sizeModelId || '?'}) → ` +
+        `${prediction.size.toFixed(1)} нм, факт ${exp.actualSize !== null ? exp.actualSize.toFixed(1) : '—'}\n`;
+      repredictText += `PdI: ${exp.predictedPdI.toFixed(3)} (модель ${exp.pdiModelId || '?'}) → ` +
+        `${prediction.pdi.toFixed(3)}, факт ${exp.actualPdI !== null ? exp.actualPdI.toFixed(3) : '—'}\n\n`;
+    }
+    
+    if (rows.length > MAX_REPREDICT_MESSAGE_ROWS) {
+      repredictText += `Показаны последние ${MAX_REPREDICT_MESSAGE_ROWS} из ${rows.length}, полный список - в файле.\n\n`;
+    }
+    
+    // Compare the errors of the old and new predictions where results were measured
+    const measuredSize = rows.filter(({ exp }) => exp.actualSize !== null);
+    const measuredPdi = rows.filter(({ exp }) => exp.actualPdI !== null);
+    
+    if (measuredSize.length > 0) {
+      const actual = measuredSize.map(({ exp }) => exp.actualSize);
+      const oldMae = computeMetrics(actual, measuredSize.map(({ exp }) => exp.predictedSize)).mae;
+      const newMae = computeMetrics(actual, measuredSize.map(({ prediction }) => prediction.size)).mae;
+      repredictText += `MAE размера (${measuredSize.length} эксп.): было ${oldMae.toFixed(1)}, стало ${newMae.toFixed(1)} нм\n`;
+    }
+    
+    if (measuredPdi.length > 0) {
+      const actual = measuredPdi.map(({ exp }) => exp.actualPdI);
+      const oldMae = computeMetrics(actual, measuredPdi.map(({ exp }) => exp.predictedPdI)).mae;
+      const newMae = computeMetrics(actual, measuredPdi.map(({ prediction }) => prediction.pdi)).mae;
+      repredictText += `MAE PdI (${measuredPdi.length} эксп.): было ${oldMae.toFixed(3)}, стало ${newMae.toFixed(3)}\n`;
+    }
+    
+    repredictText += '\nСохраненные прогнозы не изменены.';
+    
+    await bot.editMessageText(repredictText, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id,
+      parse_mode: 'HTML'
+    });
+    
+    if (rows.length > MAX_REPREDICT_MESSAGE_ROWS) {
+      await sendRepredictCsv(bot, chatId, userId, rows);
+    }
+    
+    logger.info(`Re-predicted ${rows.length} experiments for user ${userId}`);
+  } catch (error) {
+    logger.error(`Error re-predicting experiments: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при повторном прогнозировании. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Send the full /repredict comparison as a CSV file
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ * @param {Array<Object>} rows - Experiments with their new predictions
+ */
+async function sendRepredictCsv(bot, chatId, userId, rows) {
+  // Create "temp" directory if it doesn't exist
+  const tempDir = path.join(__dirname, '../../../temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+  
+  const csvFilePath = path.join(tempDir, `repredict_${userId}_${Date.now()}.csv`);
+  
+  const csvWriter = createObjectCsvWriter({
+    path: csvFilePath,
+    header: [
+      { id: 'id', title: 'ID эксперимента' },
+      { id: 'date', title: 'Дата' },
+      { id: 'oldSize', title: 'Прежний прогноз размера (нм)' },
+      { id: 'oldSizeModelId', title: 'ID прежней модели размера' },
+      { id: 'newSize', title: 'Новый прогноз размера (нм)' },
+      { id: 'actualSize', title: 'Факт. размер (нм)' },
+      { id: 'oldPdI', title: 'Прежний прогноз PdI' },
+      { id: 'oldPdIModelId', title: 'ID прежней модели PdI' },
+      { id: 'newPdI', title: 'Новый прогноз PdI' },
+      { id: 'actualPdI', title: 'Факт. PdI' }
+    ]
+  });
+  
+  await csvWriter.writeRecords(rows.map(({ exp, prediction }) => ({
+    id: exp.experimentId,
+    date: new Date(exp.createdAt).toLocaleDateString('ru-RU'),
+    oldSize: exp.predictedSize.toFixed(1),
+    oldSizeModelId: exp.sizeModelId || '',
+    newSize: prediction.size.toFixed(1),
+    actualSize: exp.actualSize !== null ? exp.actualSize.toFixed(1) : '',
+    oldPdI: exp.predictedPdI.toFixed(3),
+    oldPdIModelId: exp.pdiModelId || '',
+    newPdI: prediction.pdi.toFixed(3),
+    actualPdI: exp.actualPdI !== null ? exp.actualPdI.toFixed(3) : ''
+  })));
+  
+  await bot.sendDocument(
+    chatId,
+    fs.createReadStream(csvFilePath),
+    { caption: `🔁 Повторный прогноз (${rows.length} экспериментов)` },
+    { filename: `repredict_${new Date().toISOString().slice(0, 10)}.csv`, contentType: 'text/csv' }
+  );
+  
+  // Clean up the temporary file
+  fs.unlinkSync(csvFilePath);
+}
+
 module.exports = {
   startAddResult,
   handleAddResultResponse,
-  showHistory
+  showHistory,
+  approveResults,
+  repredictExperiments
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+const logger = require('../../utils/logger');
+const Experiment = require('../../database/models/Experiment');
+const { explainPrediction, rankSensitivities } = require('../../ml/explainService');
+const { generateChart } = require('../../utils/chartUtils');
+const { getExperimentScope } = require('../middlewares/authMiddleware');
+const fs = require('fs');
+const path = require('path');
+
+// Display settings of each output
+const OUTPUTS = {
+  size: { name: 'Размер', unit: ' нм', decimals: 1 },
+  pdi: { name: 'PdI', unit: '', decimals: 3 }
+};
+
+/**
+ * Handle the /explain command: local sensitivities of the predictions around a stored recipe
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} experimentId - ID of the experiment to explain
+ */
+async function handleExplain(bot, msg, experimentId) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+
+  // Create "temp" directory if it doesn't exist
+  const tempDir = path.join(__dirname, '../../../temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  const chartPaths = [];
+
+  try {
+    if (!experimentId) {
+      await bot.sendMessage(
+        chatId,
+        '🧭 *Чувствительность прогноза*\n\n' +
+        'Показывает, изменение каких параметров сильнее всего влияет на прогноз размера и PdI ' +
+        'для сохраненного рецепта.\n\n' +
+        'Использование:\n' +
+        '`/explain ID_эксперимента`\n\n' +
+        'ID эксперимента можно получить из истории (/history)',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    let experiment = null;
+    try {
+      experiment = await Experiment.findOne({
+        where: { ...(await getExperimentScope(userId)), experimentId }
+      });
+    } catch (error) {
+      // Not a valid experiment ID
+    }
+
+    if (!experiment) {
+      await bot.sendMessage(
+        chatId,
+        '❌ Эксперимент не найден или вы не имеете к нему доступа. Проверьте ID эксперимента.'
+      );
+      return;
+    }
+
+    const processingMsg = await bot.sendMessage(
+      chatId,
+      '⏳ Рассчитываю чувствительность прогноза к параметрам...'
+    );
+
+    const explanation = await explainPrediction(experiment.parameters);
+
+    let explainText = `🧭 <b>Чувствительность прогноза</b>\n` +
+      `Эксперимент <code>${experiment.experimentId}</code>\n\n` +
+      `Текущие модели: размер ${explanation.base.size.toFixed(1)} нм, PdI ${explanation.base.pdi.toFixed(3)}\n` +
+      `Непрерывные параметры изменены на ±10%, pH - на ±1.\n\n`;
+
+    for (const [target, output] of Object.entries(OUTPUTS)) {
+      const ranked = rankSensitivities(explanation.sensitivities, target);
+      const format = (change) => change === null ? '—' :
+        `${change[target] >= 0 ? '+' : ''}${change[target].toFixed(output.decimals)}${output.unit}`;
+
+      explainText += `<b>${output.name}: что влияет сильнее всего</b>\n`;
+      ranked.forEach((sensitivity, index) => {
+        explainText += `${index + 1}. ${sensitivity.label} (${sensitivity.value}): ` +
+          `уменьшение ${format(sensitivity.decrease)}, увеличение ${format(sensitivity.increase)}\n`;
+      });
+      explainText += '\n';
+    }
+
+    if (explanation.ligandAlternatives.length > 0) {
+      explainText += '<b>Другой вид лиганда:</b>\n';
+      for (const alternative of explanation.ligandAlternatives) {
+        explainText += `• ${alternative.name} (${alternative.code}): ` +
+          `размер ${alternative.size >= 0 ? '+' : ''}${alternative.size.toFixed(1)} нм, ` +
+          `PdI ${alternative.pdi >= 0 ? '+' : ''}${alternative.pdi.toFixed(3)}\n`;
+      }
+    }
+
+    await bot.editMessageText(explainText, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id,
+      parse_mode: 'HTML'
+    });
+
+    for (const [target, output] of Object.entries(OUTPUTS)) {
+      const ranked = rankSensitivities(explanation.sensitivities, target);
+
+      const chartPath = await generateChart(
+        ranked.map(sensitivity => sensitivity.label),
+        [
+          ranked.map(sensitivity => sensitivity.decrease ? sensitivity.decrease[target] : null),
+          ranked.map(sensitivity => sensitivity.increase ? sensitivity.increase[target] : null)
+        ],
+        {
+          title: `Чувствительность прогноза: ${output.name}`,
+          isTornado: true,
+          xAxisLabel: `Изменение прогноза${output.unit ? ` (${output.unit.trim()})` : ''}`,
+          legendLabels: ['Параметр уменьшен', 'Параметр увеличен']
+        },
+        path.join(tempDir, `explain_${target}_${userId}_${Date.now()}.png`)
+      );
+      chartPaths.push(chartPath);
+
+      await bot.sendPhoto(
+        chatId,
+        fs.createReadStream(chartPath),
+        { caption: `🧭 ${output.name}: изменение прогноза при изменении каждого параметра` }
+      );
+    }
+
+    logger.info(`Explained prediction of experiment ${experiment.experimentId} for user ${userId}`);
+  } catch (error) {
+    logger.error(`Error explaining prediction: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при расчете чувствительности. Пожалуйста, попробуйте позже.'
+    );
+  } finally {
+    // Clean up temporary files
+    for (const chartPath of chartPaths) {
+      if (fs.existsSync(chartPath)) {
+        fs.unlinkSync(chartPath);
+      }
+    }
+  }
+}
+
+module.exports = {
+  handleExplain
+};
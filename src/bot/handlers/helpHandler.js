@@ -1,4 +1,101 @@
 const logger = require('../../utils/logger');
+const {
+  PARAMETER_SCHEMA,
+  LIGAND_TYPES,
+  getParameter,
+  getCategoryCodes,
+  getExampleParameters
+} = require('../../utils/parameterUtils');
+const { MEASURED_PROPERTIES } = require('../../utils/propertyUtils');
+const { getCommands } = require('../commandRouter');
+const {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolesWithPermission
+} = require('../middlewares/authMiddleware');
+
+// Parameter codes in input order, optional ones in brackets (eu phen ... [rate])
+const PARAMETER_INPUT_FORMAT = PARAMETER_SCHEMA
+  .map(param => (param.optional ? `[${param.code}]` : param.code))
+  .join(' ');
+
+/**
+ * List parameter codes with their names for the help text
+ * @param {boolean} withUnits - Whether to add units to the names
+ * @returns {string} - One line per parameter
+ */
+function formatParameterCodes(withUnits) {
+  return PARAMETER_SCHEMA
+    .map(param => `• \`${param.code}\` - ${param.fullName}${withUnits && param.unit ? ` (${param.unit})` : ''}`)
+    .join('\n');
+}
+
+/**
+ * List registered commands with their usage and description for the help text
+ * @param {Array<Object>} commands - Command declarations
+ * @returns {string} - One line per command
+ */
+function formatCommandList(commands) {
+  return commands
+    .map(command => `• \`${command.usage}\` - ${command.description.replace(/_/g, '\\_')}`)
+    .join('\n');
+}
+
+/**
+ * Help generated from the registry for commands without a detailed description
+ * (e.g. "admin user add"), or for all commands starting with the given words
+ * @param {string} cmd - Command name in lowercase
+ * @returns {string|null} - Help text, null if no command matches
+ */
+function formatRegistryHelp(cmd) {
+  const commands = getCommands().filter(command => command.name === cmd || command.name.startsWith(`${cmd} `));
+  
+  if (commands.length === 0) return null;
+  
+  if (commands.length > 1) {
+    return `📋 *Команды /${cmd.replace(/_/g, '\\_')}*\n\n${formatCommandList(commands)}\n`;
+  }
+  
+  const [command] = commands;
+  return `📋 *Команда /${command.name.replace(/_/g, '\\_')}*\n\n` +
+    `${command.description.replace(/_/g, '\\_')}\n\n` +
+    `*Использование:*\n\`${command.usage}\`\n\n` +
+    `*Доступ:* ${formatPermissionRoles(command.permission)}\n`;
+}
+
+/**
+ * Describe who has a permission, e.g. "исследователь, руководитель лаборатории, администратор"
+ * @param {string} permission - Permission (PERMISSIONS)
+ * @returns {string} - Role names
+ */
+function formatPermissionRoles(permission) {
+  return permission === PERMISSIONS.PUBLIC ?
+    'все пользователи' :
+    getRolesWithPermission(permission).map(role => ROLE_NAMES[role]).join(', ');
+}
+
+/**
+ * Describe the roles for the help text: every role lists the commands it adds
+ * to the previous one
+ * @returns {string} - One line per role
+ */
+function formatRoleList() {
+  const roles = Object.values(ROLES);
+
+  return roles
+    .map((role, index) => {
+      const previous = index > 0 ? ROLE_PERMISSIONS[roles[index - 1]] : [];
+      const added = ROLE_PERMISSIONS[role].filter(permission => !previous.includes(permission));
+      const commands = [...new Set(getCommands()
+        .filter(command => added.includes(command.permission))
+        .map(command => `/${command.name.split(' ')[0]}`))];
+
+      return `• \`${role}\` - ${ROLE_NAMES[role]}: ${index > 0 ? '+ ' : ''}${commands.join(', ').replace(/_/g, '\\_')}`;
+    })
+    .join('\n');
+}
 
 /**
  * Handle the /help command
@@ -38,36 +135,18 @@ async function showGeneralHelp(bot, chatId) {
 📚 *Справка по командам NanoPredictBot*
 
 *Основные команды:*
-• \`/start\` - Начать работу с ботом
-• \`/predict\` - Сделать прогноз параметров наночастиц
-• \`/add_result ID\` - Добавить фактические результаты эксперимента
-• \`/history [N]\` - Просмотреть историю экспериментов (опционально: N последних)
-• \`/plot параметр [ID]\` - Построить график зависимости от параметра
-• \`/plot_correlation\` - Построить тепловую карту корреляции параметров
-• \`/export_csv\` - Экспортировать данные в CSV-файл
-• \`/feedback текст\` - Отправить обратную связь разработчикам
-• \`/help [команда]\` - Показать справку (опционально: по конкретной команде)
+${formatCommandList(getCommands().filter(command => command.permission !== PERMISSIONS.ADMIN))}
 
 *Параметры для /plot:*
-• \`eu\` - Концентрация Eu
-• \`phen\` - Концентрация Фенантролина
-• \`lig\` - Концентрация Лиганда
-• \`ligtype\` - Вид лиганда
-• \`ph\` - pH BSA
-• \`vol\` - Объем добавления
-• \`time\` - Время добавления
-• \`rate\` - Скорость добавления
+${formatParameterCodes(false)}
+
+*Роли пользователей:*
+${formatRoleList()}
+Руководитель лаборатории и администратор видят в /history, графиках и выгрузках эксперименты всех пользователей, остальные - только свои. Роль назначает администратор: \`/admin user role ID роль\`
 
 *Административные команды:*
-• \`/admin user add ID имя\` - Добавить пользователя в белый список
-• \`/admin user remove ID\` - Удалить пользователя из белого списка
-• \`/admin user list\` - Вывести список пользователей в белом списке
-• \`/admin model list\` - Вывести список моделей прогнозирования
-• \`/admin model reload путь_к_size_model путь_к_pdi_model\` - Загрузить новые модели
-• \`/admin backup create\` - Создать резервную копию базы данных
-• \`/admin backup list\` - Вывести список резервных копий
-• \`/admin backup restore ID\` - Восстановить БД из резервной копии
-• \`/admin logs уровень [N]\` - Просмотреть логи указанного уровня (опционально: N записей)
+${formatCommandList(getCommands(PERMISSIONS.ADMIN))}
+• Файл модели (.keras/.h5) с именем свойства в подписи (\`size\`, \`pdi\`, \`zeta\` и т.д.) - Загрузить новую версию модели (регистрируется неактивной)
 
 Для получения подробной справки по конкретной команде, используйте:
 \`/help команда\` (например: \`/help predict\`)
@@ -115,26 +194,104 @@ async function showCommandHelp(bot, chatId, command) {
 Запускает процесс прогнозирования характеристик наночастиц на основе параметров синтеза.
 
 *Использование:*
-\`/predict\`
+\`/predict\` - ввод всех параметров одной строкой
+\`/predict step\` - пошаговый ввод (также кнопка «Пошаговый ввод» под инструкцией /predict)
 
 *Процесс:*
 1. Бот запрашивает ввод параметров синтеза в одной строке через пробел
-2. Вы вводите все параметры в указанном порядке
-3. Бот проверяет параметры и выполняет прогнозирование
-4. Результаты прогноза сохраняются в базе данных и выводятся вам
+2. Вы вводите все параметры в указанном порядке или называете их в любом порядке
+3. Бот проверяет параметры и выполняет прогнозирование (именованный ввод сначала показывается в том виде, как бот его понял)
+4. Бот показывает прогноз с кнопками для проверки вариантов
+5. Выбранный вариант сохраняется как эксперимент кнопкой «💾 Сохранить» или «📊 Добавить результат»
 
 *Формат ввода параметров:*
-\`Конц.Eu Конц.Фенантролина Конц.Лиганда Вид_лиганда pH_BSA Объем_доб Время_доб [Скорость_доб]\`
+\`${PARAMETER_INPUT_FORMAT}\`
 
 *Пример ввода:*
-\`1 1 3 2 11 500 30\`
+\`${getExampleParameters().join(' ')}\`
 \`2 2 6 1 9 340 34 10\`
 
+*Именованный ввод:*
+\`eu=1 phen=1 lig=3 ligand=acid ph=11 vol=500 time=30\`
+\`европий 0.5 мМ, фенантролин 1 мМ, лиг 3, лиганд кислота, рН 11, объем 500 мкл, время 30 с\`
+• Названия: ${PARAMETER_SCHEMA.map(param => [param.code, ...(param.synonyms || [])].join('/')).join(', ').replace(/_/g, '\\_')}
+• Вид лиганда - код, ключ или название из каталога
+• Значения с единицами (мкМ, М, мкл, л, с, ч и т.д.) переводятся в единицы модели
+
+*Кнопки результата:*
+• ➖/➕ - изменить параметр на один шаг (вид лиганда - на соседний в каталоге) и пересчитать прогноз в том же сообщении
+• 💾 Сохранить - записать текущий вариант как эксперимент и получить его ID
+• 📊 Добавить результат - сохранить вариант и сразу ввести фактические результаты
+• 📈 График - прогноз зависимости от последнего измененного параметра вокруг текущего варианта
+• Промежуточные варианты не сохраняются, кнопки работают только у последнего прогноза
+
+*Пошаговый ввод:*
+• Бот спрашивает параметры по одному, с единицами и допустимыми значениями
+• Вид лиганда и pH выбираются кнопками, остальные значения вводятся сообщением
+• Кнопки «Назад», «Пропустить» (для необязательных параметров) и «Отмена»
+• Перед расчетом показывается сводка введенных параметров
+
 *Примечания:*
 • Скорость добавления можно не указывать (будет рассчитана автоматически)
-• Для вида лиганда используйте коды: 0 (нет), 1 (кислота), 2 (эфир), 3 (нафтил)
+• Для вида лиганда используйте коды: ${getCategoryCodes(getParameter('ligandType')).map(code => `${code} (${LIGAND_TYPES[code].name})`).join(', ')}
 • pH BSA должен быть целым числом от 7 до 11
 • Все числовые параметры должны быть положительными
+• Вместе с прогнозом показываются до 5 ваших прошлых экспериментов с фактическими результатами и самыми близкими параметрами
+`;
+      break;
+      
+    case 'predict_batch':
+      helpText = `
+📑 *Команда /predict\\_batch*
+
+Выполняет прогнозирование сразу для серии условий синтеза из файла.
+
+*Использование:*
+\`/predict_batch\`, затем отправьте файл CSV или XLSX
+
+*Формат файла:*
+• Каждая строка - один набор параметров в порядке, как для /predict:
+\`${PARAMETER_INPUT_FORMAT}\`
+• Первая строка может быть заголовком с названиями столбцов: \`${PARAMETER_SCHEMA.map(param => param.code).join(', ')}\`
+• Подходит файл, полученный через /export\\_csv
+• Максимум 200 строк
+
+*Результат:*
+• Каждая корректная строка сохраняется как эксперимент
+• CSV-файл с прогнозами и ID экспериментов
+• CSV-файл с ошибками для строк, не прошедших проверку
+
+*Примечания:*
+• Строки проверяются по тем же правилам, что и в /predict
+• Десятичный разделитель может быть точкой или запятой
+`;
+      break;
+      
+    case 'design':
+      helpText = `
+🎯 *Команда /design*
+
+Подбирает параметры синтеза, при которых модель прогнозирует нужный размер частиц и PdI.
+
+*Использование:*
+\`/design условие [условие ...]\`
+
+*Условия:*
+• \`size=80\` - размер около 80 нм
+• \`size<100\`, \`size>50\` - ограничения на размер (нм)
+• \`pdi=0.1\`, \`pdi<0.15\` - целевое значение или ограничение на PdI
+• \`n=5\` - количество вариантов в ответе (по умолчанию 5, максимум 10)
+
+*Пример:*
+\`/design size=80 pdi<0.15\`
+
+*Результат:*
+• Список лучших вариантов параметров с прогнозом размера и PdI
+• Кнопки для сохранения любого варианта как планируемого эксперимента
+
+*Примечания:*
+• Поиск ведется в пределах допустимых значений параметров (pH 7-11, вид лиганда 0-3 и т.д.)
+• Результат - прогноз модели, а не гарантия: проверяйте варианты экспериментально и добавляйте результаты через /add\\_result
 `;
       break;
       
@@ -149,8 +306,8 @@ async function showCommandHelp(bot, chatId, command) {
 
 *Процесс:*
 1. Бот находит указанный эксперимент и показывает его параметры
-2. Вас просят ввести фактический размер частиц (нм)
-3. Затем вас просят ввести фактический PdI
+2. Бот по очереди спрашивает измеренные свойства: размер частиц, PdI и дополнительные свойства (${MEASURED_PROPERTIES.filter(p => p.optional).map(p => p.fullName).join(', ')})
+3. Необязательное свойство можно пропустить, отправив \`-\`
 4. Бот сохраняет результаты и показывает сравнение с прогнозом
 
 *Пример:*
@@ -159,8 +316,7 @@ async function showCommandHelp(bot, chatId, command) {
 *Примечания:*
 • ID эксперимента можно получить из сообщения с прогнозом или из истории (/history)
 • Вы можете перезаписать фактические результаты, если они уже были добавлены
-• Размер частиц должен быть положительным числом
-• PdI должен быть неотрицательным числом
+${MEASURED_PROPERTIES.map(p => `• ${p.error}`).join('\n')}
 `;
       break;
       
@@ -187,10 +343,33 @@ async function showCommandHelp(bot, chatId, command) {
 • Прогнозируемые значения (размер, PdI)
 • Фактические значения (если добавлены)
 • Разница между прогнозом и фактом (в процентах)
+• ID моделей, выполнивших прогноз
 
 *Примечания:*
 • Эксперименты отсортированы от новых к старым
 • Для добавления фактических результатов используйте команду /add_result
+`;
+      break;
+      
+    case 'repredict':
+      helpText = `
+🔁 *Команда /repredict*
+
+Пересчитывает прошлые эксперименты текущими моделями и показывает старый и новый прогноз рядом с фактическими результатами.
+
+*Использование:*
+\`/repredict all\` - все ваши эксперименты
+\`/repredict ID_эксперимента\` - один эксперимент
+
+*Выводимая информация:*
+• Прежний прогноз и ID модели, которая его выполнила
+• Новый прогноз текущей модели
+• Фактические значения (если добавлены)
+• MAE прежних и новых прогнозов по экспериментам с фактическими результатами
+
+*Примечания:*
+• Сохраненные прогнозы не изменяются
+• Если экспериментов больше 10, полный список отправляется CSV-файлом
 `;
       break;
       
@@ -201,30 +380,76 @@ async function showCommandHelp(bot, chatId, command) {
 Строит график зависимости характеристик наночастиц от выбранного параметра синтеза.
 
 *Использование:*
-\`/plot параметр [ID_эксперимента_опорного]\`
+\`/plot параметр [свойство] [ID_эксперимента_опорного]\`
 
 *Параметры:*
 • \`параметр\` - код параметра для оси X (см. список ниже)
+• \`свойство\` (опционально) - измеряемое свойство для оси Y: ${MEASURED_PROPERTIES.map(p => `\`${p.name}\``).join(', ')}; по умолчанию размер и PdI
 • \`ID_эксперимента_опорного\` (опционально) - ID эксперимента, который нужно выделить на графике
 
 *Доступные параметры:*
-• \`eu\` - Концентрация Eu (мМ/л)
-• \`phen\` - Концентрация Фенантролина (мМ/л)
-• \`lig\` - Концентрация Лиганда (мМ/л)
-• \`ligtype\` - Вид лиганда
-• \`ph\` - pH BSA
-• \`vol\` - Объем добавления (мл)
-• \`time\` - Время добавления (мин)
-• \`rate\` - Скорость добавления (мл/мин)
+${formatParameterCodes(true)}
 
 *Примеры:*
 \`/plot ph\` - график зависимости от pH BSA
 \`/plot eu 550e8400-e29b-41d4-a716-446655440000\` - график зависимости от концентрации Eu с выделением указанного эксперимента
+\`/plot ph zeta\` - график зависимости дзета-потенциала от pH BSA
 
 *Примечания:*
-• На графике отображаются размер частиц и PdI (умноженный на 100 для наглядности)
+• Без свойства на графике отображаются размер частиц и PdI (умноженный на 100 для наглядности)
+• Точки берутся из фактических результатов, а без них - из прогнозов текущих моделей
 • Используются все ваши эксперименты с указанным параметром
 • Если указан ID опорного эксперимента, он будет выделен на графике
+`;
+      break;
+      
+    case 'sweep':
+      helpText = `
+📉 *Команда /sweep*
+
+Строит прогноз модели для серии рецептов, в которых меняется один параметр синтеза, а остальные берутся из базового эксперимента.
+
+*Использование:*
+\`/sweep параметр от до шагов [ID_эксперимента]\`
+
+*Параметры:*
+• \`параметр\` - код изменяемого параметра: ${PARAMETER_SCHEMA.filter(param => !param.derived).map(param => param.code).join(', ')}
+• \`от\`, \`до\` - границы диапазона значений
+• \`шагов\` - количество точек (от 2 до 50)
+• \`ID_эксперимента\` (опционально) - базовый рецепт; по умолчанию используется последний прогноз (с изменениями, сделанными кнопками), а если его кнопки устарели - последний сохраненный эксперимент
+
+*Примеры:*
+\`/sweep ph 7 11 5\` - прогноз для pH 7, 8, 9, 10, 11
+\`/sweep vol 100 1000 10 550e8400-e29b-41d4-a716-446655440000\` - изменение объема добавления для указанного эксперимента
+
+*Примечания:*
+• На графике отображаются прогнозируемые размер частиц и PdI (умноженный на 100)
+• Точка базового рецепта выделена, если попадает в диапазон
+• Скорость добавления рассчитывается из объема и времени, поэтому меняйте vol или time
+• Эксперименты при этом не сохраняются
+`;
+      break;
+      
+    case 'explain':
+      helpText = `
+🧭 *Команда /explain*
+
+Показывает, изменение каких параметров синтеза сильнее всего сдвигает прогноз размера и PdI для сохраненного рецепта.
+
+*Использование:*
+\`/explain ID_эксперимента\`
+
+*Выводимая информация:*
+• Прогноз текущих моделей для рецепта
+• Для каждого параметра - изменение прогноза при его уменьшении и увеличении (концентрации, объем и время на ±10%, pH на ±1)
+• Параметры, отсортированные по силе влияния, отдельно для размера и PdI
+• Прогноз при замене вида лиганда на другие
+• Торнадо-диаграммы для размера и PdI
+
+*Примечания:*
+• Скорость добавления рассчитывается из объема и времени
+• Оценка локальная: она описывает поведение модели только вблизи указанного рецепта
+• Эксперименты при этом не сохраняются
 `;
       break;
       
@@ -292,6 +517,21 @@ async function showCommandHelp(bot, chatId, command) {
 • Ваше сообщение будет отправлено всем администраторам бота
 • Используйте эту команду для сообщения о проблемах, пожеланиях или предложениях
 • Старайтесь давать конкретную и подробную обратную связь
+`;
+      break;
+      
+    case 'cancel':
+      helpText = `
+🛑 *Команда /cancel*
+
+Отменяет все незавершенные действия: ввод параметров /predict (в том числе пошаговый), добавление результатов /add\\_result, ожидание файла /predict\\_batch, кнопки последнего прогноза и подбора /design.
+
+*Использование:*
+\`/cancel\`
+
+*Примечания:*
+• Незавершенные действия сохраняются при перезапуске бота и отменяются автоматически, если их не продолжать: ввод параметров и ожидание файла - через 30 минут, добавление результатов - через час, кнопки результатов - через сутки
+• Можно начать добавление результатов, не закончив ввод параметров прогноза: введенный текст получает действие, начатое последним, после его завершения продолжается предыдущее
 `;
       break;
       
@@ -304,11 +544,31 @@ async function showCommandHelp(bot, chatId, command) {
 *Управление пользователями:*
 • \`/admin user add ID имя\` - Добавить пользователя в белый список
 • \`/admin user remove ID\` - Удалить пользователя из белого списка
-• \`/admin user list\` - Вывести список пользователей в белом списке
+• \`/admin user list\` - Вывести список пользователей в белом списке с их ролями
+• \`/admin user role ID роль\` - Назначить роль: \`viewer\` (история и графики), \`researcher\` (прогнозы и результаты), \`lab_manager\` (данные всех пользователей, /approve), \`admin\`
+  - Пользователи из белого списка без назначенной роли - исследователи
 
 *Управление моделями:*
 • \`/admin model list\` - Вывести список моделей прогнозирования
-• \`/admin model reload путь_к_size_model путь_к_pdi_model\` - Загрузить новые модели
+• \`/admin model reload путь_к_size_model путь_к_pdi_model [путь_к_обучающим_данным]\` - Загрузить новые модели
+  - Файл с обучающими данными (CSV/XLSX с рецептами) нужен для проверки области применимости; без него используются эксперименты с фактическими результатами
+  - Рядом с файлом модели можно положить манифест (имя\\_модели.manifest.json) с описанием входных признаков; без него используется манифест по умолчанию
+• \`/admin model health\` - Проверить состояние процесса прогнозирования
+• \`/admin model activate ID\` - Сделать активной указанную версию модели размера или PdI
+• \`/admin model rollback [свойство]\` - Вернуть предыдущие активные версии моделей
+• \`/admin model evaluate [ID]\` - Оценить модели по экспериментам с фактическими результатами (MAE, RMSE, R², MAPE и график прогноз/факт)
+• \`/admin model compare ID1 ID2\` - Сравнить две модели на одних данных (можно приложить CSV/XLSX с параметрами, указав команду в подписи)
+• \`/admin model retrain\` - Переобучить модели на экспериментах с фактическими результатами (новые модели регистрируются неактивными)
+• Файл модели (.keras/.h5) с именем свойства в подписи (\`size\`, \`pdi\`, \`zeta\` и т.д.) - Загрузить новую версию модели
+  - Модель проверяется по манифесту и пробным прогнозом, затем регистрируется неактивной
+  - Чтобы использовать свой манифест, сначала отправьте его (.json) с той же подписью
+
+*Каталог лигандов:*
+• \`/admin ligand list\` - Вывести каталог лигандов с кодами и ключами
+• \`/admin ligand add ключ название\` - Добавить лиганд, ему присваивается следующий свободный код
+  - \`ключ\` - латинское имя категории для манифестов моделей (кодирование onehot), например \`pyridyl\`
+• \`/admin ligand rename код название\` - Изменить название лиганда (ключ не меняется)
+• \`/admin ligand retire код\` - Вывести лиганд из употребления: новые прогнозы с ним не принимаются, прошлые эксперименты остаются в истории
 
 *Резервное копирование:*
 • \`/admin backup create\` - Создать резервную копию базы данных
@@ -328,7 +588,7 @@ async function showCommandHelp(bot, chatId, command) {
       break;
       
     default:
-      helpText = `
+      helpText = formatRegistryHelp(cmd.toLowerCase().replace(/\s+/g, ' ')) || `
 ❓ *Справка по команде "${command}"*
 
 Команда не найдена или справка по ней отсутствует.
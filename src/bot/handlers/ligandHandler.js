@@ -0,0 +1,158 @@
+const logger = require('../../utils/logger');
+const { listLigands, addLigand, renameLigand, retireLigand } = require('../../utils/ligandUtils');
+
+/**
+ * Escape text for HTML messages
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * List the ligand catalogue
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function listLigandCatalogue(bot, msg) {
+  const chatId = msg.chat.id;
+
+  try {
+    const ligands = await listLigands();
+
+    if (ligands.length === 0) {
+      await bot.sendMessage(chatId, '📝 Каталог лигандов пуст.');
+      return;
+    }
+
+    let listText = `🧪 <b>Каталог лигандов</b> (${ligands.length})\n\n`;
+
+    for (const ligand of ligands) {
+      const status = ligand.retiredAt ?
+        `выведен из употребления ${new Date(ligand.retiredAt).toLocaleDateString('ru-RU')}` :
+        'действует';
+
+      listText += `<b>${ligand.code}</b> - ${escapeHtml(ligand.name)} ` +
+        `(ключ <code>${escapeHtml(ligand.key)}</code>, ${status})\n`;
+    }
+
+    listText += '\nКод вводится в /predict как вид лиганда, ключ используется в манифестах моделей (кодирование onehot).';
+
+    await bot.sendMessage(chatId, listText, { parse_mode: 'HTML' });
+    logger.info(`Admin ${msg.from.id} listed the ligand catalogue`);
+  } catch (error) {
+    logger.error(`Error listing ligands: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при получении каталога лигандов. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Add a ligand to the catalogue
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} key - Manifest category name
+ * @param {string} name - Name shown to users
+ */
+async function addLigandToCatalogue(bot, msg, key, name) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+
+  try {
+    const result = await addLigand(key, name.trim(), adminId);
+
+    if (result.error) {
+      await bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    const { ligand } = result;
+
+    await bot.sendMessage(
+      chatId,
+      `✅ Лиганд ${escapeHtml(ligand.name)} добавлен в каталог с кодом <b>${ligand.code}</b>.\n\n` +
+      `Модели учитывают лиганд, только если в их манифесте есть признак с кодированием onehot ` +
+      `и категорией <code>${escapeHtml(ligand.key)}</code>. До активации такой модели прогнозы ` +
+      `с этим лигандом помечаются как выходящие за область применимости.`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error(`Error adding ligand: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при добавлении лиганда. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Rename a ligand of the catalogue
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} code - Ligand code
+ * @param {string} name - New name
+ */
+async function renameLigandInCatalogue(bot, msg, code, name) {
+  const chatId = msg.chat.id;
+
+  try {
+    const result = await renameLigand(parseInt(code), name.trim());
+
+    if (result.error) {
+      await bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    await bot.sendMessage(
+      chatId,
+      `✅ Лиганд ${result.ligand.code} переименован: ${result.previousName} → ${result.ligand.name}.`
+    );
+  } catch (error) {
+    logger.error(`Error renaming ligand: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при переименовании лиганда. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Retire a ligand of the catalogue
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {string} code - Ligand code
+ */
+async function retireLigandFromCatalogue(bot, msg, code) {
+  const chatId = msg.chat.id;
+
+  try {
+    const result = await retireLigand(parseInt(code));
+
+    if (result.error) {
+      await bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    await bot.sendMessage(
+      chatId,
+      `✅ Лиганд ${result.ligand.name} (${result.ligand.code}) выведен из употребления.\n\n` +
+      'Новые прогнозы с ним не принимаются, прошлые эксперименты по-прежнему доступны в истории и экспорте.'
+    );
+  } catch (error) {
+    logger.error(`Error retiring ligand: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при выводе лиганда из употребления. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+module.exports = {
+  listLigandCatalogue,
+  addLigandToCatalogue,
+  renameLigandInCatalogue,
+  retireLigandFromCatalogue
+};
@@ -0,0 +1,227 @@
+const logger = require('../../utils/logger');
+const PredictionModel = require('../../database/models/PredictionModel');
+const { validateModelFile } = require('../../ml/predictionService');
+const { getManifestPath, hasDefaultManifest, loadManifest, validateManifest, toModelInput } = require('../../ml/modelManifest');
+const { MODEL_TARGETS } = require('../../ml/modelRegistry');
+const { collectTrainingParameters, computeTrainingStats } = require('../../ml/applicabilityDomain');
+const pythonWorker = require('../../ml/pythonWorker');
+const { getExampleParameters } = require('../../utils/parameterUtils');
+const { getState, setState, clearState } = require('../../utils/conversationState');
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_EXTENSIONS = ['.keras', '.h5'];
+const MANIFEST_EXTENSION = '.json';
+
+// Recipe used to check that an uploaded model produces a prediction at all
+const SMOKE_TEST_PARAMETERS = getExampleParameters();
+
+/**
+ * Check whether a document is a model or manifest upload (a caption with the model output, e.g. "size")
+ * @param {Object} msg - Message object from Telegram
+ * @returns {boolean} - Whether the document is a model upload
+ */
+function isModelUpload(msg) {
+  if (!msg.document) return false;
+
+  const extension = path.extname(msg.document.file_name || '').toLowerCase();
+  const target = (msg.caption || '').trim().toLowerCase();
+
+  return MODEL_TARGETS.includes(target) &&
+    (MODEL_EXTENSIONS.includes(extension) || extension === MANIFEST_EXTENSION);
+}
+
+/**
+ * Handle a model or manifest file uploaded by an administrator
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function handleModelDocument(bot, msg) {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id.toString();
+  const target = msg.caption.trim().toLowerCase();
+  const extension = path.extname(msg.document.file_name).toLowerCase();
+
+  // Create "temp" directory if it doesn't exist
+  const tempDir = path.join(__dirname, '../../../temp');
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  let downloadedPath = null;
+
+  try {
+    downloadedPath = await bot.downloadFile(msg.document.file_id, tempDir);
+
+    if (extension === MANIFEST_EXTENSION) {
+      await acceptManifest(bot, chatId, adminId, target, downloadedPath);
+    } else {
+      await registerUploadedModel(bot, chatId, adminId, target, extension, downloadedPath);
+    }
+  } catch (error) {
+    logger.error(`Error handling uploaded model file: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при обработке файла модели. ' +
+      'Проверьте файл (Telegram позволяет боту скачивать файлы до 20 МБ) и попробуйте снова.'
+    );
+  } finally {
+    // Clean up the downloaded file
+    if (downloadedPath && fs.existsSync(downloadedPath)) {
+      fs.unlinkSync(downloadedPath);
+    }
+  }
+}
+
+/**
+ * Validate an uploaded manifest and keep it for the next model with the same caption
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} adminId - Telegram ID of the administrator
+ * @param {string} target - Model output (e.g. 'size')
+ * @param {string} filePath - Path to the downloaded manifest
+ */
+async function acceptManifest(bot, chatId, adminId, target, filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ Манифест не является корректным JSON: ${error.message}`);
+    return;
+  }
+
+  const validation = validateManifest(manifest, target);
+  if (!validation.valid) {
+    await bot.sendMessage(chatId, `❌ Манифест отклонен: ${validation.error}`);
+    return;
+  }
+
+  // Manifests uploaded ahead of their model, one per model output
+  const userState = await getState(adminId, 'model_upload') || { manifests: {} };
+  userState.manifests[target] = manifest;
+  await setState(adminId, 'model_upload', userState);
+
+  await bot.sendMessage(
+    chatId,
+    `✅ Манифест для модели ${target} принят. ` +
+    `Теперь отправьте файл модели (.keras или .h5) с подписью ${target}.`
+  );
+
+  logger.info(`Admin ${adminId} uploaded a manifest for the ${target} model`);
+}
+
+/**
+ * Validate an uploaded model, smoke-test it and register it as an inactive version
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} adminId - Telegram ID of the administrator
+ * @param {string} target - Model output (e.g. 'size')
+ * @param {string} extension - Extension of the model file
+ * @param {string} filePath - Path to the downloaded model
+ */
+async function registerUploadedModel(bot, chatId, adminId, target, extension, filePath) {
+  const userState = await getState(adminId, 'model_upload');
+  const uploadedManifest = userState ? userState.manifests[target] : undefined;
+
+  if (!uploadedManifest && !hasDefaultManifest(target)) {
+    await bot.sendMessage(
+      chatId,
+      `❌ Для модели ${target} нет манифеста по умолчанию. ` +
+      `Сначала отправьте манифест (.json) с подписью ${target}, затем файл модели.`
+    );
+    return;
+  }
+
+  const processingMsg = await bot.sendMessage(
+    chatId,
+    '⏳ Проверяю загруженную модель...'
+  );
+
+  const manifest = uploadedManifest || loadManifest(null, target);
+
+  // Create directory for models if it doesn't exist
+  const modelsDir = path.join(__dirname, '../../../models');
+  if (!fs.existsSync(modelsDir)) {
+    fs.mkdirSync(modelsDir, { recursive: true });
+  }
+
+  const modelPath = path.join(modelsDir, `${target}_model_${Date.now()}${extension}`);
+  fs.copyFileSync(filePath, modelPath);
+  fs.writeFileSync(getManifestPath(modelPath), JSON.stringify(manifest, null, 2));
+
+  const rejectModel = async (reason) => {
+    fs.unlinkSync(modelPath);
+    fs.unlinkSync(getManifestPath(modelPath));
+
+    await bot.editMessageText(`❌ Модель отклонена: ${reason}`, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id
+    });
+  };
+
+  const validation = await validateModelFile(modelPath, manifest, target);
+  if (!validation.valid) {
+    await rejectModel(validation.error);
+    return;
+  }
+
+  // Smoke test: the model must load with its manifest and return a finite prediction
+  let smokeValue;
+  try {
+    const [prediction] = await pythonWorker.predict(
+      [toModelInput(SMOKE_TEST_PARAMETERS)],
+      { [target]: { path: modelPath, manifest } }
+    );
+    smokeValue = prediction[target];
+  } catch (error) {
+    await rejectModel(`не удалось выполнить пробный прогноз (${error.message})`);
+    return;
+  }
+
+  if (!Number.isFinite(smokeValue)) {
+    await rejectModel(`пробный прогноз вернул некорректное значение (${smokeValue})`);
+    return;
+  }
+
+  // Without a training file, the measured experiments approximate the applicability domain
+  const training = await collectTrainingParameters(null);
+
+  const model = await PredictionModel.create({
+    name: `${target}_model`,
+    version: `${new Date().toISOString().slice(0, 10)}-upload`,
+    trainedDate: new Date(),
+    metrics: null,
+    filePath: modelPath,
+    isActive: false,
+    manifest,
+    trainingStats: computeTrainingStats(training.parameters)
+  });
+
+  if (uploadedManifest) {
+    delete userState.manifests[target];
+    if (Object.keys(userState.manifests).length > 0) {
+      await setState(adminId, 'model_upload', userState);
+    } else {
+      await clearState(adminId, 'model_upload');
+    }
+  }
+
+  await bot.editMessageText(
+    `✅ Модель ${target} зарегистрирована (ID ${model.id}, неактивна).\n\n` +
+    `Манифест: ${uploadedManifest ? 'загруженный' : 'по умолчанию'}\n` +
+    `Пробный прогноз для ${SMOKE_TEST_PARAMETERS.join(' ')}: ${smokeValue}\n\n` +
+    `Оценить модель: /admin model evaluate ${model.id}\n` +
+    `Активировать модель: /admin model activate ${model.id}`,
+    {
+      chat_id: chatId,
+      message_id: processingMsg.message_id
+    }
+  );
+
+  logger.info(`Admin ${adminId} uploaded ${target} model ${model.id}: ${modelPath}`);
+}
+
+module.exports = {
+  isModelUpload,
+  handleModelDocument
+};
@@ -1,10 +1,34 @@
 const logger = require('../../utils/logger');
 const Experiment = require('../../database/models/Experiment');
 const { makeModelPrediction } = require('../../ml/predictionService');
-const { convertParametersToObject, validateParameters } = require('../../utils/parameterUtils');
+const { assessApplicabilityDomain, findSimilarExperiments } = require('../../ml/applicabilityDomain');
+const {
+  PARAMETER_SCHEMA,
+  getCategoryCodes,
+  convertParametersToObject,
+  validateParameters,
+  validateParameterValue,
+  getExampleParameters
+} = require('../../utils/parameterUtils');
+const {
+  formatParameterValue,
+  formatParametersForDisplay,
+  formatParameterInstructions,
+  formatParameterRange,
+  formatWithUncertainty,
+  formatUncertaintySource,
+  formatSimilarExperiments,
+  formatAdditionalProperties
+} = require('../../utils/displayUtils');
+const { getAdditionalPredictions } = require('../../utils/propertyUtils');
+const { parseParameterInput, parseParameterValueInput } = require('../../utils/parameterInputUtils');
+const { getState, setState, clearState } = require('../../utils/conversationState');
+const { PERMISSIONS, checkAccess, getExperimentScope } = require('../middlewares/authMiddleware');
+const { startAddResult } = require('./experimentHandler');
+const { generateRecipeSweepPlot } = require('./dataHandler');
 
-// State storage for ongoing predictions
-const predictionState = new Map();
+// Integer parameters with fewer values than this are offered as buttons in the step-by-step input
+const WIZARD_MAX_CHOICES = 12;
 
 /**
  * Start the prediction process
@@ -17,33 +41,29 @@ async function startPrediction(bot, msg) {
   
   try {
     // Reset any existing prediction state for this user
-    predictionState.delete(userId);
+    await clearState(userId, 'predict');
     
     // Send instructions message
     await bot.sendMessage(
       chatId,
       '🧪 *Прогнозирование параметров наночастиц*\n\n' +
       'Введите параметры синтеза в одной строке через пробел в следующем порядке:\n\n' +
-      '1. Концентрация Eu (мМ/л) [число > 0]\n' +
-      '2. Концентрация Фенантролина (мМ/л) [число >= 0]\n' +
-      '3. Концентрация Лиганда (мМ/л) [число >= 0]\n' +
-      '4. Вид лиганда [0-3]:\n' +
-      '   • 0 - нет\n' +
-      '   • 1 - кислота\n' +
-      '   • 2 - эфир\n' +
-      '   • 3 - нафтил\n' +
-      '5. pH BSA [целое число: 7-11]\n' +
-      '6. Объем добавления (мл) [число > 0]\n' +
-      '7. Время добавления (мин) [число > 0]\n' +
-      '8. Скорость добавления (мл/мин) [число > 0, опционально]\n\n' +
-      'Пример: `1 1 3 2 11 500 30`\n' +
-      'Пример с указанием скорости: `2 2 6 1 9 340 34 10`\n\n' +
+      formatParameterInstructions() + '\n\n' +
+      `Пример: \`${getExampleParameters().join(' ')}\`\n\n` +
+      'Параметры можно также назвать в любом порядке, с единицами измерения:\n' +
+      `\`${getNamedExample()}\`\n\n` +
+      'Для ввода по одному параметру нажмите «Пошаговый ввод» (или /predict step).\n' +
       'Или отправьте /cancel для отмены.',
-      { parse_mode: 'Markdown' }
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[{ text: '🧭 Пошаговый ввод', callback_data: 'wizard:start' }]]
+        }
+      }
     );
     
     // Set prediction state for this user
-    predictionState.set(userId, { state: 'awaiting_parameters' });
+    await setState(userId, 'predict', { state: 'awaiting_parameters' });
     
     logger.info(`Started prediction process for user ${userId}`);
   } catch (error) {
@@ -65,28 +85,34 @@ async function handlePredictionResponse(bot, msg) {
   
   const chatId = msg.chat.id;
   const userId = msg.from.id.toString();
-  const userState = predictionState.get(userId);
-  console.log(chatId);
-  console.log(userId);
-  console.log(userState);
-
-  
-  // If the user is not in a prediction state, do nothing
-  if (!userState || userState.state !== 'awaiting_parameters') return;
   
   try {
-    // Check for cancel command
-    if (msg.text.toLowerCase() === '/cancel') {
-      predictionState.delete(userId);
-      await bot.sendMessage(chatId, '🛑 Прогнозирование отменено.');
-      logger.info(`Prediction cancelled by user ${userId}`);
+    const userState = await getState(userId, 'predict');
+    
+    // If the user is not in a prediction state, do nothing
+    if (!userState) return;
+    
+    if (userState.state === 'wizard') {
+      await handleWizardInput(bot, msg, userState);
       return;
     }
     
-    // Parse parameters
+    if (userState.state !== 'awaiting_parameters') return;
+    
+    // Parse parameters: positional numbers or named values with units
     const parameterInput = msg.text.trim();
-    const paramArray = parameterInput.split(/\s+/).map(param => param.trim());
-    console.log(paramArray);
+    const parsed = parseParameterInput(parameterInput);
+    
+    if (parsed.error) {
+      await bot.sendMessage(
+        chatId,
+        `❌ Ошибка в параметрах: ${parsed.error}\n\nПожалуйста, проверьте ввод и попробуйте снова.`
+      );
+      logger.warn(`Unparsed parameters from user ${userId}: ${parameterInput}`);
+      return;
+    }
+    
+    const { paramArray } = parsed;
     
     // Validate parameters
     const validationResult = validateParameters(paramArray);
@@ -101,91 +127,730 @@ async function handlePredictionResponse(bot, msg) {
     
     // Convert parameters to an object
     const parameters = convertParametersToObject(paramArray);
-    console.log(paramArray);
-    console.log(parameters);
     
-    // Send "processing" message
-    const processingMsg = await bot.sendMessage(
+    // Named input is echoed back, so a misread name or unit is seen before the prediction
+    if (parsed.named) {
+      await bot.sendMessage(chatId, formatInterpretation(parameters, parsed));
+    }
+    
+    await runPrediction(bot, chatId, userId, paramArray);
+  } catch (error) {
+    logger.error(`Error handling prediction response: ${error.message}`);
+    await bot.sendMessage(
       chatId,
-      '⏳ Обрабатываю запрос и выполняю прогнозирование...'
+      '❌ Произошла ошибка при обработке параметров. Пожалуйста, проверьте ввод и попробуйте снова.'
     );
+    await clearState(userId, 'predict');
+  }
+}
+
+/**
+ * Start the step-by-step parameter input
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function startWizard(bot, msg) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  try {
+    await beginWizard(bot, chatId, userId);
+  } catch (error) {
+    logger.error(`Error starting prediction wizard: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при запуске прогнозирования. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
+/**
+ * Reset the prediction state and ask for the first parameter
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ */
+async function beginWizard(bot, chatId, userId) {
+  const userState = { state: 'wizard', step: 0, values: [], messageId: null };
+  
+  await showWizardStep(bot, chatId, userState);
+  await setState(userId, 'predict', userState);
+  
+  logger.info(`Started prediction wizard for user ${userId}`);
+}
+
+/**
+ * Handle a value typed during the step-by-step input
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ * @param {Object} userState - Wizard state
+ */
+async function handleWizardInput(bot, msg, userState) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  if (userState.step >= PARAMETER_SCHEMA.length) {
+    await bot.sendMessage(chatId, 'Все параметры введены. Нажмите «Рассчитать прогноз» или «Назад» под сводкой.');
+    return;
+  }
+  
+  const param = PARAMETER_SCHEMA[userState.step];
+  const parsed = parseParameterValueInput(param, msg.text);
+  const validation = parsed.error ? { valid: false, error: parsed.error } : validateParameterValue(param, parsed.value);
+  
+  if (!validation.valid) {
+    await bot.sendMessage(chatId, `❌ ${validation.error}\n\nПожалуйста, введите значение снова.`);
+    return;
+  }
+  
+  userState.values[userState.step] = parsed.value;
+  userState.step++;
+  
+  // The typed value is below the previous step, so the next step is sent as a new message
+  const notice = parsed.conversion ?
+    `✅ ${param.label}: ${formatParameterValue(param, Number(parsed.value))} (введено ${parsed.conversion.value} ${parsed.conversion.unit})` :
+    `✅ ${param.label}: ${formatParameterValue(param, Number(parsed.value))}`;
+  await showWizardStep(bot, chatId, userState, { notice });
+  await setState(userId, 'predict', userState);
+}
+
+/**
+ * Handle the buttons of the step-by-step input
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query from Telegram
+ */
+async function handleWizardCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const [, action, value] = query.data.split(':');
+  
+  try {
+    if (action === 'start') {
+      await bot.answerCallbackQuery(query.id);
+      await beginWizard(bot, chatId, userId);
+      return;
+    }
     
-    // Make prediction
-    const prediction = await makeModelPrediction(paramArray); // test
+    const userState = await getState(userId, 'predict');
     
-    // Save experiment to database
-    const experiment = await Experiment.create({
-      parameters,
-      predictedSize: prediction.size,
-      predictedPdI: prediction.pdi,
-      userId
-    });
+    // Buttons of an older wizard message do nothing
+    if (!userState || userState.state !== 'wizard' || userState.messageId !== query.message.message_id) {
+      await bot.answerCallbackQuery(query.id, {
+        text: 'Этот ввод параметров устарел. Начните заново: /predict step',
+        show_alert: true
+      });
+      return;
+    }
     
-    // Format parameter display
-    const parameterDisplay = formatParametersForDisplay(parameters);
-    
-    // deprecated func
-    /* function escapeMarkdownV2(text) {
-      return String(text).replace(/([_*\[\]()~`>#+\-=|{}.!])/g, '\\$1');
-    } */
-    
-    await bot.editMessageText(
-      `🔬 <b>Результаты прогнозирования</b>\n\n` +
-      `<b>Параметры синтеза:</b>\n${parameterDisplay}\n\n` +
-      `<b>Предсказанный размер частиц:</b> ${prediction.size.toFixed(1)} нм\n` +
-      `<b>Предсказанный PdI:</b> ${prediction.pdi.toFixed(3)}\n` +
-      `<b>Точность прогноза (R²):</b> ~${(prediction.sizeConfidence * 100).toFixed(0)}% / ${(prediction.pdiConfidence * 100).toFixed(0)}%\n\n` +
-      `<b>Дата/время прогноза:</b> ${new Date().toLocaleString('ru-RU')}\n` +
-      `<b>ID эксперимента:</b> <code>${experiment.experimentId}</code>\n\n` +
-      `Чтобы добавить фактические результаты позже, используйте команду:\n` +
-      `/add_result ${experiment.experimentId}`,
-      {
-        chat_id: chatId,
-        message_id: processingMsg.message_id,
-        parse_mode: 'HTML' // поставил хтмл, т.к. мд требует слишком долгой обработки
+    const param = PARAMETER_SCHEMA[userState.step];
+    
+    switch (action) {
+      case 'set': {
+        const validation = validateParameterValue(param, value);
+        if (!validation.valid) {
+          await bot.answerCallbackQuery(query.id, { text: validation.error, show_alert: true });
+          return;
+        }
+        userState.values[userState.step] = value;
+        userState.step++;
+        break;
+      }
+      
+      case 'skip':
+        userState.values[userState.step] = null;
+        userState.step++;
+        break;
+        
+      case 'back':
+        userState.step = Math.max(0, userState.step - 1);
+        break;
+        
+      case 'cancel':
+        await clearState(userId, 'predict');
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText('🛑 Прогнозирование отменено.', {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+        logger.info(`Prediction wizard cancelled by user ${userId}`);
+        return;
+        
+      case 'confirm': {
+        const paramArray = getWizardParameters(userState);
+        const validation = validateParameters(paramArray);
+        
+        if (!validation.valid) {
+          await bot.answerCallbackQuery(query.id, { text: validation.error, show_alert: true });
+          return;
+        }
+        
+        await bot.answerCallbackQuery(query.id);
+        
+        // Keep the summary, without buttons, above the result
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+        
+        await runPrediction(bot, chatId, userId, paramArray);
+        return;
       }
+      
+      default:
+        await bot.answerCallbackQuery(query.id);
+        return;
+    }
+    
+    await setState(userId, 'predict', userState);
+    await bot.answerCallbackQuery(query.id);
+    await showWizardStep(bot, chatId, userState, { editMessageId: query.message.message_id });
+  } catch (error) {
+    logger.error(`Error handling prediction wizard: ${error.message}`);
+    await clearState(userId, 'predict');
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при обработке параметров. Пожалуйста, попробуйте снова: /predict step'
     );
+  }
+}
+
+/**
+ * Get the raw values entered in the wizard, skipped optional parameters at the end left out
+ * @param {Object} userState - Wizard state
+ * @returns {Array<string>} - Raw parameter values
+ */
+function getWizardParameters(userState) {
+  const values = PARAMETER_SCHEMA.map((param, index) => userState.values[index] ?? null);
+  
+  while (values.length > 0 && values[values.length - 1] === null) {
+    values.pop();
+  }
+  
+  return values;
+}
+
+/**
+ * Get the values offered as buttons for a parameter
+ * @param {Object} param - Parameter definition
+ * @returns {Array<Object>|null} - { text, value } choices, null for typed input
+ */
+function getWizardChoices(param) {
+  if (param.type === 'category') {
+    return getCategoryCodes(param).map(code => ({ text: param.categories[code].name, value: String(code) }));
+  }
+  
+  // Integers with a short range (e.g. pH 7-11) are chosen with buttons
+  if (param.type === 'integer' && param.min !== undefined && param.max !== undefined &&
+      param.max - param.min < WIZARD_MAX_CHOICES) {
+    const choices = [];
+    for (let value = param.min; value <= param.max; value++) {
+      choices.push({ text: String(value), value: String(value) });
+    }
+    return choices;
+  }
+  
+  return null;
+}
+
+/**
+ * Show the current step (or the summary after the last one)
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} userState - Wizard state
+ * @param {Object} [options] - { editMessageId } edits that message, { notice } is shown above the step
+ */
+async function showWizardStep(bot, chatId, userState, options = {}) {
+  const { text, keyboard } = userState.step < PARAMETER_SCHEMA.length ?
+    formatWizardStep(userState) :
+    formatWizardSummary(userState);
+  const body = options.notice ? `${options.notice}\n\n${text}` : text;
+  
+  if (options.editMessageId) {
+    await bot.editMessageText(body, {
+      chat_id: chatId,
+      message_id: options.editMessageId,
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    return;
+  }
+  
+  // Only the newest step keeps its buttons
+  if (userState.messageId) {
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: chatId,
+      message_id: userState.messageId
+    }).catch(() => {});
+  }
+  
+  const sent = await bot.sendMessage(chatId, body, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+  userState.messageId = sent.message_id;
+}
+
+/**
+ * Format the question for the current parameter
+ * @param {Object} userState - Wizard state
+ * @returns {Object} - { text, keyboard }
+ */
+function formatWizardStep(userState) {
+  const param = PARAMETER_SCHEMA[userState.step];
+  const choices = getWizardChoices(param);
+  
+  let text = `🧭 <b>Пошаговый ввод параметров</b> (шаг ${userState.step + 1} из ${PARAMETER_SCHEMA.length})\n\n`;
+  
+  const entered = formatWizardValues(userState);
+  if (entered) {
+    text += `${entered}\n\n`;
+  }
+  
+  text += `<b>${param.fullName}${param.unit ? ` (${param.unit})` : ''}</b>\n`;
+  
+  if (choices) {
+    text += 'Выберите значение кнопкой.';
+  } else {
+    text += `Введите ${formatParameterRange(param)}` +
+      (param.example !== undefined ? `, например: ${param.example}` : '') + '.';
+    if (param.units) {
+      const otherUnits = Object.keys(param.units).filter(unit => param.units[unit] !== 1);
+      text += `\nМожно указать значение в других единицах: ${otherUnits.join(', ')}.`;
+    }
+  }
+  
+  if (param.optional) {
+    text += param.derived ?
+      '\nЕсли пропустить шаг, значение будет рассчитано автоматически.' :
+      '\nЭтот параметр можно пропустить.';
+  }
+  
+  const keyboard = [];
+  if (choices) {
+    for (let i = 0; i < choices.length; i += 3) {
+      keyboard.push(choices.slice(i, i + 3).map(choice => ({
+        text: choice.text,
+        callback_data: `wizard:set:${choice.value}`
+      })));
+    }
+  }
+  
+  const navigation = [];
+  if (userState.step > 0) {
+    navigation.push({ text: '⬅️ Назад', callback_data: 'wizard:back' });
+  }
+  if (param.optional) {
+    navigation.push({ text: '⏭ Пропустить', callback_data: 'wizard:skip' });
+  }
+  navigation.push({ text: '✖️ Отмена', callback_data: 'wizard:cancel' });
+  keyboard.push(navigation);
+  
+  return { text, keyboard };
+}
+
+/**
+ * Format the confirmation summary shown after the last parameter
+ * @param {Object} userState - Wizard state
+ * @returns {Object} - { text, keyboard }
+ */
+function formatWizardSummary(userState) {
+  const parameters = convertParametersToObject(getWizardParameters(userState));
+  
+  return {
+    text: '🧭 <b>Проверьте параметры синтеза</b>\n\n' +
+      formatParametersForDisplay(parameters, '• ') + '\n\n' +
+      'Если все верно, нажмите «Рассчитать прогноз».',
+    keyboard: [
+      [{ text: '✅ Рассчитать прогноз', callback_data: 'wizard:confirm' }],
+      [
+        { text: '⬅️ Назад', callback_data: 'wizard:back' },
+        { text: '✖️ Отмена', callback_data: 'wizard:cancel' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Format the values entered so far, one per line
+ * @param {Object} userState - Wizard state
+ * @returns {string} - Formatted values
+ */
+function formatWizardValues(userState) {
+  return PARAMETER_SCHEMA.slice(0, userState.step).map((param, index) => {
+    const value = userState.values[index];
+    const formatted = value === null ?
+      (param.derived ? 'рассчитается автоматически' : 'пропущено') :
+      formatParameterValue(param, Number(value));
+    return `• ${param.label}: ${formatted}`;
+  }).join('\n');
+}
+
+/**
+ * Predict a recipe and show the result with the what-if buttons. The recipe is saved
+ * as an experiment only when the user picks it with the save or add result button.
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ * @param {Array<string>} paramArray - Validated raw parameter values
+ */
+async function runPrediction(bot, chatId, userId, paramArray) {
+  // Send "processing" message
+  const processingMsg = await bot.sendMessage(
+    chatId,
+    '⏳ Обрабатываю запрос и выполняю прогнозирование...'
+  );
+  
+  const result = {
+    values: paramArray,
+    messageId: processingMsg.message_id,
+    experimentId: null,
+    lastParameterIndex: null
+  };
+  
+  try {
+    await predictRecipe(result);
+  } catch (error) {
+    // The processing message must not stay looking like the prediction is still running
+    logger.error(`Prediction failed for user ${userId}: ${error.message}`);
+    await clearState(userId, 'predict');
+    await bot.editMessageText('❌ Не удалось выполнить прогноз. Пожалуйста, попробуйте позже.', {
+      chat_id: chatId,
+      message_id: processingMsg.message_id
+    });
+    return;
+  }
+  
+  // Clear prediction state, the result keeps its own state for the buttons
+  await clearState(userId, 'predict');
+  await setState(userId, 'what_if', result);
+  
+  await showWhatIfResult(bot, chatId, userId, result);
+  
+  logger.info(`Prediction completed for user ${userId}: [${paramArray}]`);
+}
+
+/**
+ * Predict the current recipe of a result and check its applicability domain
+ * @param {Object} result - What-if state: { values, ... }
+ */
+async function predictRecipe(result) {
+  const parameters = convertParametersToObject(result.values);
+  
+  result.prediction = await makeModelPrediction(result.values);
+  
+  // Check whether the recipe lies inside the training data of the models
+  const domain = await assessApplicabilityDomain(parameters);
+  result.domainWarnings = domain.warnings;
+  result.domainUnknown = domain.unknown;
+  result.predictedAt = new Date().toISOString();
+}
+
+/**
+ * Show (or update in place) the prediction result message with its buttons
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram ID of the user
+ * @param {Object} result - What-if state
+ */
+async function showWhatIfResult(bot, chatId, userId, result) {
+  const { prediction } = result;
+  const parameters = convertParametersToObject(result.values);
+  
+  // Format parameter display
+  const parameterDisplay = formatParametersForDisplay(parameters);
+  
+  const domainWarning = result.domainWarnings.length === 0 ? '' :
+    `⚠️ <b>Внимание: экстраполяция</b>\n` +
+    `Параметры выходят за область обучающих данных модели, прогноз может быть ненадежным:\n` +
+    result.domainWarnings.map(warning => `• ${warning}`).join('\n') + '\n\n';
+  
+  // Reported only when nothing is flagged, an unchecked model must not read as "in domain"
+  const domainUnknown = result.domainWarnings.length > 0 || !result.domainUnknown || result.domainUnknown.length === 0 ? '' :
+    `❔ <b>Область применимости не определена</b>\n` +
+    result.domainUnknown.map(reason => `• ${reason}`).join('\n') + '\n\n';
+  
+  // Measured experiments with similar parameters, as a sanity check next to the model output
+  const similar = await findSimilarExperiments(parameters, await getExperimentScope(userId));
+  const similarSection = similar.length === 0 ? '' :
+    `<b>Похожие эксперименты с фактическими результатами:</b>\n` +
+    formatSimilarExperiments(similar) + '\n\n';
+  
+  const savedSection = result.experimentId ?
+    `<b>ID эксперимента:</b> <code>${result.experimentId}</code>\n\n` +
+    `Чтобы добавить фактические результаты позже, используйте команду:\n` +
+    `/add_result ${result.experimentId}` :
+    `<i>Прогноз не сохранен. Кнопками ➖/➕ можно изменить параметр и сразу пересчитать прогноз, ` +
+    `выбранный вариант сохраните кнопкой «💾 Сохранить».</i>`;
+  
+  // deprecated func
+  /* function escapeMarkdownV2(text) {
+    return String(text).replace(/([_*\[\]()~`>#+\-=|{}.!])/g, '\\$1');
+  } */
+  
+  await bot.editMessageText(
+    `🔬 <b>Результаты прогнозирования</b>\n\n` +
+    `<b>Параметры синтеза:</b>\n${parameterDisplay}\n\n` +
+    `<b>Предсказанный размер частиц:</b> ${formatWithUncertainty(prediction.size, prediction.sizeUncertainty, 1)} нм\n` +
+    `<b>Предсказанный PdI:</b> ${formatWithUncertainty(prediction.pdi, prediction.pdiUncertainty, 3)}\n` +
+    formatAdditionalProperties({ predictions: getAdditionalPredictions(prediction) }).map(line => `${line}\n`).join('') +
+    `<i>${formatUncertaintySource(prediction.uncertaintySource)}</i>\n\n` +
+    domainWarning +
+    domainUnknown +
+    similarSection +
+    `<b>Дата/время прогноза:</b> ${new Date(result.predictedAt).toLocaleString('ru-RU')}\n` +
+    savedSection,
+    {
+      chat_id: chatId,
+      message_id: result.messageId,
+      parse_mode: 'HTML', // поставил хтмл, т.к. мд требует слишком долгой обработки
+      reply_markup: { inline_keyboard: getWhatIfKeyboard() }
+    }
+  );
+}
+
+/**
+ * Build the what-if buttons: ➖/➕ for every entered parameter, two parameters per row, and the actions
+ * @returns {Array<Array<Object>>} - Inline keyboard
+ */
+function getWhatIfKeyboard() {
+  const buttons = [];
+  
+  PARAMETER_SCHEMA.forEach((param, index) => {
+    // Calculated parameters follow the ones they are calculated from
+    if (param.derived) return;
+    
+    buttons.push(
+      { text: `➖ ${param.symbol}`, callback_data: `whatif:dec:${index}` },
+      { text: `➕ ${param.symbol}`, callback_data: `whatif:inc:${index}` }
+    );
+  });
+  
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 4) {
+    keyboard.push(buttons.slice(i, i + 4));
+  }
+  
+  keyboard.push([
+    { text: '💾 Сохранить', callback_data: 'whatif:save' },
+    { text: '📊 Добавить результат', callback_data: 'whatif:result' },
+    { text: '📈 График', callback_data: 'whatif:plot' }
+  ]);
+  
+  return keyboard;
+}
+
+/**
+ * Get the next value of a parameter in a direction: the search step for numbers,
+ * the neighbouring active code for categories
+ * @param {Object} param - Parameter definition
+ * @param {string} rawValue - Current raw value
+ * @param {number} direction - 1 or -1
+ * @returns {string|null} - New raw value, null outside the allowed values
+ */
+function nudgeParameterValue(param, rawValue, direction) {
+  if (param.type === 'category') {
+    const codes = getCategoryCodes(param);
+    const position = codes.indexOf(Number(rawValue)) + direction;
+    return position >= 0 && position < codes.length ? String(codes[position]) : null;
+  }
+  
+  const step = param.search ? param.search.step : 1;
+  const decimals = Math.max(...[step, rawValue].map(value => (String(value).split('.')[1] || '').length));
+  const value = String(Number((Number(rawValue) + direction * step).toFixed(decimals)));
+  
+  return validateParameterValue(param, value).valid ? value : null;
+}
+
+/**
+ * Check whether a calculated parameter depends on a parameter
+ * @param {Object} param - Parameter definition
+ * @returns {boolean}
+ */
+function isDerivedFrom(param) {
+  return PARAMETER_SCHEMA.some(entry => entry.derived &&
+    (entry.derived.numerator === param.name || entry.derived.denominator === param.name));
+}
+
+/**
+ * Save the current recipe of a result as an experiment (once)
+ * @param {Object} result - What-if state
+ * @param {string} userId - Telegram ID of the user
+ * @returns {Promise<string>} - Experiment ID
+ */
+async function saveWhatIfRecipe(result, userId) {
+  if (result.experimentId) return result.experimentId;
+  
+  const { prediction } = result;
+  
+  // Save experiment to database
+  const experiment = await Experiment.create({
+    parameters: convertParametersToObject(result.values),
+    predictedSize: prediction.size,
+    predictedPdI: prediction.pdi,
+    predictedSizeUncertainty: prediction.sizeUncertainty,
+    predictedPdIUncertainty: prediction.pdiUncertainty,
+    sizeModelId: prediction.sizeModelId,
+    pdiModelId: prediction.pdiModelId,
+    predictions: getAdditionalPredictions(prediction),
+    isExtrapolation: result.domainWarnings.length > 0,
+    userId
+  });
+  
+  result.experimentId = experiment.experimentId;
+  logger.info(`User ${userId} saved prediction as experiment ${experiment.experimentId}`);
+  
+  return experiment.experimentId;
+}
+
+/**
+ * Handle the what-if buttons of a prediction result
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} query - Callback query from Telegram
+ */
+async function handleWhatIfCallback(bot, query) {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const [, action, index] = query.data.split(':');
+  
+  try {
+    const result = await getState(userId, 'what_if');
     
-    // Clear prediction state
-    predictionState.delete(userId);
+    // Only the latest result of the user stays interactive
+    if (!result || result.messageId !== query.message.message_id) {
+      await bot.answerCallbackQuery(query.id, {
+        text: 'Этот прогноз устарел. Выполните /predict снова.',
+        show_alert: true
+      });
+      return;
+    }
     
-    logger.info(`Prediction completed for user ${userId}, experiment ID: ${experiment.experimentId}`);
+    switch (action) {
+      case 'inc':
+      case 'dec': {
+        const param = PARAMETER_SCHEMA[Number(index)];
+        const current = result.values[Number(index)];
+        const value = nudgeParameterValue(param, current, action === 'inc' ? 1 : -1);
+        
+        if (value === null) {
+          await bot.answerCallbackQuery(query.id, {
+            text: `${param.fullName}: достигнута граница допустимых значений.`
+          });
+          return;
+        }
+        
+        await bot.answerCallbackQuery(query.id, {
+          text: `${param.label}: ${formatParameterValue(param, Number(value))}`
+        });
+        
+        // A changed recipe is a new, unsaved variant
+        result.values = result.values.map((raw, i) => i === Number(index) ? value : raw);
+        
+        // Calculated values entered explicitly would no longer match their inputs, they are recalculated
+        if (isDerivedFrom(param)) {
+          while (result.values.length > 0 && PARAMETER_SCHEMA[result.values.length - 1].derived) {
+            result.values = result.values.slice(0, -1);
+          }
+        }
+        result.experimentId = null;
+        result.lastParameterIndex = Number(index);
+        await predictRecipe(result);
+        await setState(userId, 'what_if', result);
+        await showWhatIfResult(bot, chatId, userId, result);
+        return;
+      }
+      
+      case 'save': {
+        const alreadySaved = Boolean(result.experimentId);
+        await saveWhatIfRecipe(result, userId);
+        await setState(userId, 'what_if', result);
+        await bot.answerCallbackQuery(query.id, {
+          text: alreadySaved ? 'Этот вариант уже сохранен.' : 'Вариант сохранен как эксперимент.'
+        });
+        if (!alreadySaved) {
+          await showWhatIfResult(bot, chatId, userId, result);
+        }
+        return;
+      }
+      
+      case 'result': {
+        // The buttons need PREDICT, entering the measured results needs ADD_RESULTS as well
+        const access = await checkAccess(userId, PERMISSIONS.ADD_RESULTS);
+        if (!access.allowed) {
+          await bot.answerCallbackQuery(query.id, { text: access.message, show_alert: true });
+          return;
+        }
+        
+        const alreadySaved = Boolean(result.experimentId);
+        const experimentId = await saveWhatIfRecipe(result, userId);
+        await setState(userId, 'what_if', result);
+        await bot.answerCallbackQuery(query.id);
+        if (!alreadySaved) {
+          await showWhatIfResult(bot, chatId, userId, result);
+        }
+        await startAddResult(bot, { chat: query.message.chat, from: query.from }, experimentId);
+        return;
+      }
+      
+      case 'plot': {
+        // The last changed parameter, or the first one that has a search range
+        const lastParam = result.lastParameterIndex !== null ? PARAMETER_SCHEMA[result.lastParameterIndex] : null;
+        const param = lastParam && lastParam.search ? lastParam : PARAMETER_SCHEMA.find(entry => entry.search);
+        
+        await bot.answerCallbackQuery(query.id);
+        await generateRecipeSweepPlot(bot, chatId, userId, convertParametersToObject(result.values), param);
+        return;
+      }
+      
+      default:
+        await bot.answerCallbackQuery(query.id);
+    }
   } catch (error) {
-    logger.error(`Error handling prediction response: ${error.message}`);
+    logger.error(`Error handling what-if button: ${error.message}`);
     await bot.sendMessage(
       chatId,
-      '❌ Произошла ошибка при обработке параметров. Пожалуйста, проверьте ввод и попробуйте снова.'
+      '❌ Произошла ошибка при пересчете прогноза. Пожалуйста, попробуйте позже.'
     );
-    predictionState.delete(userId);
   }
 }
 
 /**
- * Format parameters for display in messages
+ * Get an example of the named input, e.g. "eu=1 phen=1 ... time=30"
+ * @returns {string} - Example input
+ */
+function getNamedExample() {
+  const example = getExampleParameters();
+  return PARAMETER_SCHEMA
+    .filter(param => !param.optional)
+    .map((param, index) => `${param.code}=${example[index]}`)
+    .join(' ');
+}
+
+/**
+ * Describe how named input was understood
  * @param {Object} parameters - Parameter object
- * @returns {string} - Formatted parameter string
- */
-function formatParametersForDisplay(parameters) {
-  const ligandTypeMap = {
-    0: 'нет',
-    1: 'кислота',
-    2: 'эфир',
-    3: 'нафтил'
-  };
+ * @param {Object} parsed - Result of parseParameterInput
+ * @returns {string} - Message text
+ */
+function formatInterpretation(parameters, parsed) {
+  let text = `🔎 Параметры распознаны так:\n${formatParametersForDisplay(parameters, '• ')}`;
+  
+  if (parsed.conversions.length > 0) {
+    text += '\n\nПереведено в единицы модели:\n' + parsed.conversions
+      .map(({ param, value, unit }) => `• ${param.label}: ${value} ${unit} → ${formatParameterValue(param, parameters[param.name])}`)
+      .join('\n');
+  }
+  
+  if (parsed.ignored.length > 0) {
+    text += `\n\nНе распознано и пропущено: ${parsed.ignored.join(', ')}`;
+  }
   
-  return [
-    `Конц. Eu: ${parameters.euConcentration} мМ/л`,
-    `Конц. Фенантролина: ${parameters.phenanthrolineConcentration} мМ/л`,
-    `Конц. Лиганда: ${parameters.ligandConcentration} мМ/л`,
-    `Вид лиганда: ${ligandTypeMap[parameters.ligandType]} (${parameters.ligandType})`,
-    `pH BSA: ${parameters.phBsa}`,
-    `Объем добавления: ${parameters.additionVolume} мл`,
-    `Время добавления: ${parameters.additionTime} мин`,
-    `Скорость добавления: ${parameters.additionRate} мл/мин`
-  ].join('\n');
+  return text;
 }
 
 module.exports = {
   startPrediction,
-  handlePredictionResponse
+  startWizard,
+  handlePredictionResponse,
+  handleWizardCallback,
+  handleWhatIfCallback
 };
\ No newline at end of file
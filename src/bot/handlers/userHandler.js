@@ -1,7 +1,9 @@
 const User = require('../../database/models/User');
 const Whitelist = require('../../database/models/Whitelist');
 const logger = require('../../utils/logger');
-const { isUserWhitelisted } = require('../middlewares/authMiddleware');
+const { getCommands } = require('../commandRouter');
+const { ROLE_NAMES, PERMISSIONS, getUserRole, roleHasPermission } = require('../middlewares/authMiddleware');
+const { clearAllStates } = require('../../utils/conversationState');
 
 /**
  * Handle the /start command
@@ -13,10 +15,10 @@ async function handleStart(bot, msg) {
   const telegramId = msg.from.id.toString();
   
   try {
-    // Check if user is whitelisted
-    const isWhitelisted = await isUserWhitelisted(telegramId);
+    // Users get access with a role or through the whitelist
+    const role = await getUserRole(telegramId);
     
-    if (isWhitelisted) {
+    if (role) {
       // Find or create user in the database
       const [user, created] = await User.findOrCreate({
         where: { telegramId },
@@ -26,22 +28,23 @@ async function handleStart(bot, msg) {
         }
       });
 
-      // Send welcome message
+      // Send welcome message with the menu commands the role allows
       await bot.sendMessage(
         chatId,
         `👋 Здравствуйте, ${user.name}!\n\n` +
         `Добро пожаловать в NanoPredictBot - бот для прогнозирования характеристик флуоресцентных наночастиц.\n\n` +
+        `Ваша роль: ${ROLE_NAMES[role]}\n\n` +
         `Вы можете использовать следующие команды:\n` +
-        `/predict - Сделать прогноз параметров наночастиц\n` +
-        `/add_result - Добавить фактические результаты эксперимента\n` +
-        `/history - Просмотреть историю экспериментов\n` +
-        `/plot - Построить график зависимости\n` +
-        `/export_csv - Экспортировать данные в CSV\n` +
-        `/help - Получить справку по командам\n\n` +
-        `Чтобы начать прогнозирование, отправьте команду /predict`
+        getCommands()
+          .filter(command => command.menu && command.name !== 'start' && roleHasPermission(role, command.permission))
+          .map(command => `/${command.name} - ${command.description}\n`)
+          .join('') + '\n' +
+        (roleHasPermission(role, PERMISSIONS.PREDICT) ?
+          `Чтобы начать прогнозирование, отправьте команду /predict` :
+          `Чтобы просмотреть эксперименты, отправьте команду /history`)
       );
       
-      logger.info(`User ${telegramId} (${user.name}) started the bot. Created: ${created}`);
+      logger.info(`User ${telegramId} (${user.name}, role: ${role}) started the bot. Created: ${created}`);
     } else {
       // User is not whitelisted
       await bot.sendMessage(
@@ -102,7 +105,40 @@ async function handleFeedback(bot, msg, feedbackText) {
   }
 }
 
+/**
+ * Handle the /cancel command: close every open flow of the user
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object from Telegram
+ */
+async function handleCancel(bot, msg) {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id.toString();
+  
+  try {
+    const cancelledFlows = await clearAllStates(telegramId);
+    
+    if (cancelledFlows.length === 0) {
+      await bot.sendMessage(chatId, 'Нет незавершенных действий для отмены.');
+      return;
+    }
+    
+    await bot.sendMessage(
+      chatId,
+      '🛑 Отменено:\n' + cancelledFlows.map(entry => `• ${entry.label}`).join('\n')
+    );
+    
+    logger.info(`User ${telegramId} cancelled flows: ${cancelledFlows.map(entry => entry.flow).join(', ')}`);
+  } catch (error) {
+    logger.error(`Error handling /cancel command: ${error.message}`);
+    await bot.sendMessage(
+      chatId,
+      '❌ Произошла ошибка при отмене. Пожалуйста, попробуйте позже.'
+    );
+  }
+}
+
 module.exports = {
   handleStart,
-  handleFeedback
+  handleFeedback,
+  handleCancel
 };
\ No newline at end of file
@@ -1,12 +1,38 @@
 const TelegramBot = require('node-telegram-bot-api');
 const logger = require('../utils/logger');
-const userHandler = require('./handlers/userHandler');
 const predictionHandler = require('./handlers/predictionHandler');
 const experimentHandler = require('./handlers/experimentHandler');
 const adminHandler = require('./handlers/adminHandler');
-const dataHandler = require('./handlers/dataHandler');
-const helpHandler = require('./handlers/helpHandler');
-const { isUserWhitelisted, isUserAdmin } = require('./middlewares/authMiddleware');
+const batchHandler = require('./handlers/batchHandler');
+const designHandler = require('./handlers/designHandler');
+const modelUploadHandler = require('./handlers/modelUploadHandler');
+const { COMMANDS } = require('./commands');
+const { MODELS_NOT_READY_MESSAGE, registerCommands, getMenuCommands } = require('./commandRouter');
+const { isPredictionWorkerReady } = require('../ml/predictionService');
+const { PERMISSIONS, checkAccess } = require('./middlewares/authMiddleware');
+const { getTextFlow, clearState } = require('../utils/conversationState');
+
+// Typed input of the open flows, the permission it requires and whether it needs the models loaded
+const TEXT_FLOWS = {
+  predict: {
+    permission: PERMISSIONS.PREDICT,
+    requiresModels: true,
+    handler: predictionHandler.handlePredictionResponse
+  },
+  add_result: {
+    permission: PERMISSIONS.ADD_RESULTS,
+    handler: experimentHandler.handleAddResultResponse
+  }
+};
+
+// Inline keyboard buttons by the prefix of their callback data and the permission they require;
+// the first matching prefix wins, so a button that needs the models can precede its group
+const CALLBACKS = [
+  { prefix: 'design_save:', permission: PERMISSIONS.PREDICT, handler: designHandler.handleDesignCallback },
+  { prefix: 'wizard:confirm', permission: PERMISSIONS.PREDICT, requiresModels: true, handler: predictionHandler.handleWizardCallback },
+  { prefix: 'wizard:', permission: PERMISSIONS.PREDICT, handler: predictionHandler.handleWizardCallback },
+  { prefix: 'whatif:', permission: PERMISSIONS.PREDICT, requiresModels: true, handler: predictionHandler.handleWhatIfCallback }
+];
 
 // Create a bot instance
 const bot = new TelegramBot(process.env.BOT_TOKEN, { polling: true });
@@ -16,228 +42,109 @@ async function startBot() {
   try {
     logger.info('Setting up bot command handlers...');
 
-    // Register bot commands with Telegram
-    await bot.setMyCommands([
-      { command: 'start', description: 'Начать работу с ботом' },
-      { command: 'predict', description: 'Сделать прогноз параметров наночастиц' },
-      { command: 'add_result', description: 'Добавить фактические результаты эксперимента' },
-      { command: 'history', description: 'Просмотреть историю экспериментов' },
-      { command: 'plot', description: 'Построить график зависимости' },
-      { command: 'export_csv', description: 'Экспортировать данные в CSV' },
-      { command: 'help', description: 'Показать справку по командам' },
-      { command: 'feedback', description: 'Отправить обратную связь разработчикам' }
-    ]);
-
-    // Basic commands
-    bot.onText(/\/start/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/start command received from ${chatId}`);
-      await userHandler.handleStart(bot, msg);
-    });
-
-    bot.onText(/\/help(.*)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const command = match[1].trim();
-      logger.info(`/help command received from ${chatId} for command: ${command || 'all'}`);
-      await helpHandler.handleHelp(bot, msg, command);
-    });
-
-    bot.onText(/\/feedback (.+)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const feedbackText = match[1];
-      logger.info(`/feedback command received from ${chatId}`);
-      await userHandler.handleFeedback(bot, msg, feedbackText);
-    });
-
-    // Prediction commands
-    bot.onText(/\/predict/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/predict command received from ${chatId}`);
-      
-      if (await isUserWhitelisted(chatId)) {
-        await predictionHandler.startPrediction(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.');
-      }
-    });
-
-    // Experiment commands
-    bot.onText(/\/add_result (.+)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const experimentId = match[1];
-      logger.info(`/add_result command received from ${chatId} for experiment: ${experimentId}`);
-      
-      if (await isUserWhitelisted(chatId)) {
-        await experimentHandler.startAddResult(bot, msg, experimentId);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.');
-      }
-    });
-
-    bot.onText(/\/history(?:\s+(\d+))?/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const limit = match[1] ? parseInt(match[1]) : null;
-      logger.info(`/history command received from ${chatId} with limit: ${limit || 'all'}`);
-      
-      if (await isUserWhitelisted(chatId)) {
-        await experimentHandler.showHistory(bot, msg, limit);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.');
-      }
-    });
-
-    // Data visualization commands
-    bot.onText(/\/plot(?:\s+(\w+))?(?:\s+([a-f0-9-]+))?/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const parameter = match[1];
-      const referenceExperimentId = match[2];
-      logger.info(`/plot command received from ${chatId} for parameter: ${parameter || 'all'}, reference: ${referenceExperimentId || 'none'}`);
-      
-      if (await isUserWhitelisted(chatId)) {
-        await dataHandler.generatePlot(bot, msg, parameter, referenceExperimentId);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.');
-      }
-    });
-
-    bot.onText(/\/plot_correlation/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/plot_correlation command received from ${chatId}`);
-      
-      if (await isUserWhitelisted(chatId)) {
-        await dataHandler.generateCorrelationPlot(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.');
-      }
-    });
-
-    bot.onText(/\/export_csv/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/export_csv command received from ${chatId}`);
-      
-      if (await isUserWhitelisted(chatId)) {
-        await dataHandler.exportToCsv(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.');
-      }
-    });
-
-    // Admin commands
-    bot.onText(/\/admin\s+user\s+add\s+(\d+)\s+(.+)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const targetTelegramId = match[1];
-      const name = match[2];
-      logger.info(`/admin user add command received from ${chatId} for user: ${targetTelegramId}`);
-      
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.addUserToWhitelist(bot, msg, targetTelegramId, name);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
-
-    bot.onText(/\/admin\s+user\s+remove\s+(\d+)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const targetTelegramId = match[1];
-      logger.info(`/admin user remove command received from ${chatId} for user: ${targetTelegramId}`);
-      
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.removeUserFromWhitelist(bot, msg, targetTelegramId);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
+    // Commands, their permissions and help texts are declared in commands.js
+    registerCommands(bot, COMMANDS);
 
-    bot.onText(/\/admin\s+user\s+list/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/admin user list command received from ${chatId}`);
-      
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.listWhitelistedUsers(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
-
-    bot.onText(/\/admin\s+model\s+list/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/admin model list command received from ${chatId}`);
-      
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.listModels(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
-
-    bot.onText(/\/admin\s+model\s+reload\s+(\S+)\s+(\S+)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const sizeModelPath = match[1];
-      const pdiModelPath = match[2];
-      logger.info(`/admin model reload command received from ${chatId}`);
-      
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.reloadModels(bot, msg, sizeModelPath, pdiModelPath);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
+    // Register bot commands with Telegram
+    await bot.setMyCommands(getMenuCommands());
 
-    bot.onText(/\/admin\s+backup\s+create/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/admin backup create command received from ${chatId}`);
-      
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.createBackup(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
+    // Listeners below catch their own errors like the command router does: a rejection
+    // escaping a listener would be unhandled and stop the bot
 
-    bot.onText(/\/admin\s+backup\s+list/, async (msg) => {
-      const chatId = msg.chat.id;
-      logger.info(`/admin backup list command received from ${chatId}`);
+    // Handle other messages
+    bot.on('message', async (msg) => {
+      // Commands are handled by the router, other text may be the input of an open flow
+      if (!msg.text || msg.text.startsWith('/')) return;
       
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.listBackups(bot, msg);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
-
-    bot.onText(/\/admin\s+backup\s+restore\s+([a-f0-9-]+)/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const backupId = match[1];
-      logger.info(`/admin backup restore command received from ${chatId} for backup: ${backupId}`);
+      try {
+        // With both a prediction and an add_result open, the text goes to the one changed last
+        const userId = msg.from.id.toString();
+        const flow = await getTextFlow(userId);
+        if (!TEXT_FLOWS[flow]) return;
+
+        // The role may have changed since the flow was started
+        const access = await checkAccess(userId, TEXT_FLOWS[flow].permission);
+        if (!access.allowed) {
+          await clearState(userId, flow);
+          await bot.sendMessage(msg.chat.id, access.message);
+          return;
+        }
+
+        // The flow stays open, so the same input can be sent again once the models are loaded
+        if (TEXT_FLOWS[flow].requiresModels && !isPredictionWorkerReady()) {
+          await bot.sendMessage(msg.chat.id, MODELS_NOT_READY_MESSAGE);
+          return;
+        }
+        
+        await TEXT_FLOWS[flow].handler(bot, msg);
+      } catch (error) {
+        logger.error(`Error handling message from ${msg.from.id}: ${error.message}`);
+      }
+    });
+
+    // Handle uploaded documents
+    bot.on('document', async (msg) => {
+      try {
+        // Check if this is a model or manifest uploaded by an administrator
+        if (modelUploadHandler.isModelUpload(msg)) {
+          const access = await checkAccess(msg.from.id, PERMISSIONS.ADMIN);
+          if (access.allowed) {
+            logger.info(`Model upload received from ${msg.from.id}: ${msg.document.file_name}`);
+            await modelUploadHandler.handleModelDocument(bot, msg);
+          } else {
+            await bot.sendMessage(msg.chat.id, access.message);
+          }
+          return;
+        }
+
+        // A parameter set for a model comparison is sent with the command as its caption
+        const compareMatch = (msg.caption || '').match(/^\/admin\s+model\s+compare\s+(\d+)\s+(\d+)/);
+        if (compareMatch) {
+          const access = await checkAccess(msg.from.id, PERMISSIONS.ADMIN);
+          if (access.allowed) {
+            logger.info(`Model comparison file received from ${msg.from.id}: ${msg.document.file_name}`);
+            await adminHandler.compareModels(bot, msg, compareMatch[1], compareMatch[2]);
+          } else {
+            await bot.sendMessage(msg.chat.id, access.message);
+          }
+          return;
+        }
+
+        // Check if this is a file for a batch prediction request (the handler checks the permission)
+        await batchHandler.handleBatchDocument(bot, msg);
+      } catch (error) {
+        logger.error(`Error handling document from ${msg.from.id}: ${error.message}`);
+      }
+    });
+
+    // Handle inline keyboard buttons
+    bot.on('callback_query', async (query) => {
+      if (!query.data) return;
       
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.restoreBackup(bot, msg, backupId);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
-
-    bot.onText(/\/admin\s+logs\s+(\w+)(?:\s+(\d+))?/, async (msg, match) => {
-      const chatId = msg.chat.id;
-      const level = match[1];
-      const limit = match[2] ? parseInt(match[2]) : 10;
-      logger.info(`/admin logs command received from ${chatId} for level: ${level}, limit: ${limit}`);
+      const callback = CALLBACKS.find(entry => query.data.startsWith(entry.prefix));
+      if (!callback) return;
       
-      if (await isUserAdmin(chatId)) {
-        await adminHandler.showLogs(bot, msg, level, limit);
-      } else {
-        bot.sendMessage(chatId, '⛔ Доступ запрещен. Вы не являетесь администратором.');
-      }
-    });
-
-    // Handle other messages
-    bot.on('message', async (msg) => {
-      // This handler will only be called for messages that don't match any of the above
-      if (msg.text && !msg.text.startsWith('/')) {
-        // Check if this is a response to a prediction request
-        await predictionHandler.handlePredictionResponse(bot, msg);
-        // Check if this is a response to an add_result request
-        await experimentHandler.handleAddResultResponse(bot, msg);
+      try {
+        const access = await checkAccess(query.from.id, callback.permission);
+        if (!access.allowed) {
+          await bot.answerCallbackQuery(query.id, {
+            text: access.message,
+            show_alert: true
+          });
+          return;
+        }
+        
+        if (callback.requiresModels && !isPredictionWorkerReady()) {
+          await bot.answerCallbackQuery(query.id, {
+            text: MODELS_NOT_READY_MESSAGE,
+            show_alert: true
+          });
+          return;
+        }
+        
+        await callback.handler(bot, query);
+      } catch (error) {
+        logger.error(`Error handling button ${query.data} from ${query.from.id}: ${error.message}`);
       }
     });
 
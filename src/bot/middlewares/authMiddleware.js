@@ -1,7 +1,77 @@
 const User = require('../../database/models/User');
 const Whitelist = require('../../database/models/Whitelist');
+const UserRole = require('../../database/models/UserRole');
 const logger = require('../../utils/logger');
 
+/**
+ * Roles of the users, from the least to the most privileged
+ */
+const ROLES = {
+  VIEWER: 'viewer',
+  RESEARCHER: 'researcher',
+  LAB_MANAGER: 'lab_manager',
+  ADMIN: 'admin'
+};
+
+const ROLE_NAMES = {
+  [ROLES.VIEWER]: 'наблюдатель',
+  [ROLES.RESEARCHER]: 'исследователь',
+  [ROLES.LAB_MANAGER]: 'руководитель лаборатории',
+  [ROLES.ADMIN]: 'администратор'
+};
+
+/**
+ * Permissions required by commands, buttons and flows. PUBLIC is granted to everyone,
+ * including users without a role.
+ */
+const PERMISSIONS = {
+  PUBLIC: 'public',
+  VIEW_HISTORY: 'view_history',
+  PREDICT: 'predict',
+  ADD_RESULTS: 'add_results',
+  VIEW_ALL_DATA: 'view_all_data',
+  APPROVE_RESULTS: 'approve_results',
+  ADMIN: 'admin'
+};
+
+// Shown to users without the permission: "Роль ... не позволяет <description>"
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.VIEW_HISTORY]: 'просматривать историю экспериментов и графики',
+  [PERMISSIONS.PREDICT]: 'выполнять прогнозы',
+  [PERMISSIONS.ADD_RESULTS]: 'добавлять фактические результаты',
+  [PERMISSIONS.VIEW_ALL_DATA]: 'просматривать данные всех пользователей',
+  [PERMISSIONS.APPROVE_RESULTS]: 'подтверждать результаты экспериментов',
+  [PERMISSIONS.ADMIN]: 'выполнять административные команды'
+};
+
+// Permission matrix: the permissions of every role
+const ROLE_PERMISSIONS = {
+  [ROLES.VIEWER]: [
+    PERMISSIONS.VIEW_HISTORY
+  ],
+  [ROLES.RESEARCHER]: [
+    PERMISSIONS.VIEW_HISTORY,
+    PERMISSIONS.PREDICT,
+    PERMISSIONS.ADD_RESULTS
+  ],
+  [ROLES.LAB_MANAGER]: [
+    PERMISSIONS.VIEW_HISTORY,
+    PERMISSIONS.PREDICT,
+    PERMISSIONS.ADD_RESULTS,
+    PERMISSIONS.VIEW_ALL_DATA,
+    PERMISSIONS.APPROVE_RESULTS
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.PUBLIC)
+};
+
+/**
+ * Get the administrators from the ADMIN_TELEGRAM_IDS environment variable
+ * @returns {Array<string>} - Telegram IDs
+ */
+function getEnvAdminIds() {
+  return (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
 /**
  * Check if a user is whitelisted
  * @param {string} telegramId - Telegram ID of the user
@@ -12,7 +82,7 @@ async function isUserWhitelisted(telegramId) {
     const whitelist = await Whitelist.findOne({
       where: { telegramId: telegramId.toString() }
     });
-    
+
     return !!whitelist;
   } catch (error) {
     logger.error(`Error checking whitelist for user ${telegramId}: ${error.message}`);
@@ -26,29 +96,131 @@ async function isUserWhitelisted(telegramId) {
  * @returns {Promise<boolean>} - Whether the user is an admin
  */
 async function isUserAdmin(telegramId) {
+  return await getUserRole(telegramId) === ROLES.ADMIN;
+}
+
+/**
+ * Get the role of a user: ADMIN_TELEGRAM_IDS are always admins, then the role assigned
+ * with /admin user role, then User.isAdmin (admin) and the whitelist (researcher)
+ * @param {string} telegramId - Telegram ID of the user
+ * @returns {Promise<string|null>} - Role (ROLES), null for users without access
+ */
+async function getUserRole(telegramId) {
+  const id = telegramId.toString();
+
   try {
-    // Check if the user is in the ADMIN_TELEGRAM_IDS environment variable
-    const adminIds = (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim());
-    if (adminIds.includes(telegramId.toString())) {
-      return true;
+    if (getEnvAdminIds().includes(id)) {
+      return ROLES.ADMIN;
+    }
+
+    const assigned = await UserRole.findOne({ where: { telegramId: id } });
+    if (assigned) {
+      return assigned.role;
     }
 
-    // Check if the user is an admin in the database
-    const user = await User.findOne({
-      where: { 
-        telegramId: telegramId.toString(),
+    const admin = await User.findOne({
+      where: {
+        telegramId: id,
         isAdmin: true
       }
     });
-    
-    return !!user;
+    if (admin) {
+      return ROLES.ADMIN;
+    }
+
+    return await isUserWhitelisted(id) ? ROLES.RESEARCHER : null;
   } catch (error) {
-    logger.error(`Error checking admin status for user ${telegramId}: ${error.message}`);
-    return false;
+    logger.error(`Error getting role of user ${telegramId}: ${error.message}`);
+    return null;
   }
 }
 
+/**
+ * Check whether a role has a permission
+ * @param {string|null} role - Role (ROLES)
+ * @param {string} permission - Permission (PERMISSIONS)
+ * @returns {boolean}
+ */
+function roleHasPermission(role, permission) {
+  if (permission === PERMISSIONS.PUBLIC) return true;
+  return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+}
+
+/**
+ * Check whether a user may do something
+ * @param {string} telegramId - Telegram ID of the user
+ * @param {string} permission - Permission (PERMISSIONS)
+ * @returns {Promise<Object>} - { allowed, role } or { allowed, role, message } with the refusal text
+ */
+async function checkAccess(telegramId, permission) {
+  if (permission === PERMISSIONS.PUBLIC) {
+    return { allowed: true, role: null };
+  }
+
+  const role = await getUserRole(telegramId);
+
+  if (!role) {
+    return {
+      allowed: false,
+      role,
+      message: '⛔ Доступ запрещен. Вы не в списке разрешенных пользователей.'
+    };
+  }
+
+  if (!roleHasPermission(role, permission)) {
+    return {
+      allowed: false,
+      role,
+      message: `⛔ Доступ запрещен. Роль «${ROLE_NAMES[role] || role}» не позволяет ${PERMISSION_DESCRIPTIONS[permission]}.`
+    };
+  }
+
+  return { allowed: true, role };
+}
+
+/**
+ * Check whether a user has a permission
+ * @param {string} telegramId - Telegram ID of the user
+ * @param {string} permission - Permission (PERMISSIONS)
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(telegramId, permission) {
+  return (await checkAccess(telegramId, permission)).allowed;
+}
+
+/**
+ * Get the condition selecting the experiments a user may see: everyone's for
+ * roles with VIEW_ALL_DATA, otherwise the user's own
+ * @param {string} telegramId - Telegram ID of the user
+ * @returns {Promise<Object>} - Sequelize where condition
+ */
+async function getExperimentScope(telegramId) {
+  return await hasPermission(telegramId, PERMISSIONS.VIEW_ALL_DATA) ?
+    {} :
+    { userId: telegramId.toString() };
+}
+
+/**
+ * Get the roles that have a permission
+ * @param {string} permission - Permission (PERMISSIONS)
+ * @returns {Array<string>} - Roles (ROLES)
+ */
+function getRolesWithPermission(permission) {
+  return Object.values(ROLES).filter(role => roleHasPermission(role, permission));
+}
+
 module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getEnvAdminIds,
   isUserWhitelisted,
-  isUserAdmin
-};
\ No newline at end of file
+  isUserAdmin,
+  getUserRole,
+  roleHasPermission,
+  checkAccess,
+  hasPermission,
+  getExperimentScope,
+  getRolesWithPermission
+};
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+/**
+ * ConversationState: the state of an unfinished dialog (flow) of a user, kept across bot restarts
+ */
+const ConversationState = sequelize.define('ConversationState', {
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Flow name from src/utils/conversationState.js (e.g. 'predict', 'add_result')
+  flow: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // Every change moves the expiry forward by the TTL of the flow
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['userId', 'flow'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = ConversationState;
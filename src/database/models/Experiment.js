@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+/**
+ * Experiment: synthesis parameters, model predictions and measured results
+ */
+const Experiment = sequelize.define('Experiment', {
+  experimentId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  parameters: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  predictedSize: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  predictedPdI: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  // One standard deviation of the predicted values
+  predictedSizeUncertainty: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  predictedPdIUncertainty: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  // PredictionModel records that produced the predictions
+  sizeModelId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  pdiModelId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Set when the parameters lie outside the training data of the model
+  isExtrapolation: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  actualSize: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  actualPdI: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  // Predictions of the other configured properties (config/properties.json):
+  // { zeta: { value, uncertainty, modelId }, ... }
+  predictions: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Measured values of the other configured properties: { zeta: -25.3, ... }
+  measurements: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Set when the measured results are entered; updatedAt also changes on approval and other edits
+  resultsAddedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when a lab manager approves the measured results, cleared when they change
+  resultsApprovedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  resultsApprovedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+});
+
+module.exports = Experiment;
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+/**
+ * Ligand: an entry of the ligand catalogue, the values of the "ligand type" parameter
+ */
+const Ligand = sequelize.define('Ligand', {
+  // Value stored in experiment parameters (ligandType) and entered in /predict
+  code: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  // Category name of the one-hot features in model manifests
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Retired ligands are not accepted for new recipes but stay readable in history
+  retiredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  addedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+});
+
+module.exports = Ligand;
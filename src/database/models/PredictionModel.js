@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+/**
+ * PredictionModel: a registered version of a size or PdI model
+ */
+const PredictionModel = sequelize.define('PredictionModel', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  trainedDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  metrics: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  filePath: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  activatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Model that was active before this one, used by /admin model rollback
+  previousModelId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Inputs, encodings, scaling and output of the model (see src/ml/manifests)
+  manifest: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Training data statistics for the applicability domain check
+  trainingStats: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+});
+
+module.exports = PredictionModel;
@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db');
+
+/**
+ * UserRole: role assigned to a user with /admin user role. Whitelisted users without
+ * an assigned role are researchers, administrators from User.isAdmin or ADMIN_TELEGRAM_IDS admins.
+ */
+const UserRole = sequelize.define('UserRole', {
+  telegramId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // viewer, researcher, lab_manager or admin (see src/bot/middlewares/authMiddleware.js)
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  assignedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+});
+
+module.exports = UserRole;
@@ -0,0 +1,375 @@
+const logger = require('../utils/logger');
+const Experiment = require('../database/models/Experiment');
+const { Op } = require('sequelize');
+const { readParameterRows } = require('../utils/tableUtils');
+const { getActiveModels, getModelConfig } = require('./modelRegistry');
+const {
+  PARAMETER_SCHEMA,
+  LIGAND_TYPES,
+  convertParametersToObject,
+  validateParameters,
+  getNumericParameters
+} = require('../utils/parameterUtils');
+
+// Numeric features used for the range check and the distance to the training set
+const DOMAIN_FEATURES = Object.fromEntries(
+  getNumericParameters().map(param => [param.name, param.label])
+);
+
+// Inputs farther from the training set than 95% of the training points are from each other are flagged
+const DISTANCE_PERCENTILE = 0.95;
+
+// Number of similar measured experiments listed next to a prediction
+const SIMILAR_EXPERIMENTS_LIMIT = 5;
+
+// Distance added when the ligand type differs, comparable to one standard deviation of a numeric feature
+const LIGAND_MISMATCH_DISTANCE = 1;
+
+/**
+ * Collect the parameter sets a model was trained on
+ * @param {string|null} trainingDataPath - CSV/XLSX file with the training recipes
+ * @returns {Promise<Object>} - { parameters, source } where source is 'file' or 'experiments'
+ */
+async function collectTrainingParameters(trainingDataPath) {
+  if (trainingDataPath) {
+    const parameters = readParameterRows(trainingDataPath)
+      .filter(row => validateParameters(row.values, { allowRetired: true }).valid)
+      .map(row => convertParametersToObject(row.values));
+
+    return { parameters, source: 'file' };
+  }
+
+  // Without a training file, the measured experiments are the closest approximation
+  const experiments = await Experiment.findAll({
+    where: {
+      actualSize: { [Op.ne]: null },
+      actualPdI: { [Op.ne]: null }
+    },
+    attributes: ['parameters']
+  });
+
+  return {
+    parameters: experiments.map(exp => exp.parameters),
+    source: 'experiments'
+  };
+}
+
+/**
+ * Compute training data statistics: per-feature ranges, standardized points
+ * and the nearest-neighbour distance threshold
+ * @param {Array<Object>} parameterList - Training parameter objects
+ * @returns {Object|null} - Training statistics or null if there is no data
+ */
+function computeTrainingStats(parameterList) {
+  if (parameterList.length === 0) {
+    return null;
+  }
+
+  const features = computeFeatureStats(parameterList);
+  const ligandTypes = [...new Set(parameterList.map(params => params.ligandType))].sort();
+  const points = parameterList.map(params => standardize(params, features));
+
+  // Leave-one-out nearest-neighbour distances within the training set
+  let distanceThreshold = null;
+  if (points.length >= 2) {
+    const distances = points
+      .map((point, index) => nearestDistance(point, points, index))
+      .sort((a, b) => a - b);
+    distanceThreshold = distances[Math.min(distances.length - 1, Math.floor(DISTANCE_PERCENTILE * distances.length))];
+  }
+
+  return {
+    count: parameterList.length,
+    features,
+    ligandTypes,
+    points,
+    distanceThreshold
+  };
+}
+
+/**
+ * Check whether parameters lie inside the applicability domain of a model
+ * @param {Object} parameters - Parameter object
+ * @param {Object} stats - Training statistics of the model
+ * @returns {Object} - { inDomain, warnings, distance, missingFeatures }; inDomain is null when
+ *   nothing is flagged but the statistics lack some parameters (e.g. ones added to the schema later)
+ */
+function checkApplicabilityDomain(parameters, stats) {
+  const warnings = [];
+  // A feature is not covered if the stats predate it or some training recipes lack it
+  const missingFeatures = Object.keys(DOMAIN_FEATURES)
+    .filter(field => !stats.features[field] || !Number.isFinite(stats.features[field].mean));
+
+  for (const [field, label] of Object.entries(DOMAIN_FEATURES)) {
+    if (missingFeatures.includes(field)) continue;
+
+    const { min, max } = stats.features[field];
+    const value = parameters[field];
+
+    if (value < min || value > max) {
+      warnings.push(`${label} = ${round(value)} вне диапазона обучающих данных (${round(min)} - ${round(max)})`);
+    }
+  }
+
+  if (!stats.ligandTypes.includes(parameters.ligandType)) {
+    const ligand = LIGAND_TYPES[parameters.ligandType];
+    warnings.push(`Вид лиганда ${ligand ? ligand.name : parameters.ligandType} не встречался в обучающих данных`);
+  }
+
+  // The training points are only comparable over the same features
+  let distance = null;
+  if (stats.distanceThreshold !== null && missingFeatures.length === 0) {
+    distance = nearestDistance(standardize(parameters, stats.features), stats.points);
+
+    if (distance > stats.distanceThreshold) {
+      warnings.push(
+        `Рецепт далек от обучающих данных (расстояние ${distance.toFixed(2)} при пороге ${stats.distanceThreshold.toFixed(2)})`
+      );
+    }
+  }
+
+  return {
+    inDomain: warnings.length > 0 ? false : (missingFeatures.length > 0 ? null : true),
+    warnings,
+    distance,
+    missingFeatures
+  };
+}
+
+/**
+ * Get the categories a manifest has one-hot inputs for
+ * @param {Object} manifest - Model manifest
+ * @returns {Object} - Category names keyed by parameter field (fields without one-hot inputs are absent)
+ */
+function getManifestCategories(manifest) {
+  const categories = {};
+
+  for (const feature of manifest.features) {
+    if (feature.encoding === 'onehot') {
+      (categories[feature.source] = categories[feature.source] || []).push(feature.category);
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * Check that the category values of a recipe have inputs in a model. A category added to the
+ * catalogue after the model was trained (e.g. a new ligand) is encoded as all zeros, and the
+ * model silently predicts as if no category was given.
+ * @param {Object} parameters - Parameter object
+ * @param {Object} domain - Domain of the model from getActiveModelDomains
+ * @returns {Array<string>} - Warnings
+ */
+function checkManifestCategories(parameters, domain) {
+  const warnings = [];
+
+  for (const param of PARAMETER_SCHEMA.filter(entry => entry.type === 'category')) {
+    const declared = domain.categories[param.name];
+    const category = param.categories[parameters[param.name]];
+
+    if (declared && category && !declared.includes(category.key)) {
+      warnings.push(`${param.fullName} ${category.name} не предусмотрен моделью ${domain.name}, прогноз его не учитывает`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Get the applicability domain of the active models: their training statistics
+ * (if computed) and the categories their manifests have inputs for
+ * @returns {Promise<Array<Object>>} - { name, trainingStats, categories } per active model
+ */
+async function getActiveModelDomains() {
+  const activeModels = await getActiveModels();
+
+  return Object.values(activeModels).map(model => ({
+    name: model.name,
+    trainingStats: model.trainingStats,
+    categories: getManifestCategories(getModelConfig(model).manifest)
+  }));
+}
+
+/**
+ * Check parameters against the applicability domain of all active models
+ * @param {Object} parameters - Parameter object
+ * @param {Array<Object>} [domains] - Preloaded domains from getActiveModelDomains (loaded from the DB if omitted)
+ * @returns {Promise<Object>} - { inDomain, warnings, unknown }: inDomain is false if a check flagged
+ *   the parameters, null if nothing is flagged but some model could not be checked (reasons in unknown)
+ */
+async function assessApplicabilityDomain(parameters, domains) {
+  try {
+    const activeDomains = domains || await getActiveModelDomains();
+    const warnings = new Set();
+    const unknown = [];
+
+    for (const domain of activeDomains) {
+      checkManifestCategories(parameters, domain).forEach(warning => warnings.add(warning));
+
+      if (!domain.trainingStats) {
+        unknown.push(`для модели ${domain.name} нет статистики обучающих данных`);
+        continue;
+      }
+
+      const result = checkApplicabilityDomain(parameters, domain.trainingStats);
+      result.warnings.forEach(warning => warnings.add(warning));
+
+      if (result.missingFeatures.length > 0) {
+        const labels = result.missingFeatures.map(field => DOMAIN_FEATURES[field]).join(', ');
+        unknown.push(`статистика обучающих данных модели ${domain.name} не содержит параметров: ${labels}`);
+      }
+    }
+
+    return {
+      inDomain: warnings.size > 0 ? false : (unknown.length > 0 ? null : true),
+      warnings: [...warnings],
+      unknown
+    };
+  } catch (error) {
+    // The check is advisory, a failure must not block the prediction, but is not reported as in domain
+    logger.error(`Error checking applicability domain: ${error.message}`);
+    return { inDomain: null, warnings: [], unknown: ['проверка не выполнена из-за ошибки'] };
+  }
+}
+
+/**
+ * Compute the training statistics of the active models that have none, e.g. the models registered
+ * from SIZE_MODEL_PATH / PDI_MODEL_PATH. Without a training file the measured experiments are used.
+ * @returns {Promise<number>} - Number of models that got statistics
+ */
+async function addMissingTrainingStats() {
+  const models = Object.values(await getActiveModels()).filter(model => !model.trainingStats);
+
+  if (models.length === 0) {
+    return 0;
+  }
+
+  const training = await collectTrainingParameters(null);
+  const trainingStats = computeTrainingStats(training.parameters);
+
+  if (!trainingStats) {
+    logger.warn(`No measured experiments to compute the applicability domain of ${models.map(model => model.name).join(', ')}`);
+    return 0;
+  }
+
+  for (const model of models) {
+    model.trainingStats = trainingStats;
+    await model.save();
+    logger.info(`Computed applicability domain of ${model.name} ${model.id} from ${trainingStats.count} measured experiments`);
+  }
+
+  return models.length;
+}
+
+/**
+ * Find the measured experiments with the parameters closest to a recipe
+ * @param {Object} parameters - Parameter object
+ * @param {Object} scope - Experiments the user may see (condition from getExperimentScope)
+ * @param {number} [limit] - Maximum number of experiments
+ * @returns {Promise<Array<Object>>} - { experiment, distance } sorted by distance
+ */
+async function findSimilarExperiments(parameters, scope, limit = SIMILAR_EXPERIMENTS_LIMIT) {
+  const experiments = await Experiment.findAll({
+    where: {
+      ...scope,
+      actualSize: { [Op.ne]: null },
+      actualPdI: { [Op.ne]: null }
+    }
+  });
+
+  if (experiments.length === 0) {
+    return [];
+  }
+
+  // Features are scaled by their spread over the measured experiments
+  const features = computeFeatureStats(experiments.map(exp => exp.parameters));
+  const point = standardize(parameters, features);
+
+  return experiments
+    .map(experiment => {
+      const other = standardize(experiment.parameters, features);
+      const ligandDistance = experiment.parameters.ligandType === parameters.ligandType ? 0 : LIGAND_MISMATCH_DISTANCE;
+      const squares = other.reduce((sum, value, i) => sum + (value - point[i]) ** 2, ligandDistance ** 2);
+
+      return { experiment, distance: Math.sqrt(squares) };
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+/**
+ * Compute per-feature statistics of parameter sets
+ * @param {Array<Object>} parameterList - Parameter objects
+ * @returns {Object} - { min, max, mean, std } for each numeric feature
+ */
+function computeFeatureStats(parameterList) {
+  const features = {};
+
+  for (const field of Object.keys(DOMAIN_FEATURES)) {
+    const values = parameterList.map(params => params[field]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+    features[field] = {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      mean,
+      std: Math.sqrt(variance)
+    };
+  }
+
+  return features;
+}
+
+/**
+ * Standardize the numeric features of a parameter object
+ * @param {Object} parameters - Parameter object
+ * @param {Object} features - Per-feature statistics
+ * @returns {Array<number>} - Standardized feature vector
+ */
+function standardize(parameters, features) {
+  return Object.keys(DOMAIN_FEATURES).map(field => {
+    const { mean, std } = features[field];
+    return std > 0 ? (parameters[field] - mean) / std : 0;
+  });
+}
+
+/**
+ * Euclidean distance from a point to its nearest neighbour
+ * @param {Array<number>} point - Standardized feature vector
+ * @param {Array<Array<number>>} points - Standardized training points
+ * @param {number} skipIndex - Index of the point itself (leave-one-out)
+ * @returns {number} - Nearest-neighbour distance
+ */
+function nearestDistance(point, points, skipIndex = -1) {
+  let nearest = Infinity;
+
+  points.forEach((other, index) => {
+    if (index === skipIndex) return;
+
+    const distance = Math.sqrt(other.reduce((sum, value, i) => sum + (value - point[i]) ** 2, 0));
+    nearest = Math.min(nearest, distance);
+  });
+
+  return nearest;
+}
+
+/**
+ * Round a value for display
+ * @param {number} value - Value
+ * @returns {number} - Value with at most 3 decimals
+ */
+function round(value) {
+  return parseFloat(value.toFixed(3));
+}
+
+module.exports = {
+  collectTrainingParameters,
+  computeTrainingStats,
+  checkApplicabilityDomain,
+  getActiveModelDomains,
+  assessApplicabilityDomain,
+  addMissingTrainingStats,
+  findSimilarExperiments
+};
@@ -0,0 +1,237 @@
+const logger = require('../utils/logger');
+const { makeBatchPrediction } = require('./predictionService');
+const { PARAMETER_SCHEMA, PARAMETER_SEARCH_RANGES, getCategoryCodes, validateParameters } = require('../utils/parameterUtils');
+
+// Parameters of a candidate row, calculated ones are left to validateParameters
+const DESIGN_PARAMETERS = PARAMETER_SCHEMA.filter(param => !param.derived);
+
+// Random search budget: initial samples, then local refinement around the best ones
+const INITIAL_SAMPLES = 300;
+const REFINEMENT_ROUNDS = 2;
+const REFINEMENT_PARENTS = 10;
+const NEIGHBOURS_PER_PARENT = 20;
+
+/**
+ * Parse design targets like "size=80 pdi<0.15 n=5"
+ * @param {string} text - Command arguments
+ * @returns {Object} - { targets, topN } or { error }
+ */
+function parseDesignTargets(text) {
+  const targets = {};
+  let topN = 5;
+
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  for (const token of tokens) {
+    const match = token.toLowerCase().match(/^(size|pdi|n)(<=|>=|=|<|>)([\d.,]+)$/);
+    if (!match) {
+      return { error: `Не удалось разобрать условие "${token}".` };
+    }
+
+    const [, name, operator, rawValue] = match;
+    const value = parseFloat(rawValue.replace(',', '.'));
+
+    if (isNaN(value) || value <= 0) {
+      return { error: `Значение в условии "${token}" должно быть положительным числом.` };
+    }
+
+    if (name === 'n') {
+      topN = Math.min(Math.round(value), 10);
+      continue;
+    }
+
+    targets[name] = { operator: operator[0], value };
+  }
+
+  if (Object.keys(targets).length === 0) {
+    return { error: 'Укажите хотя бы одно условие для размера (size) или PdI (pdi).' };
+  }
+
+  return { targets, topN };
+}
+
+/**
+ * Search the parameter space for recipes matching the targets
+ * @param {Object} targets - Target conditions keyed by output ({ size: { operator, value } })
+ * @param {number} topN - Number of candidates to return
+ * @returns {Promise<Array<Object>>} - Best candidates as { values, prediction, score }
+ */
+async function designParameters(targets, topN) {
+  const seen = new Set();
+  let candidates = [];
+
+  // Stage 1: uniform random samples over the whole search space
+  let batch = uniqueRows(
+    Array.from({ length: INITIAL_SAMPLES }, () => randomRow()),
+    seen
+  );
+  candidates = candidates.concat(await scoreRows(batch, targets));
+
+  // Stage 2: refine around the best candidates found so far
+  for (let round = 0; round < REFINEMENT_ROUNDS; round++) {
+    const parents = rankCandidates(candidates).slice(0, REFINEMENT_PARENTS);
+    const neighbours = [];
+
+    for (const parent of parents) {
+      for (let i = 0; i < NEIGHBOURS_PER_PARENT; i++) {
+        neighbours.push(neighbourRow(parent.values));
+      }
+    }
+
+    batch = uniqueRows(neighbours, seen);
+    if (batch.length === 0) break;
+
+    candidates = candidates.concat(await scoreRows(batch, targets));
+  }
+
+  logger.info(`Inverse design evaluated ${candidates.length} recipes for targets ${JSON.stringify(targets)}`);
+
+  return rankCandidates(candidates).slice(0, topN);
+}
+
+/**
+ * Predict and score a batch of parameter rows
+ * @param {Array<Array>} rows - Raw parameter arrays
+ * @param {Object} targets - Target conditions
+ * @returns {Promise<Array<Object>>} - Scored candidates
+ */
+async function scoreRows(rows, targets) {
+  if (rows.length === 0) return [];
+
+  const predictions = await makeBatchPrediction(rows);
+
+  return rows.map((values, index) => ({
+    values,
+    prediction: predictions[index],
+    score: scorePrediction(predictions[index], targets)
+  }));
+}
+
+/**
+ * Score a prediction against the targets (0 means all targets are met exactly)
+ * @param {Object} prediction - Prediction result ({ size, pdi })
+ * @param {Object} targets - Target conditions
+ * @returns {number} - Sum of relative deviations from the targets
+ */
+function scorePrediction(prediction, targets) {
+  let score = 0;
+
+  for (const [name, { operator, value }] of Object.entries(targets)) {
+    const predicted = prediction[name];
+    let deviation;
+
+    if (operator === '<') {
+      deviation = Math.max(0, predicted - value);
+    } else if (operator === '>') {
+      deviation = Math.max(0, value - predicted);
+    } else {
+      deviation = Math.abs(predicted - value);
+    }
+
+    score += deviation / value;
+  }
+
+  return score;
+}
+
+/**
+ * Sort candidates by score, preferring lower PdI on ties
+ * @param {Array<Object>} candidates - Scored candidates
+ * @returns {Array<Object>} - Sorted copy
+ */
+function rankCandidates(candidates) {
+  return [...candidates].sort((a, b) => (a.score - b.score) || (a.prediction.pdi - b.prediction.pdi));
+}
+
+/**
+ * Drop invalid rows and rows that were already evaluated
+ * @param {Array<Array>} rows - Raw parameter arrays
+ * @param {Set<string>} seen - Keys of evaluated rows
+ * @returns {Array<Array>} - New valid rows
+ */
+function uniqueRows(rows, seen) {
+  return rows.filter(row => {
+    const key = row.join(' ');
+    if (seen.has(key) || !validateParameters(row).valid) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Generate a random parameter row within the search ranges
+ * @returns {Array<string>} - Raw parameter array
+ */
+function randomRow() {
+  return DESIGN_PARAMETERS.map(param => {
+    const range = PARAMETER_SEARCH_RANGES[param.name];
+
+    if (param.type === 'category') {
+      return String(randomCategory(param));
+    }
+
+    // Parameters without a search range keep their example value
+    if (!range) {
+      return String(param.example);
+    }
+
+    const steps = Math.round((range.max - range.min) / range.step);
+    return formatValue(range.min + Math.floor(Math.random() * (steps + 1)) * range.step, range);
+  });
+}
+
+/**
+ * Generate a neighbour of a row by moving each parameter a few steps
+ * @param {Array<string>} row - Raw parameter array
+ * @returns {Array<string>} - Raw parameter array
+ */
+function neighbourRow(row) {
+  return DESIGN_PARAMETERS.map((param, index) => {
+    const range = PARAMETER_SEARCH_RANGES[param.name];
+
+    // Discrete parameters (ligand type, pH) are changed less often
+    if ((param.type === 'category' || (range && range.discrete)) && Math.random() < 0.7) {
+      return row[index];
+    }
+
+    if (param.type === 'category') {
+      return String(randomCategory(param));
+    }
+
+    if (!range) {
+      return row[index];
+    }
+
+    const shift = Math.round((Math.random() * 2 - 1) * 3) * range.step;
+    const value = Math.min(range.max, Math.max(range.min, parseFloat(row[index]) + shift));
+    return formatValue(value, range);
+  });
+}
+
+/**
+ * Pick a random category of a parameter, retired categories are not proposed
+ * @param {Object} param - Parameter definition
+ * @returns {number} - Category code
+ */
+function randomCategory(param) {
+  const codes = getCategoryCodes(param);
+  return codes[Math.floor(Math.random() * codes.length)];
+}
+
+/**
+ * Format a parameter value with the precision of its step
+ * @param {number} value - Parameter value
+ * @param {Object} range - Search range of the parameter
+ * @returns {string} - Formatted value
+ */
+function formatValue(value, range) {
+  const decimals = range.step < 1 ? 1 : 0;
+  return String(parseFloat(value.toFixed(decimals)));
+}
+
+module.exports = {
+  parseDesignTargets,
+  designParameters
+};
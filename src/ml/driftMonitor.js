@@ -0,0 +1,129 @@
+const logger = require('../utils/logger');
+const Experiment = require('../database/models/Experiment');
+const PredictionModel = require('../database/models/PredictionModel');
+const { Op } = require('sequelize');
+
+// Experiment columns used for each model output
+const DRIFT_FIELDS = {
+  size: { modelId: 'sizeModelId', predicted: 'predictedSize', actual: 'actualSize' },
+  pdi: { modelId: 'pdiModelId', predicted: 'predictedPdI', actual: 'actualPdI' }
+};
+
+// Number of latest results the rolling error is computed over
+const DRIFT_WINDOW = parseInt(process.env.DRIFT_WINDOW) || 20;
+
+// Results needed before a model is checked at all
+const DRIFT_MIN_RESULTS = parseInt(process.env.DRIFT_MIN_RESULTS) || 10;
+
+// Rolling mean absolute error that counts as drift
+const DRIFT_THRESHOLDS = {
+  size: parseFloat(process.env.DRIFT_SIZE_MAE_THRESHOLD) || 20,
+  pdi: parseFloat(process.env.DRIFT_PDI_MAE_THRESHOLD) || 0.1
+};
+
+// Error of the newer half of the window relative to the older half that counts as an upward trend
+const DRIFT_TREND_RATIO = parseFloat(process.env.DRIFT_TREND_RATIO) || 1.5;
+
+// An alert for the same model is not repeated within this period
+const DRIFT_ALERT_COOLDOWN = (parseFloat(process.env.DRIFT_ALERT_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+
+// Time of the last alert, keyed by model ID
+const lastAlerts = new Map();
+
+/**
+ * Check the models that predicted an experiment for drift once its actual results are saved
+ * @param {Object} experiment - Experiment with actual results
+ * @returns {Promise<Array<Object>>} - Drift reports of the models that need an alert
+ */
+async function checkModelDrift(experiment) {
+  const reports = [];
+
+  for (const [target, fields] of Object.entries(DRIFT_FIELDS)) {
+    const modelId = experiment[fields.modelId];
+    if (!modelId || experiment[fields.actual] === null) continue;
+
+    const lastAlert = lastAlerts.get(modelId);
+    if (lastAlert && Date.now() - lastAlert < DRIFT_ALERT_COOLDOWN) continue;
+
+    const report = await computeModelDrift(modelId, target);
+    if (!report || (!report.thresholdExceeded && !report.trendingUp)) continue;
+
+    reports.push(report);
+  }
+
+  return reports;
+}
+
+/**
+ * Start the alert cooldown of a model; called once an alert has reached an administrator,
+ * so an alert nobody received is repeated with the next result
+ * @param {number} modelId - ID of the PredictionModel
+ */
+function recordDriftAlert(modelId) {
+  lastAlerts.set(modelId, Date.now());
+}
+
+/**
+ * Compute the rolling error of a model over its latest measured experiments
+ * @param {number} modelId - ID of the PredictionModel
+ * @param {string} target - Model output ('size' or 'pdi')
+ * @returns {Promise<Object|null>} - Drift report, or null if there are too few results
+ */
+async function computeModelDrift(modelId, target) {
+  const fields = DRIFT_FIELDS[target];
+
+  // Ordered by when the results came in; results entered before that was recorded fall back to creation time
+  const latest = await Experiment.findAll({
+    where: {
+      [fields.modelId]: modelId,
+      [fields.actual]: { [Op.ne]: null }
+    },
+    order: [['resultsAddedAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+    limit: DRIFT_WINDOW
+  });
+
+  if (latest.length < DRIFT_MIN_RESULTS) {
+    return null;
+  }
+
+  const experiments = latest.reverse();
+  const errors = experiments.map(exp => Math.abs(exp[fields.predicted] - exp[fields.actual]));
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const half = Math.floor(errors.length / 2);
+  const olderMae = mean(errors.slice(0, half));
+  const recentMae = mean(errors.slice(half));
+  const mae = mean(errors);
+
+  const model = await PredictionModel.findByPk(modelId);
+
+  const report = {
+    model,
+    modelId,
+    target,
+    experiments,
+    errors,
+    mae,
+    olderMae,
+    recentMae,
+    threshold: DRIFT_THRESHOLDS[target],
+    trendRatio: DRIFT_TREND_RATIO,
+    thresholdExceeded: mae > DRIFT_THRESHOLDS[target],
+    trendingUp: olderMae > 0 && recentMae / olderMae > DRIFT_TREND_RATIO
+  };
+
+  if (report.thresholdExceeded || report.trendingUp) {
+    logger.warn(
+      `Drift detected for model ${modelId} (${target}): MAE ${mae.toFixed(4)} over ${errors.length} results, ` +
+      `older half ${olderMae.toFixed(4)}, recent half ${recentMae.toFixed(4)}`
+    );
+  }
+
+  return report;
+}
+
+module.exports = {
+  checkModelDrift,
+  recordDriftAlert,
+  computeModelDrift
+};
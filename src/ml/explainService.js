@@ -0,0 +1,111 @@
+const logger = require('../utils/logger');
+const { makeBatchPrediction } = require('./predictionService');
+const {
+  LIGAND_TYPES,
+  PARAMETER_SEARCH_RANGES,
+  getParameter,
+  getCategoryCodes,
+  getNumericParameters,
+  toParameterArray,
+  validateParameters
+} = require('../utils/parameterUtils');
+
+// Parameters varied one at a time, the ligand type is compared separately as a category
+// and calculated parameters follow the ones they are calculated from
+const SENSITIVITY_PARAMETERS = Object.fromEntries(
+  getNumericParameters()
+    .filter(param => !param.derived)
+    .map(param => [param.name, param.label])
+);
+
+// Continuous parameters are changed by ±10%, discrete ones (pH) by one search step
+const RELATIVE_STEP = 0.1;
+
+/**
+ * Compute local sensitivities of the predictions around a recipe by finite differences
+ * @param {Object} parameters - Parameter object of the recipe
+ * @returns {Promise<Object>} - { base, sensitivities, ligandAlternatives }
+ */
+async function explainPrediction(parameters) {
+  const variants = [{ kind: 'base', row: toParameterArray(parameters) }];
+
+  for (const field of Object.keys(SENSITIVITY_PARAMETERS)) {
+    // Parameters without a search range are only changed relatively
+    const range = PARAMETER_SEARCH_RANGES[field] || { step: 0, discrete: false };
+    const value = parameters[field];
+
+    // Zero values have no relative step, the search step is used instead
+    const step = range.discrete ? range.step : Math.max(Math.abs(value) * RELATIVE_STEP, range.step);
+
+    for (const direction of ['decrease', 'increase']) {
+      const changed = parseFloat((direction === 'decrease' ? value - step : value + step).toFixed(4));
+      const row = toParameterArray({ ...parameters, [field]: changed });
+
+      // Steps leaving the valid range are skipped (e.g. pH outside 7-11)
+      if (changed === value) continue;
+      if (range.discrete && (changed < range.min || changed > range.max)) continue;
+      if (!validateParameters(row, { allowRetired: true }).valid) continue;
+
+      variants.push({ kind: 'parameter', field, direction, value: changed, row });
+    }
+  }
+
+  // Retired ligands are not offered as alternatives
+  for (const code of getCategoryCodes(getParameter('ligandType'))) {
+    if (code === parameters.ligandType) continue;
+    variants.push({ kind: 'ligand', code, row: toParameterArray({ ...parameters, ligandType: code }) });
+  }
+
+  const predictions = await makeBatchPrediction(variants.map(variant => variant.row));
+  const base = predictions[0];
+
+  const delta = (prediction) => ({
+    size: prediction.size - base.size,
+    pdi: prediction.pdi - base.pdi
+  });
+
+  const sensitivities = Object.entries(SENSITIVITY_PARAMETERS).map(([field, label]) => {
+    const sensitivity = { field, label, value: parameters[field], decrease: null, increase: null };
+
+    variants.forEach((variant, index) => {
+      if (variant.kind === 'parameter' && variant.field === field) {
+        sensitivity[variant.direction] = { value: variant.value, ...delta(predictions[index]) };
+      }
+    });
+
+    return sensitivity;
+  }).filter(sensitivity => sensitivity.decrease || sensitivity.increase);
+
+  const ligandAlternatives = variants
+    .map((variant, index) => ({ variant, prediction: predictions[index] }))
+    .filter(({ variant }) => variant.kind === 'ligand')
+    .map(({ variant, prediction }) => ({
+      code: variant.code,
+      name: LIGAND_TYPES[variant.code].name,
+      ...delta(prediction)
+    }));
+
+  logger.info(`Computed sensitivities for ${sensitivities.length} parameters with ${variants.length} predictions`);
+
+  return { base, sensitivities, ligandAlternatives };
+}
+
+/**
+ * Rank parameters by how far their changes move an output
+ * @param {Array<Object>} sensitivities - Sensitivities from explainPrediction
+ * @param {string} target - Output ('size' or 'pdi')
+ * @returns {Array<Object>} - Sensitivities sorted by the largest absolute change
+ */
+function rankSensitivities(sensitivities, target) {
+  const impact = (sensitivity) => Math.max(
+    sensitivity.decrease ? Math.abs(sensitivity.decrease[target]) : 0,
+    sensitivity.increase ? Math.abs(sensitivity.increase[target]) : 0
+  );
+
+  return [...sensitivities].sort((a, b) => impact(b) - impact(a));
+}
+
+module.exports = {
+  explainPrediction,
+  rankSensitivities
+};
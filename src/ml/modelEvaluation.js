@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+const Experiment = require('../database/models/Experiment');
+const { Op } = require('sequelize');
+const pythonWorker = require('./pythonWorker');
+const { encodeParameters } = require('./modelManifest');
+const { getModelTarget, getModelConfig } = require('./modelRegistry');
+const { getProperty, getActualValue } = require('../utils/propertyUtils');
+
+/**
+ * Compute regression metrics
+ * @param {Array<number>} actual - Measured values
+ * @param {Array<number>} predicted - Predicted values
+ * @returns {Object} - { count, mae, rmse, r2, mape } (r2 and mape are null when undefined)
+ */
+function computeMetrics(actual, predicted) {
+  const count = actual.length;
+  const errors = actual.map((value, i) => predicted[i] - value);
+
+  const mae = errors.reduce((sum, error) => sum + Math.abs(error), 0) / count;
+  const rmse = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / count);
+
+  const mean = actual.reduce((sum, value) => sum + value, 0) / count;
+  const totalSquares = actual.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  const residualSquares = errors.reduce((sum, error) => sum + error * error, 0);
+  const r2 = totalSquares > 0 ? 1 - residualSquares / totalSquares : null;
+
+  // Zero measurements have no relative error and are left out of MAPE
+  const relativeErrors = actual
+    .map((value, i) => value !== 0 ? Math.abs(errors[i] / value) : null)
+    .filter(error => error !== null);
+  const mape = relativeErrors.length > 0 ?
+    100 * relativeErrors.reduce((sum, error) => sum + error, 0) / relativeErrors.length :
+    null;
+
+  return { count, mae, rmse, r2, mape };
+}
+
+/**
+ * Predict parameter objects with a specific model, whether it is active or not
+ * @param {Object} model - PredictionModel record
+ * @param {Array<Object>} parameterList - Parameter objects (as stored on experiments)
+ * @returns {Promise<Array<number>>} - Predicted values in the same order
+ */
+async function predictWithModel(model, parameterList) {
+  const target = getModelTarget(model);
+
+  const predictions = await pythonWorker.predict(
+    parameterList.map(encodeParameters),
+    { [target]: getModelConfig(model) }
+  );
+
+  return predictions.map(prediction => prediction[target]);
+}
+
+/**
+ * Run a model over the experiments that have measured results
+ * @param {Object} model - PredictionModel record
+ * @param {Array<Object>} [experiments] - Experiments to use (all measured ones if omitted)
+ * @returns {Promise<Object>} - { target, experiments, actual, predicted, metrics }
+ */
+async function runModelOnExperiments(model, experiments) {
+  const target = getModelTarget(model);
+  const property = getProperty(target);
+
+  if (!property) {
+    throw new Error(`Unknown output of model ${model.name}`);
+  }
+
+  // Size and PdI have their own columns, the other properties are in the measurements JSON
+  const where = property.actualColumn ?
+    { [property.actualColumn]: { [Op.ne]: null } } :
+    { measurements: { [Op.ne]: null } };
+
+  const measured = (experiments || await Experiment.findAll({
+    where,
+    order: [['createdAt', 'ASC']]
+  })).filter(exp => getActualValue(exp, property) !== null);
+
+  if (measured.length === 0) {
+    return { target, experiments: [], actual: [], predicted: [], metrics: null };
+  }
+
+  const actual = measured.map(exp => getActualValue(exp, property));
+  const predicted = await predictWithModel(model, measured.map(exp => exp.parameters));
+
+  return {
+    target,
+    experiments: measured,
+    actual,
+    predicted,
+    metrics: computeMetrics(actual, predicted)
+  };
+}
+
+/**
+ * Evaluate a model against all measured experiments and store the metrics on it
+ * @param {Object} model - PredictionModel record
+ * @returns {Promise<Object>} - Evaluation result (see runModelOnExperiments)
+ */
+async function evaluateModel(model) {
+  const evaluation = await runModelOnExperiments(model);
+
+  if (evaluation.metrics) {
+    model.metrics = {
+      ...evaluation.metrics,
+      evaluatedAt: new Date().toISOString()
+    };
+    await model.save();
+  }
+
+  logger.info(`Evaluated model ${model.id} (${model.name}) on ${evaluation.actual.length} experiments`);
+  return evaluation;
+}
+
+module.exports = {
+  computeMetrics,
+  predictWithModel,
+  runModelOnExperiments,
+  evaluateModel
+};
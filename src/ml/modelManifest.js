@@ -0,0 +1,184 @@
+const path = require('path');
+const fs = require('fs');
+const { PARAMETER_SCHEMA, PARAMETER_FIELDS, convertParametersToObject } = require('../utils/parameterUtils');
+
+// Manifests describing the models shipped with the bot, used when a model has no manifest of its own
+const DEFAULT_MANIFEST_DIR = path.join(__dirname, 'manifests');
+
+const FEATURE_ENCODINGS = ['numeric', 'onehot', 'ratio'];
+const SCALING_TYPES = ['none', 'standard'];
+
+
+/**
+ * Get the category names of a parameter that can only be one-hot encoded.
+ * Read on every call, the ligand catalogue can change while the bot runs.
+ * @param {string} field - Parameter field name
+ * @returns {Array<string>|null} - Category names (retired included) or null for non-category parameters
+ */
+function getCategoryKeys(field) {
+  const param = PARAMETER_SCHEMA.find(entry => entry.name === field);
+
+  if (!param || param.type !== 'category') {
+    return null;
+  }
+
+  return Object.values(param.categories).map(category => category.key);
+}
+
+/**
+ * Path of the manifest that sits next to a model file
+ * (models/size_model.keras -> models/size_model.manifest.json)
+ * @param {string} modelPath - Path to the model file
+ * @returns {string} - Path to the manifest file
+ */
+function getManifestPath(modelPath) {
+  const ext = path.extname(modelPath);
+  return path.join(path.dirname(modelPath), `${path.basename(modelPath, ext)}.manifest.json`);
+}
+
+/**
+ * Path of the default manifest of an output
+ * @param {string} target - Model output (e.g. 'size')
+ * @returns {string} - Path in src/ml/manifests
+ */
+function getDefaultManifestPath(target) {
+  return path.join(DEFAULT_MANIFEST_DIR, `${target}_model.manifest.json`);
+}
+
+/**
+ * Check whether the bot ships a default manifest for an output
+ * (size and PdI do, models of other properties need their own manifest)
+ * @param {string} target - Model output
+ * @returns {boolean} - Whether a default manifest exists
+ */
+function hasDefaultManifest(target) {
+  return fs.existsSync(getDefaultManifestPath(target));
+}
+
+/**
+ * Load the manifest of a model: the file next to the model if there is one,
+ * otherwise the default manifest for the target
+ * @param {string} modelPath - Path to the model file
+ * @param {string} target - Model output (e.g. 'size' or 'pdi')
+ * @returns {Object} - Parsed manifest
+ */
+function loadManifest(modelPath, target) {
+  const manifestPath = modelPath && fs.existsSync(getManifestPath(modelPath)) ?
+    getManifestPath(modelPath) :
+    getDefaultManifestPath(target);
+
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Check that a manifest matches the parameter schema of the bot
+ * @param {Object} manifest - Model manifest
+ * @param {string} target - Output the model is registered for (e.g. 'size' or 'pdi')
+ * @returns {Object} - Validation result with valid flag and error message
+ */
+function validateManifest(manifest, target) {
+  if (!manifest || !Array.isArray(manifest.features) || manifest.features.length === 0) {
+    return { valid: false, error: 'В манифесте не описаны входные признаки модели.' };
+  }
+
+  for (const feature of manifest.features) {
+    const encoding = feature.encoding || 'numeric';
+    const label = feature.name || feature.source;
+
+    if (!FEATURE_ENCODINGS.includes(encoding)) {
+      return { valid: false, error: `Признак ${label}: неизвестное кодирование "${encoding}".` };
+    }
+
+    if (!PARAMETER_FIELDS.includes(feature.source)) {
+      return { valid: false, error: `Признак ${label}: параметр "${feature.source}" не поддерживается ботом.` };
+    }
+
+    if (encoding === 'onehot') {
+      const categories = getCategoryKeys(feature.source);
+
+      if (!categories) {
+        return { valid: false, error: `Признак ${label}: параметр "${feature.source}" не является категориальным.` };
+      }
+
+      if (!categories.includes(feature.category)) {
+        return {
+          valid: false,
+          error: `Признак ${label}: категория "${feature.category}" неизвестна боту (допустимые: ${categories.join(', ')}).`
+        };
+      }
+    } else if (getCategoryKeys(feature.source)) {
+      return { valid: false, error: `Признак ${label}: категориальный параметр "${feature.source}" должен кодироваться one-hot.` };
+    }
+
+    if (encoding === 'ratio' && !PARAMETER_FIELDS.includes(feature.denominator)) {
+      return { valid: false, error: `Признак ${label}: параметр знаменателя "${feature.denominator}" не поддерживается ботом.` };
+    }
+  }
+
+  const scaling = manifest.scaling || { type: 'none' };
+
+  if (!SCALING_TYPES.includes(scaling.type)) {
+    return { valid: false, error: `Неизвестный тип масштабирования "${scaling.type}".` };
+  }
+
+  if (scaling.type === 'standard') {
+    const count = manifest.features.length;
+
+    if (!Array.isArray(scaling.mean) || !Array.isArray(scaling.std) ||
+        scaling.mean.length !== count || scaling.std.length !== count) {
+      return { valid: false, error: `Для масштабирования нужны mean и std по каждому из ${count} признаков.` };
+    }
+
+    if (scaling.std.some(value => !(value > 0))) {
+      return { valid: false, error: 'Значения std для масштабирования должны быть положительными.' };
+    }
+  }
+
+  if (!Array.isArray(manifest.outputs) || manifest.outputs.length !== 1) {
+    return { valid: false, error: 'В манифесте должен быть описан ровно один выход модели.' };
+  }
+
+  if (manifest.outputs[0].name !== target) {
+    return {
+      valid: false,
+      error: `Выход модели "${manifest.outputs[0].name}" не совпадает с ожидаемым "${target}".`
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Convert a parameter object to the named input the worker encodes with the manifests
+ * @param {Object} parameters - Parameter object
+ * @returns {Object} - Parameter object with categories replaced by their manifest names
+ */
+function encodeParameters(parameters) {
+  const encoded = { ...parameters };
+
+  for (const param of PARAMETER_SCHEMA) {
+    if (param.type === 'category') {
+      encoded[param.name] = param.categories[parameters[param.name]].key;
+    }
+  }
+
+  return encoded;
+}
+
+/**
+ * Convert raw parameter values to the named input the worker encodes with the manifests
+ * @param {Array} paramArray - Raw parameter values
+ * @returns {Object} - Model input
+ */
+function toModelInput(paramArray) {
+  return encodeParameters(convertParametersToObject(paramArray));
+}
+
+module.exports = {
+  getManifestPath,
+  hasDefaultManifest,
+  loadManifest,
+  validateManifest,
+  encodeParameters,
+  toModelInput
+};
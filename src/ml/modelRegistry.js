@@ -0,0 +1,98 @@
+const logger = require('../utils/logger');
+const PredictionModel = require('../database/models/PredictionModel');
+const fs = require('fs');
+const { loadManifest } = require('./modelManifest');
+const { MEASURED_PROPERTIES } = require('../utils/propertyUtils');
+
+// Outputs served by the bot, at most one active model each: the measured properties
+// of config/properties.json (size and PdI are required, the others are predicted when
+// a model for them is active)
+const MODEL_TARGETS = MEASURED_PROPERTIES.map(property => property.name);
+
+// Model files from the environment, registered when the database has no active model yet
+const ENVIRONMENT_MODEL_PATHS = {
+  size: process.env.SIZE_MODEL_PATH,
+  pdi: process.env.PDI_MODEL_PATH
+};
+
+/**
+ * Get the output a registered model predicts
+ * @param {Object} model - PredictionModel record
+ * @returns {string} - Model output (e.g. 'size', 'pdi' or 'zeta')
+ */
+function getModelTarget(model) {
+  return model.name.replace(/_model$/, '');
+}
+
+/**
+ * Get the worker configuration of a registered model
+ * @param {Object} model - PredictionModel record
+ * @returns {Object} - { id, path, manifest }
+ */
+function getModelConfig(model) {
+  return {
+    id: model.id,
+    path: model.filePath,
+    manifest: model.manifest || loadManifest(model.filePath, getModelTarget(model))
+  };
+}
+
+/**
+ * Get the active model of every output
+ * @returns {Promise<Object>} - PredictionModel records keyed by target (missing targets are absent)
+ */
+async function getActiveModels() {
+  const models = await PredictionModel.findAll({
+    where: { isActive: true },
+    order: [['activatedAt', 'DESC']]
+  });
+
+  const activeModels = {};
+  for (const model of models) {
+    const target = getModelTarget(model);
+    // Keep the most recently activated one if the table holds several
+    if (MODEL_TARGETS.includes(target) && !activeModels[target]) {
+      activeModels[target] = model;
+    }
+  }
+
+  return activeModels;
+}
+
+/**
+ * Register the models from SIZE_MODEL_PATH / PDI_MODEL_PATH as active
+ * for the outputs that have no active model in the database yet
+ * @returns {Promise<void>}
+ */
+async function registerEnvironmentModels() {
+  const activeModels = await getActiveModels();
+
+  for (const target of MODEL_TARGETS) {
+    const modelPath = ENVIRONMENT_MODEL_PATHS[target];
+
+    if (activeModels[target] || !modelPath || !fs.existsSync(modelPath)) {
+      continue;
+    }
+
+    await PredictionModel.create({
+      name: `${target}_model`,
+      version: 'env',
+      trainedDate: fs.statSync(modelPath).mtime,
+      metrics: null,
+      filePath: modelPath,
+      isActive: true,
+      activatedAt: new Date(),
+      manifest: loadManifest(modelPath, target)
+    });
+
+    logger.info(`Registered ${target} model from the environment: ${modelPath}`);
+  }
+}
+
+module.exports = {
+  MODEL_TARGETS,
+  getModelTarget,
+  getModelConfig,
+  getActiveModels,
+  registerEnvironmentModels
+};
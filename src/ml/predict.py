@@ -4,131 +4,195 @@ import json
 import sys
 import logging
 import os
+import time
 
 logging.basicConfig(level=logging.INFO)
 logger = logging.getLogger(__name__)
 
 os.environ['TF_ENABLE_ONEDNN_OPTS'] = '0'
-# Порядок параметров должен строго соответствовать входу модели
-""" PARAM_ORDER = [
-    'euConcentration',
-    'phenanthrolineConcentration', 
-    'ligandConcentration',
-    'ligandType',
-    'phBsa',
-    'additionVolume',
-    'additionTime',
-    'additionSpeed'
-    # Если в исходных данных 7 параметров, а модель ожидает 8 - нужно добавить недостающий
-] """
-""" 
-def preprocess_input(params: list) -> np.ndarray:
-    # Преобразуем массив строк в тензор для модели
-    # Конвертируем строки в float и обрезаем до нужного количества параметров
-    float_params = [float(p) for p in params[:len(PARAM_ORDER)]]
-    
-    # Проверка количества параметров
-    if len(float_params) != len(PARAM_ORDER):
-        raise ValueError(f"Expected {len(PARAM_ORDER)} parameters, got {len(float_params)}")
-    
-    # Создаём тензор формы (1, N), где N - количество фичей
-    return np.array(float_params).reshape(1, -1).astype('float32') 
+
+
+def build_features(row: dict, manifest: dict) -> np.ndarray:
+    """
+    Собираем вектор признаков по манифесту модели.
+    Категориальные параметры приходят из бота уже названиями категорий
+    (например ligandType = "ether"), порядок признаков задаёт манифест.
+    """
+    features = []
+    for feature in manifest['features']:
+        encoding = feature.get('encoding', 'numeric')
+        value = row[feature['source']]
+
+        if encoding == 'onehot':
+            features.append(1.0 if value == feature['category'] else 0.0)
+        elif encoding == 'ratio':
+            denominator = float(row[feature['denominator']])
+            if denominator == 0:
+                raise ValueError(f"{feature['denominator']} cannot be zero")
+            features.append(float(value) / denominator)
+        else:
+            features.append(float(value))
+
+    X = np.array(features, dtype='float32')
+
+    scaling = manifest.get('scaling') or {'type': 'none'}
+    if scaling['type'] == 'standard':
+        X = (X - np.array(scaling['mean'], dtype='float32')) / np.array(scaling['std'], dtype='float32')
+
+    return X
+
+
+def load_model(model_path: str, manifest: dict):
+    """Загружаем и компилируем keras-модель, проверяя её вход по манифесту"""
+    model = tf.keras.models.load_model(model_path, compile=False)
+
+    input_shape = getattr(model, 'input_shape', None)
+    if input_shape is not None and input_shape[-1] != len(manifest['features']):
+        raise ValueError(
+            f"Model {model_path} expects {input_shape[-1]} features, "
+            f"manifest describes {len(manifest['features'])}"
+        )
+
+    model.compile(optimizer='rmsprop', loss='mse')
+    return model
+
+
+# Количество прогонов с включённым dropout для оценки неопределённости
+MC_SAMPLES = 30
+
+
+def has_dropout(model) -> bool:
+    """Есть ли в модели слои dropout (без них MC-dropout не даёт разброса)"""
+    return any('dropout' in layer.__class__.__name__.lower() for layer in getattr(model, 'layers', []))
+
+
+def predict_with_uncertainty(model, X: np.ndarray):
+    """
+    Прогноз и его неопределённость методом MC-dropout:
+    стандартное отклонение по MC_SAMPLES прогонам с training=True.
+    Для моделей без dropout неопределённость не оценивается (None).
+    """
+    mean = model.predict(X, verbose=0).flatten()
+    if not has_dropout(model):
+        return mean, None
+
+    samples = np.stack([
+        np.asarray(model(X, training=True)).flatten()
+        for _ in range(MC_SAMPLES)
+    ])
+    return mean, samples.std(axis=0)
+
+
+def predict_rows(models: dict, rows: list) -> list:
+    """
+    Прогноз для списка наборов параметров одним вызовом каждой модели.
+    Имя выхода и точность округления берутся из манифеста модели,
+    к каждому прогнозу добавляется ID модели в базе бота ("<выход>ModelId").
+    """
+    results = [{} for _ in rows]
+
+    for entry in models.values():
+        manifest = entry['manifest']
+        X = np.vstack([build_features(row, manifest) for row in rows])
+        values, stds = predict_with_uncertainty(entry['model'], X)
+
+        output = manifest['outputs'][0]
+        name = output['name']
+        decimals = output.get('decimals', 4)
+
+        for i, result in enumerate(results):
+            result[name] = round(float(values[i]), decimals)
+            result[f"{name}Uncertainty"] = round(float(stds[i]), decimals) if stds is not None else None
+            result[f"{name}ModelId"] = entry.get('id')
+
+    return results
+
+
+# Сколько моделей, не входящих в рабочий набор, держать в памяти (оценка, сравнение)
+MAX_CACHED_MODELS = 4
+
+
+def run_worker():
     """
+    Долгоживущий процесс: модели загружаются один раз, запросы приходят
+    построчно в stdin в формате JSON, ответы уходят построчно в stdout.
+    Запрос: {"id": "...", "command": "health" | "load" | "predict", ...}
+    Ответ: {"id": "...", "result": ...} или {"id": "...", "error": "..."}
+    Запрос predict может содержать свой набор "models" - тогда прогноз
+    делается ими, а не загруженными через load.
+    """
+    # stdout занят протоколом, весь прочий вывод (в т.ч. tensorflow) уводим в stderr
+    protocol_out = sys.stdout
+    sys.stdout = sys.stderr
+
+    models = {}
+    model_paths = {}
+    cached_models = {}
+    started_at = time.time()
+
+    def get_models(configs):
+        """Модели из запроса, загруженные ранее модели берутся из кэша"""
+        result = {}
+        for name, config in configs.items():
+            key = (config['path'], json.dumps(config['manifest'], sort_keys=True))
+            if key not in cached_models:
+                if len(cached_models) >= MAX_CACHED_MODELS:
+                    cached_models.pop(next(iter(cached_models)))
+                cached_models[key] = {
+                    "model": load_model(config['path'], config['manifest']),
+                    "manifest": config['manifest']
+                }
+            result[name] = {**cached_models[key], "id": config.get('id')}
+        return result
+
+    def respond(payload):
+        protocol_out.write(json.dumps(payload) + '\n')
+        protocol_out.flush()
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get('id')
+            command = request.get('command')
+
+            if command == 'health':
+                respond({"id": request_id, "result": {
+                    "status": "ok",
+                    "pid": os.getpid(),
+                    "uptime": round(time.time() - started_at, 1),
+                    "models": model_paths
+                }})
+            elif command == 'load':
+                # Загружаем новые модели полностью и только потом подменяем старые,
+                # чтобы при ошибке загрузки продолжали работать прежние
+                new_models = {
+                    name: {
+                        "model": load_model(config['path'], config['manifest']),
+                        "manifest": config['manifest'],
+                        "id": config.get('id')
+                    }
+                    for name, config in request['models'].items()
+                }
+                models = new_models
+                model_paths = {name: config['path'] for name, config in request['models'].items()}
+                logger.info(f"Loaded models: {model_paths}")
+                respond({"id": request_id, "result": {"models": model_paths}})
+            elif command == 'predict':
+                selected = get_models(request['models']) if request.get('models') else models
+                if not selected:
+                    raise RuntimeError("Models are not loaded")
+                respond({"id": request_id, "result": predict_rows(selected, request['rows'])})
+            else:
+                raise ValueError(f"Unknown command: {command}")
+        except Exception as e:
+            logger.exception("Worker request failed:")
+            respond({"id": request_id, "error": str(e)})
 
-# Новый порядок параметров после one-hot кодирования лиганда и добавления скорости
-PARAM_ORDER = [
-    # One-hot лиганды (4 фичи)
-    'ligand_-', 
-    'ligand_acid',
-    'ligand_naphthyl',
-    'ligand_ether',
-    
-    # Основные параметры
-    'euConcentration',
-    'phenanthrolineConcentration',
-    'ligandConcentration',
-    'phBsa',
-    'additionVolume',
-    'additionTime',
-    'additionSpeed'
-]
-
-def preprocess_input(params: list) -> np.ndarray:
-    """Преобразуем сырые параметры в формат модели"""
-    # Исходные параметры от пользователя (7 значений):
-    # [eu, phen, lig_conc, lig_type, ph, vol, time]
-    
-    # 1. Извлечём параметры
-    eu = float(params[0])
-    phen = float(params[1])
-    lig_conc = float(params[2])
-    lig_type = int(params[3])  # 0-3 для one-hot
-    ph = float(params[4])
-    vol = float(params[5])
-    time = float(params[6])
-    
-    # 2. One-hot кодирование лиганда
-    if lig_type < 0 or lig_type > 3:
-        raise ValueError("Invalid ligand type (0-3)")
-    ligand_onehot = [0]*4
-    ligand_onehot[lig_type] = 1
-    
-    # 3. Рассчитаем скорость добавления
-    if time == 0:
-        raise ValueError("Addition time cannot be zero")
-    speed = vol / time  # мл/мин
-    
-    # 4. Собираем все фичи в правильном порядке
-    processed = [
-        *ligand_onehot,    # 4 фичи
-        eu,                # 1
-        phen,              # 2
-        lig_conc,          # 3
-        ph,                # 4
-        vol,               # 5
-        time,              # 6
-        speed              # 7 (всего 4+7=11 фичей)
-    ]
-    logger.info(f"Processed features: {processed}")
-    return np.array(processed).reshape(1, -1).astype('float32')
-
-
-def main():
-    try:
-        # Загрузка моделей
-        size_model = tf.keras.models.load_model('F:\\Projects\\attempt1\\src\\database\\models\\size_model.keras', compile=False)
-        pdi_model = tf.keras.models.load_model('F:\\Projects\\attempt1\\src\\database\\models\\pdi_model.keras', compile=False)
-        
-        # Ручная компиляция (если нужно)
-        size_model.compile(optimizer='rmsprop', loss='mse')
-        pdi_model.compile(optimizer='rmsprop', loss='mse')
-        
-        # Логирование входных данных
-        logger.info(f"Raw input: {sys.argv[1]}")
-        input_params = json.loads(sys.argv[1])
-        
-        # Преобразование параметров
-        X = preprocess_input(input_params)
-        logger.info(f"Processed shape: {X.shape}, dtype: {X.dtype}")
-        
-        # Предсказания
-        size = size_model.predict(X, verbose=0).flatten()[0]
-        pdi = pdi_model.predict(X, verbose=0).flatten()[0]
-        
-        # Постобработка
-        result = {
-            "size": round(float(size), 2),
-            "pdi": round(float(pdi), 4),
-            "sizeConfidence": '-',
-            "pdiConfidence": '-'
-        }
-        
-        print(json.dumps(result))
-        
-    except Exception as e:
-        logger.exception("Critical error:")  # Детальный traceback
-        print(json.dumps({"error": str(e)}))
-        sys.exit(1)
 
 if __name__ == "__main__":
-    main()
+    run_worker()
@@ -1,169 +1,408 @@
 const logger = require('../utils/logger');
 const PredictionModel = require('../database/models/PredictionModel');
+const Experiment = require('../database/models/Experiment');
+const { Op } = require('sequelize');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('node:child_process');
+const { sequelize } = require('../database/db');
+const pythonWorker = require('./pythonWorker');
+const { validateManifest, encodeParameters, toModelInput } = require('./modelManifest');
+const {
+  MODEL_TARGETS,
+  getModelTarget,
+  getModelConfig,
+  getActiveModels,
+  registerEnvironmentModels
+} = require('./modelRegistry');
+const { addMissingTrainingStats } = require('./applicabilityDomain');
+
+// Minimum number of measured experiments to calibrate the uncertainty on
+const MIN_CALIBRATION_EXPERIMENTS = 5;
+
+// Experiment columns the calibrated uncertainty of each output is computed from
+const CALIBRATION_FIELDS = {
+  size: { modelId: 'sizeModelId', predicted: 'predictedSize', actual: 'actualSize' },
+  pdi: { modelId: 'pdiModelId', predicted: 'predictedPdI', actual: 'actualPdI' }
+};
+
+// Calibrated uncertainty keyed by "target:modelId", cleared when results or the active models change
+const calibrationCache = new Map();
 
 /**
- * Make a prediction using the ML models
- * @param {Object} parameters - Input parameters for prediction
- * @returns {Promise<Object>} - Prediction results
+ * Get the models the worker should serve: the active models in the database
+ * @returns {Promise<Object>} - { id, path, manifest } keyed by target
  */
-/* async function makeModelPrediction(parameters) {
-  try {
-    logger.info(`Making prediction with parameters: ${JSON.stringify(parameters)}`);
-    
-    // In a real implementation, we would load the models and make predictions
-    // For this demo, we'll simulate the prediction with a simple calculation
-    
-    // Simulated size prediction (in a real app, this would use TensorFlow.js or another ML library)
-    const size = simulateSizePrediction(parameters);
-    
-    // Simulated PDI prediction
-    const pdi = simulatePdiPrediction(parameters);
-    
-    // Simulated confidence scores
-    const sizeConfidence = 0.85; // R² score for size model
-    const pdiConfidence = 0.82; // R² score for PDI model
-    
-    return {
-      size,
-      pdi,
-      sizeConfidence,
-      pdiConfidence
-    };
-  } catch (error) {
-    logger.error(`Error making prediction: ${error.message}`);
-    throw new Error(`Failed to make prediction: ${error.message}`);
+async function getModelConfigs() {
+  const activeModels = await getActiveModels();
+
+  if (Object.keys(activeModels).length === 0) {
+    throw new Error('No active prediction models are registered');
+  }
+
+  const configs = {};
+  for (const [target, model] of Object.entries(activeModels)) {
+    configs[target] = getModelConfig(model);
   }
+
+  return configs;
 }
+
+/**
+ * Start the persistent Python inference worker
+ * @returns {Promise<Object>} - Resolves once the models are loaded
  */
+async function startPredictionWorker() {
+  await registerEnvironmentModels();
+  // Models from the environment come without training statistics, the domain check needs them
+  await addMissingTrainingStats();
+  return pythonWorker.startWorker(await getModelConfigs());
+}
+
+/**
+ * Hot-swap the models served by the inference worker to the active ones
+ * @returns {Promise<Object>} - Paths of the loaded models
+ */
+async function reloadPredictionModels() {
+  const loaded = await pythonWorker.reloadModels(await getModelConfigs());
+  invalidateCalibratedUncertainty();
+  return loaded;
+}
+
+/**
+ * Make a registered model the active one for its output
+ * @param {number|string} modelId - ID of the model to activate
+ * @param {Object} [options] - { rollback } - keep the rollback chain of the model as it is
+ * @returns {Promise<Object>} - { model, previous } or { error }
+ */
+async function activateModel(modelId, options) {
+  const result = await activateModels([modelId], options);
+  return result.error ? result : result.activated[0];
+}
+
+/**
+ * Make several registered models (of different outputs) active together: all of them
+ * are validated first, and either all or none are switched
+ * @param {Array<number|string>} modelIds - IDs of the models to activate
+ * @param {Object} [options] - { rollback } - keep the rollback chain of the models as it is
+ * @returns {Promise<Object>} - { activated: [{ model, previous }] } or { error }
+ */
+async function activateModels(modelIds, { rollback = false } = {}) {
+  const models = [];
+
+  for (const modelId of modelIds) {
+    const model = await PredictionModel.findByPk(modelId);
+
+    if (!model) {
+      return { error: `Модель с ID ${modelId} не найдена.` };
+    }
+
+    const target = getModelTarget(model);
+    if (!MODEL_TARGETS.includes(target)) {
+      return { error: `Модель ${model.name} не относится ни к одному из измеряемых свойств.` };
+    }
+
+    if (model.isActive) {
+      return { error: `Модель с ID ${modelId} уже активна.` };
+    }
+
+    if (models.some(entry => entry.target === target)) {
+      return { error: `Модели ${modelIds.join(', ')} относятся к одному и тому же свойству.` };
+    }
+
+    const config = getModelConfig(model);
+    const validation = await validateModelFile(config.path, config.manifest, target);
+    if (!validation.valid) {
+      return { error: `Модель с ID ${modelId}: ${validation.error}` };
+    }
+
+    models.push({ model, target, config });
+  }
+
+  const activeModels = await getActiveModels();
+
+  // Load into the worker first: if loading fails, the current models keep serving
+  const previousConfigs = {};
+  for (const [activeTarget, activeModel] of Object.entries(activeModels)) {
+    previousConfigs[activeTarget] = getModelConfig(activeModel);
+  }
+  const configs = { ...previousConfigs };
+  for (const { target, config } of models) {
+    configs[target] = config;
+  }
+  await pythonWorker.reloadModels(configs);
+
+  const activated = models.map(({ model, target }) => ({ model, previous: activeModels[target] || null }));
 
-/* async function makeModelPrediction(parameters) {
-  // parameters - массив строк вида ['1','1','3','2','11','500','30']
   try {
-    const prediction = await new Promise((resolve, reject) => {
-      const py = spawn('python3', [
-        path.join(__dirname, 'predict.py'), 
-        JSON.stringify(parameters)
-      ]);
-  
-      let result = '';
-      let errorOutput = '';
-  
-      py.stdout.on('data', (data) => result += data.toString());
-      py.stderr.on('data', (data) => errorOutput += data.toString());
-  
-      py.on('close', (code) => {
-        if (code !== 0) {
-          logger.error(`Python error: ${errorOutput}`);
-          return reject(new Error(`Python script failed: ${errorOutput}`));
-        }
-        
-        try {
-          const prediction = JSON.parse(result);
-          resolve(prediction);
-        } catch (e) {
-          reject(new Error("Failed to parse prediction result"));
+    await sequelize.transaction(async (transaction) => {
+      for (const { model, previous } of activated) {
+        await PredictionModel.update(
+          { isActive: false },
+          { where: { name: model.name, isActive: true }, transaction }
+        );
+
+        model.isActive = true;
+        model.activatedAt = new Date();
+        if (!rollback) {
+          model.previousModelId = previous ? previous.id : null;
         }
-      });
+        await model.save({ transaction });
+      }
     });
-    
-    // Добавляем исходные параметры в логи
-    logger.info(`Prediction for ${parameters}: ${JSON.stringify(prediction)}`);
-    return prediction;
-    
   } catch (error) {
-    logger.error(`Prediction failed: ${error.message}`);
-    throw new Error(`Model error: ${error.message}`);
+    // The worker must serve the models the database marks active, so the previous set goes back in
+    logger.error(`Error saving activated models ${modelIds.join(', ')}: ${error.message}`);
+    await restoreServedModels(previousConfigs);
+    throw error;
+  } finally {
+    invalidateCalibratedUncertainty();
   }
-} */
 
-  async function makeModelPrediction(parameters) {
-    return new Promise((resolve, reject) => {
-      /* const scriptPath = path.join(__dirname, '..', 'ml', 'predict.py'); */
-      const scriptPath = 'F:\\Projects\\attempt1\\src\\ml\\predict.py';
-      const py = spawn('python', [scriptPath, JSON.stringify(parameters)]);
-      console.log(scriptPath);
-      let output = '';
-      let errorOutput = '';
-      let timeoutHandle;
-  
-      // Таймаут 15 секунд на выполнение
-      timeoutHandle = setTimeout(() => {
-        py.kill('SIGKILL');
-        logger.error(`Prediction timeout for parameters: ${parameters}`);
-        reject(new Error('Prediction timeout'));
-      }, 15000);
+  for (const { model, previous } of activated) {
+    logger.info(`Activated ${model.name} ${model.id}${previous ? ` (was ${previous.id})` : ''}`);
+  }
+  return { activated };
+}
+
+/**
+ * Load the previously served models back into the worker after a failed activation
+ * @param {Object} previousConfigs - Configs of the models that were active, keyed by target
+ */
+async function restoreServedModels(previousConfigs) {
+  if (Object.keys(previousConfigs).length === 0) {
+    return;
+  }
+
+  try {
+    await pythonWorker.reloadModels(previousConfigs);
+    logger.info('Restored the previously active models in the prediction worker');
+  } catch (error) {
+    logger.error(`Error restoring the previously active models in the prediction worker: ${error.message}`);
+  }
+}
+
+/**
+ * Switch the active models back to the ones that were active before them,
+ * all outputs together so they never come from different versions
+ * @param {Array<string>} [targets] - Outputs to roll back (all outputs with an active model by default)
+ * @returns {Promise<Array<Object>>} - { target, model, previous } or { target, error } per output
+ */
+async function rollbackModels(targets) {
+  const activeModels = await getActiveModels();
+  const results = [];
+  const rollbackTargets = [];
+
+  for (const target of targets || Object.keys(activeModels)) {
+    const active = activeModels[target];
+
+    if (!active || !active.previousModelId) {
+      results.push({ target, error: 'Нет предыдущей версии модели для отката.' });
+      continue;
+    }
+
+    rollbackTargets.push({ target, modelId: active.previousModelId });
+  }
+
+  if (rollbackTargets.length === 0) {
+    return results;
+  }
+
+  const activation = await activateModels(rollbackTargets.map(entry => entry.modelId), { rollback: true });
+
+  if (activation.error) {
+    for (const { target } of rollbackTargets) {
+      results.push({ target, error: activation.error });
+    }
+    return results;
+  }
+
+  for (const { model, previous } of activation.activated) {
+    results.push({ target: getModelTarget(model), model, previous });
+  }
+
+  return results;
+}
+
+/**
+ * Check whether the served models are loaded, so predictions can be made
+ * @returns {boolean}
+ */
+function isPredictionWorkerReady() {
+  return pythonWorker.isReady();
+}
+
+/**
+ * Check the health of the inference worker
+ * @returns {Promise<Object>} - Worker status and loaded models
+ */
+async function checkPredictionWorker() {
+  return pythonWorker.checkHealth();
+}
+
+/**
+ * Estimate the uncertainty of a model from its past errors: RMSE of its predictions
+ * for experiments that have measured results
+ * @param {string} target - Model output ('size' or 'pdi')
+ * @param {number|null} modelId - ID of the model that made the prediction
+ * @returns {Promise<number|null>} - RMSE or null if the model has too few measured predictions
+ */
+async function getCalibratedUncertainty(target, modelId) {
+  if (modelId === null || modelId === undefined) {
+    return null;
+  }
   
-      py.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+  const key = `${target}:${modelId}`;
+  if (calibrationCache.has(key)) {
+    return calibrationCache.get(key);
+  }
   
-      py.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+  const fields = CALIBRATION_FIELDS[target];
+  const experiments = await Experiment.findAll({
+    where: {
+      [fields.modelId]: modelId,
+      [fields.actual]: { [Op.ne]: null },
+      [fields.predicted]: { [Op.ne]: null }
+    },
+    attributes: [fields.predicted, fields.actual]
+  });
   
-      py.on('close', (code) => {
-        clearTimeout(timeoutHandle);
-        
-        if (code !== 0) {
-          const errorMessage = `Python script exited with code ${code}. Error: ${errorOutput}`;
-          logger.error(`Prediction failed: ${errorMessage}`);
-          return reject(new Error(errorMessage));
-        }
+  const errors = experiments.map(exp => exp[fields.actual] - exp[fields.predicted]);
+  const rmse = errors.length < MIN_CALIBRATION_EXPERIMENTS ? null :
+    Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
   
-        try {
-          const result = JSON.parse(output);
-          
-          if (result.error) {
-            logger.error(`Model error: ${result.error}`);
-            return reject(new Error(result.error));
-          }
+  calibrationCache.set(key, rmse);
+  return rmse;
+}
+
+/**
+ * Drop the cached calibrated uncertainty, e.g. after measured results were saved
+ */
+function invalidateCalibratedUncertainty() {
+  calibrationCache.clear();
+}
+
+/**
+ * Fill in the uncertainty the worker could not estimate (models without dropout)
+ * with the calibrated one
+ * @param {Array<Object>} results - Prediction results from the worker
+ * @returns {Promise<Array<Object>>} - Results with uncertainty and its source
+ */
+async function addUncertainty(results) {
+  const hasModelUncertainty = (result) => result.sizeUncertainty !== null && result.pdiUncertainty !== null;
   
-          logger.info(`Prediction success for [${parameters}]: ${JSON.stringify(result)}`);
-          resolve(result);
-        } catch (e) {
-          logger.error(`Failed to parse prediction output: ${e.message}`);
-          reject(new Error('Invalid prediction response'));
-        }
-      });
+  if (results.every(hasModelUncertainty)) {
+    return results.map(result => ({ ...result, uncertaintySource: 'mc_dropout' }));
+  }
   
-      py.on('error', (err) => {
-        clearTimeout(timeoutHandle);
-        logger.error(`Process error: ${err.message}`);
-        reject(err);
-      });
+  const withUncertainty = [];
+  for (const result of results) {
+    if (hasModelUncertainty(result)) {
+      withUncertainty.push({ ...result, uncertaintySource: 'mc_dropout' });
+      continue;
+    }
+    
+    // Calibrated on the errors of the models that made this prediction
+    const sizeRmse = await getCalibratedUncertainty('size', result.sizeModelId);
+    const pdiRmse = await getCalibratedUncertainty('pdi', result.pdiModelId);
+    
+    if (sizeRmse === null || pdiRmse === null) {
+      withUncertainty.push({ ...result, uncertaintySource: null });
+      continue;
+    }
+    
+    withUncertainty.push({
+      ...result,
+      sizeUncertainty: result.sizeUncertainty ?? parseFloat(sizeRmse.toFixed(2)),
+      pdiUncertainty: result.pdiUncertainty ?? parseFloat(pdiRmse.toFixed(4)),
+      uncertaintySource: 'calibration'
     });
   }
+  
+  return withUncertainty;
+}
+
+/**
+ * Make a prediction using the ML models
+ * @param {Array} parameters - Raw parameter values, e.g. ['1','1','3','2','11','500','30']
+ * @returns {Promise<Object>} - Prediction results
+ */
+async function makeModelPrediction(parameters) {
+  try {
+    const [result] = await addUncertainty(await pythonWorker.predict([toModelInput(parameters)]));
+
+    logger.info(`Prediction success for [${parameters}]: ${JSON.stringify(result)}`);
+    return result;
+  } catch (error) {
+    logger.error(`Prediction failed for [${parameters}]: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Make predictions for several parameter sets in a single worker call
+ * @param {Array<Array>} parameterRows - Raw parameter value arrays
+ * @returns {Promise<Array<Object>>} - Prediction results in the same order
+ */
+async function makeBatchPrediction(parameterRows) {
+  try {
+    const results = await addUncertainty(await pythonWorker.predict(parameterRows.map(toModelInput)));
+
+    logger.info(`Batch prediction success for ${parameterRows.length} parameter sets`);
+    return results;
+  } catch (error) {
+    logger.error(`Batch prediction failed for ${parameterRows.length} parameter sets: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Predict stored parameter objects (e.g. past experiments) with the active models
+ * @param {Array<Object>} parameterList - Parameter objects
+ * @returns {Promise<Array<Object>>} - Prediction results in the same order
+ */
+async function makeExperimentPrediction(parameterList) {
+  try {
+    const results = await addUncertainty(await pythonWorker.predict(parameterList.map(encodeParameters)));
+
+    logger.info(`Prediction success for ${parameterList.length} stored parameter sets`);
+    return results;
+  } catch (error) {
+    logger.error(`Prediction failed for ${parameterList.length} stored parameter sets: ${error.message}`);
+    throw error;
+  }
+}
 
 /**
- * Validate a model file
+ * Validate a model file and its manifest
  * @param {string} filePath - Path to the model file
- * @returns {Promise<boolean>} - Whether the file is a valid model
+ * @param {Object} manifest - Model manifest
+ * @param {string} target - Output the model is registered for (e.g. 'size' or 'pdi')
+ * @returns {Promise<Object>} - Validation result with valid flag and error message
  */
-async function validateModelFile(filePath) {
+async function validateModelFile(filePath, manifest, target) {
   try {
-    // In a real implementation, we would validate the model file
-    // For this demo, we'll just check if the file exists and has the right extension
-    
     if (!fs.existsSync(filePath)) {
       logger.error(`Model file not found: ${filePath}`);
-      return false;
+      return { valid: false, error: `Файл модели не найден: ${filePath}` };
     }
     
     const ext = path.extname(filePath).toLowerCase();
     if (ext !== '.keras' && ext !== '.h5') {
       logger.error(`Invalid model file extension: ${ext}`);
-      return false;
+      return { valid: false, error: `Недопустимое расширение файла модели: ${ext}` };
     }
     
-    // Additional validation would happen here in a real implementation
+    // The manifest must describe inputs the bot can provide and the expected output
+    const manifestResult = validateManifest(manifest, target);
+    if (!manifestResult.valid) {
+      logger.error(`Invalid manifest for model ${filePath}: ${manifestResult.error}`);
+      return manifestResult;
+    }
     
-    return true;
+    return { valid: true };
   } catch (error) {
     logger.error(`Error validating model file: ${error.message}`);
-    return false;
+    return { valid: false, error: error.message };
   }
 }
 
@@ -222,6 +461,16 @@ async function validateModelFile(filePath) {
 } */
 
 module.exports = {
+  startPredictionWorker,
+  reloadPredictionModels,
+  activateModel,
+  activateModels,
+  rollbackModels,
+  checkPredictionWorker,
+  isPredictionWorkerReady,
+  invalidateCalibratedUncertainty,
   makeModelPrediction,
+  makeBatchPrediction,
+  makeExperimentPrediction,
   validateModelFile
 };
\ No newline at end of file
@@ -0,0 +1,428 @@
+const logger = require('../utils/logger');
+const path = require('path');
+const readline = require('node:readline');
+const { spawn } = require('node:child_process');
+const { v4: uuidv4 } = require('uuid');
+
+const SCRIPT_PATH = path.join(__dirname, 'predict.py');
+const PYTHON_PATH = process.env.PYTHON_PATH || 'python';
+
+const REQUEST_TIMEOUT = 15000;
+const LOAD_TIMEOUT = 120000;
+const HEALTH_TIMEOUT = 5000;
+const MAX_RESTART_DELAY = 30000;
+
+// Worker process state
+let worker = null;
+let modelConfigs = null;
+let modelsReady = null;
+// Whether the worker has served models loaded; predictions fail fast until it has
+let modelsLoaded = false;
+// Number of hot-swap loads in progress; predictions queued behind them would only time out
+let reloadsRunning = 0;
+let restartAttempts = 0;
+let restartTimer = null;
+let stopping = false;
+// Requests sent to the worker, in the order it handles them (one at a time)
+const pendingRequests = [];
+
+/**
+ * Start the long-lived Python inference worker and load the models into it
+ * @param {Object} models - Models keyed by target ({ size: { id, path, manifest }, pdi: ... })
+ * @returns {Promise<Object>} - Resolves once the models are loaded
+ */
+function startWorker(models) {
+  modelConfigs = models;
+  modelsLoaded = false;
+  spawnProcess();
+
+  modelsReady = sendRequest('load', { models: modelConfigs }, LOAD_TIMEOUT)
+    .then((result) => {
+      restartAttempts = 0;
+      modelsLoaded = true;
+      logger.info(`Prediction worker loaded models: ${JSON.stringify(result.models)}`);
+      return result;
+    });
+
+  // Callers await modelsReady themselves, this only keeps the rejection from going unhandled
+  modelsReady.catch((error) => {
+    logger.error(`Prediction worker failed to load models: ${error.message}`);
+  });
+
+  return modelsReady;
+}
+
+/**
+ * Spawn the worker process without loading models into it
+ */
+function spawnProcess() {
+  stopping = false;
+
+  if (restartTimer) {
+    clearTimeout(restartTimer);
+    restartTimer = null;
+  }
+
+  const py = spawn(PYTHON_PATH, [SCRIPT_PATH], {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  worker = py;
+
+  readline.createInterface({ input: py.stdout }).on('line', handleWorkerLine);
+
+  // Python logging goes to stderr
+  readline.createInterface({ input: py.stderr }).on('line', (line) => {
+    logger.debug(`[predict.py] ${line}`);
+  });
+
+  // A failed spawn emits 'error' without 'exit', so the worker ends on whichever comes first
+  let ended = false;
+  const handleEnd = (error) => {
+    if (ended) return;
+    ended = true;
+
+    if (worker === py) {
+      worker = null;
+      modelsLoaded = false;
+    }
+    rejectPendingRequests(error);
+
+    if (stopping) {
+      logger.info('Prediction worker stopped');
+      return;
+    }
+
+    logger.error(`${error.message}, restarting`);
+    scheduleRestart();
+  };
+
+  py.on('error', (err) => {
+    handleEnd(new Error(`Prediction worker process error: ${err.message}`));
+  });
+
+  // Writing to a worker that has exited fails with EPIPE; the process is killed so it cannot linger
+  py.stdin.on('error', (err) => {
+    handleEnd(new Error(`Prediction worker input closed: ${err.message}`));
+    py.kill('SIGKILL');
+  });
+
+  py.on('exit', (code, signal) => {
+    handleEnd(new Error(`Prediction worker exited (code ${code}, signal ${signal})`));
+  });
+
+  logger.info(`Started prediction worker (pid ${py.pid})`);
+}
+
+/**
+ * Restart the worker with an exponential backoff
+ */
+function scheduleRestart() {
+  const delay = Math.min(1000 * 2 ** restartAttempts, MAX_RESTART_DELAY);
+  restartAttempts++;
+
+  logger.info(`Restarting prediction worker in ${delay} ms (attempt ${restartAttempts})`);
+
+  restartTimer = setTimeout(() => {
+    restartTimer = null;
+    startWorker(modelConfigs);
+  }, delay);
+}
+
+/**
+ * Stop the worker without restarting it
+ */
+function stopWorker() {
+  stopping = true;
+
+  if (restartTimer) {
+    clearTimeout(restartTimer);
+    restartTimer = null;
+  }
+
+  if (worker) {
+    worker.stdin.end();
+    worker.kill();
+  }
+}
+
+/**
+ * Handle a single JSON line written by the worker
+ * @param {string} line - Raw response line
+ */
+function handleWorkerLine(line) {
+  let response;
+
+  try {
+    response = JSON.parse(line);
+  } catch (e) {
+    logger.warn(`Unexpected output from prediction worker: ${line}`);
+    return;
+  }
+
+  const index = pendingRequests.findIndex(request => request.id === response.id);
+  if (index === -1) {
+    logger.warn(`Prediction worker responded to unknown request ${response.id}`);
+    return;
+  }
+
+  const [request] = pendingRequests.splice(index, 1);
+
+  if (response.error) {
+    settleRequest(request, new Error(response.error));
+  } else {
+    settleRequest(request, null, response.result);
+  }
+
+  // The worker moves on to the next request in its input
+  startNextRequest();
+}
+
+/**
+ * Resolve or reject a request once, stopping its timer
+ * @param {Object} request - Pending request
+ * @param {Error|null} error - Error to reject with
+ * @param {Object} [result] - Result to resolve with
+ */
+function settleRequest(request, error, result) {
+  clearTimeout(request.timeoutHandle);
+  if (request.settled) return;
+  request.settled = true;
+
+  if (error) {
+    request.reject(error);
+  } else {
+    request.resolve(result);
+  }
+}
+
+/**
+ * Start the processing deadline of the request the worker is handling now.
+ * A request that exceeds it means the worker hangs: the process is killed, the exit handler restarts it.
+ * The deadline runs even for a request that already gave up waiting, the worker still processes it.
+ */
+function startNextRequest() {
+  const request = pendingRequests[0];
+  if (!request || request.started) return;
+  request.started = true;
+
+  // Health checks keep their deadline from when they were sent and never kill the worker
+  if (!request.killOnTimeout) return;
+
+  clearTimeout(request.timeoutHandle);
+  request.timeoutHandle = setTimeout(() => {
+    logger.error(`Prediction worker timed out on ${request.command} request`);
+    settleRequest(request, new Error('Prediction timeout'));
+    request.process.kill('SIGKILL');
+  }, request.timeout);
+}
+
+/**
+ * Reject every request that is still waiting for the worker
+ * @param {Error} error - Error to reject with
+ */
+function rejectPendingRequests(error) {
+  for (const request of pendingRequests) {
+    settleRequest(request, error);
+  }
+  pendingRequests.length = 0;
+}
+
+/**
+ * Send a request to the worker
+ * @param {string} command - Worker command (health, load, predict)
+ * @param {Object} payload - Command payload
+ * @param {number} timeout - Timeout in milliseconds, counted from when the worker picks the request up
+ * @param {Object} [options] - { killOnTimeout } - false for requests whose timeout does not mean the worker hangs
+ * @returns {Promise<Object>} - Command result
+ */
+function sendRequest(command, payload, timeout = REQUEST_TIMEOUT, { killOnTimeout = true } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!worker) {
+      return reject(new Error('Prediction worker is not running'));
+    }
+
+    const request = {
+      id: uuidv4(),
+      command,
+      timeout,
+      killOnTimeout,
+      process: worker,
+      resolve,
+      reject,
+      settled: false,
+      started: false
+    };
+
+    // Waiting behind other requests only fails this one, the worker is busy rather than hung
+    request.timeoutHandle = setTimeout(() => {
+      logger.warn(`Prediction worker did not answer ${command} request in ${timeout} ms`);
+      settleRequest(request, new Error('Prediction worker is busy'));
+    }, timeout);
+
+    pendingRequests.push(request);
+    worker.stdin.write(JSON.stringify({ id: request.id, command, ...payload }) + '\n');
+    startNextRequest();
+  });
+}
+
+/**
+ * Run a single prediction with explicit models in a short-lived worker process of its own,
+ * so a slow or broken candidate model cannot stall or take down the served predictions
+ * @param {Array<Object>} rows - Model inputs
+ * @param {Object} models - Models keyed by target ({ size: { id, path, manifest }, ... })
+ * @returns {Promise<Array<Object>>} - Prediction results in the same order
+ */
+function predictInSeparateProcess(rows, models) {
+  return new Promise((resolve, reject) => {
+    const py = spawn(PYTHON_PATH, [SCRIPT_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const id = uuidv4();
+
+    let settled = false;
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutHandle);
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    // Loading the models takes as long as a reload; only this process is killed on timeout
+    const timeoutHandle = setTimeout(() => {
+      logger.error(`Candidate model worker (pid ${py.pid}) timed out on predict request`);
+      settle(new Error('Prediction timeout'));
+      py.kill('SIGKILL');
+    }, LOAD_TIMEOUT);
+
+    readline.createInterface({ input: py.stdout }).on('line', (line) => {
+      let response;
+
+      try {
+        response = JSON.parse(line);
+      } catch (e) {
+        logger.warn(`Unexpected output from candidate model worker: ${line}`);
+        return;
+      }
+
+      if (response.id !== id) return;
+
+      if (response.error) {
+        settle(new Error(response.error));
+      } else {
+        settle(null, response.result);
+      }
+    });
+
+    readline.createInterface({ input: py.stderr }).on('line', (line) => {
+      logger.debug(`[predict.py ${py.pid}] ${line}`);
+    });
+
+    py.on('error', (err) => {
+      settle(new Error(`Candidate model worker process error: ${err.message}`));
+    });
+
+    py.stdin.on('error', (err) => {
+      settle(new Error(`Candidate model worker input closed: ${err.message}`));
+      py.kill('SIGKILL');
+    });
+
+    // 'close' comes after the output is read, so a response is never mistaken for a crash
+    py.on('close', (code, signal) => {
+      settle(new Error(`Candidate model worker exited (code ${code}, signal ${signal})`));
+    });
+
+    // The worker exits after answering once its input is closed
+    py.stdin.end(JSON.stringify({ id, command: 'predict', rows, models }) + '\n');
+  });
+}
+
+/**
+ * Predict size and PdI for a list of parameter sets
+ * @param {Array<Object>} rows - Model inputs built by toModelInput
+ * @param {Object} [models] - Models to predict with instead of the served ones, keyed by target
+ * @returns {Promise<Array<Object>>} - Prediction results in the same order
+ */
+async function predict(rows, models) {
+  if (models) {
+    // Explicit models (upload checks, evaluation, comparison) never run in the serving worker
+    return predictInSeparateProcess(rows, models);
+  }
+
+  // Not waiting for a load in progress: it can take minutes, and the caller reports the models as not loaded
+  if (!modelsLoaded) {
+    throw new Error(modelsReady ? 'Prediction models are not loaded' : 'Prediction worker is not started');
+  }
+
+  if (reloadsRunning > 0) {
+    throw new Error('Prediction models are being reloaded');
+  }
+
+  return sendRequest('predict', { rows });
+}
+
+/**
+ * Load a new set of models into the running worker without restarting it
+ * @param {Object} models - Models keyed by target ({ size: { id, path, manifest }, pdi: ... })
+ * @returns {Promise<Object>} - Resolves once the new models are loaded
+ */
+async function reloadModels(models) {
+  if (!worker) {
+    return startWorker(models);
+  }
+
+  let result;
+  reloadsRunning++;
+  try {
+    result = await sendRequest('load', { models }, LOAD_TIMEOUT);
+  } finally {
+    reloadsRunning--;
+  }
+
+  // Only remember the new models once the worker has accepted them
+  modelConfigs = models;
+  modelsReady = Promise.resolve(result);
+  modelsLoaded = true;
+  return result;
+}
+
+/**
+ * Check whether predictions with the served models can be made right now
+ * @returns {boolean}
+ */
+function isReady() {
+  return Boolean(worker) && modelsLoaded && reloadsRunning === 0;
+}
+
+/**
+ * Check whether the worker is alive and which models it serves
+ * @returns {Promise<Object>} - Health status
+ */
+async function checkHealth() {
+  if (!worker) {
+    return {
+      status: 'down',
+      restartAttempts
+    };
+  }
+
+  // A health check can wait behind a long load or prediction, that is no reason to kill the worker
+  const result = await sendRequest('health', {}, HEALTH_TIMEOUT, { killOnTimeout: false });
+  return {
+    ...result,
+    restartAttempts
+  };
+}
+
+module.exports = {
+  startWorker,
+  stopWorker,
+  predict,
+  reloadModels,
+  checkHealth,
+  isReady
+};
@@ -0,0 +1,243 @@
+const logger = require('../utils/logger');
+const PredictionModel = require('../database/models/PredictionModel');
+const Experiment = require('../database/models/Experiment');
+const { Op } = require('sequelize');
+const path = require('path');
+const fs = require('fs');
+const readline = require('node:readline');
+const { spawn } = require('node:child_process');
+const { validateModelFile } = require('./predictionService');
+const { loadManifest, encodeParameters } = require('./modelManifest');
+const { runModelOnExperiments } = require('./modelEvaluation');
+const { computeTrainingStats } = require('./applicabilityDomain');
+
+const TRAIN_SCRIPT_PATH = path.join(__dirname, 'train.py');
+const PYTHON_PATH = process.env.PYTHON_PATH || 'python';
+const MODELS_DIR = path.join(__dirname, '../../models');
+const TEMP_DIR = path.join(__dirname, '../../temp');
+
+const MIN_TRAINING_EXPERIMENTS = 20;
+const HOLDOUT_FRACTION = 0.2;
+const TRAINING_EPOCHS = 300;
+const TRAINING_TIMEOUT = 30 * 60 * 1000;
+
+// Only one retraining job runs at a time
+let runningJob = null;
+
+/**
+ * Check whether a retraining job is running
+ * @returns {boolean} - Whether a job is running
+ */
+function isRetrainingRunning() {
+  return runningJob !== null;
+}
+
+/**
+ * Retrain the size and PdI models on the experiments with measured results
+ * and register them as inactive candidates evaluated on a held-out split
+ * @param {Function} onProgress - Called with { stage, target, epoch, epochs, loss }
+ * @returns {Promise<Object>} - { candidates, trainCount, testCount } or { error }
+ */
+async function retrainModels(onProgress) {
+  if (runningJob) {
+    return { error: 'Переобучение уже выполняется.' };
+  }
+
+  runningJob = runRetraining(onProgress);
+
+  try {
+    return await runningJob;
+  } finally {
+    runningJob = null;
+  }
+}
+
+/**
+ * Run a retraining job
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} - Retraining result
+ */
+async function runRetraining(onProgress) {
+  const experiments = await Experiment.findAll({
+    where: {
+      actualSize: { [Op.ne]: null },
+      actualPdI: { [Op.ne]: null }
+    }
+  });
+
+  if (experiments.length < MIN_TRAINING_EXPERIMENTS) {
+    return {
+      error: `Недостаточно экспериментов с фактическими результатами: ${experiments.length}, ` +
+        `нужно минимум ${MIN_TRAINING_EXPERIMENTS}.`
+    };
+  }
+
+  // Random held-out split for evaluating the new models
+  const shuffled = shuffle(experiments);
+  const testCount = Math.max(1, Math.round(shuffled.length * HOLDOUT_FRACTION));
+  const testExperiments = shuffled.slice(0, testCount);
+  const trainExperiments = shuffled.slice(testCount);
+
+  const now = new Date();
+  const version = `${now.toISOString().slice(0, 10)}-retrain-${now.getTime()}`;
+
+  if (!fs.existsSync(TEMP_DIR)) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+  }
+
+  const datasetPath = path.join(TEMP_DIR, `training_${version}.json`);
+  fs.writeFileSync(datasetPath, JSON.stringify({
+    version,
+    rows: trainExperiments.map(exp => encodeParameters(exp.parameters)),
+    targets: {
+      size: trainExperiments.map(exp => exp.actualSize),
+      pdi: trainExperiments.map(exp => exp.actualPdI)
+    },
+    manifests: {
+      size: loadManifest(null, 'size'),
+      pdi: loadManifest(null, 'pdi')
+    }
+  }));
+
+  onProgress({ stage: 'training', trainCount: trainExperiments.length, testCount });
+
+  let trainedModels;
+  try {
+    trainedModels = await runTrainingScript(datasetPath, onProgress);
+  } finally {
+    if (fs.existsSync(datasetPath)) {
+      fs.unlinkSync(datasetPath);
+    }
+  }
+
+  onProgress({ stage: 'evaluating' });
+
+  const trainingStats = computeTrainingStats(trainExperiments.map(exp => exp.parameters));
+  const candidates = [];
+
+  for (const trained of trainedModels) {
+    const validation = await validateModelFile(trained.path, trained.manifest, trained.target);
+    if (!validation.valid) {
+      throw new Error(`Trained ${trained.target} model is invalid: ${validation.error}`);
+    }
+
+    const model = await PredictionModel.create({
+      name: `${trained.target}_model`,
+      version,
+      trainedDate: now,
+      metrics: null,
+      filePath: trained.path,
+      isActive: false,
+      manifest: trained.manifest,
+      trainingStats
+    });
+
+    const evaluation = await runModelOnExperiments(model, testExperiments);
+    model.metrics = {
+      ...evaluation.metrics,
+      evaluatedAt: new Date().toISOString(),
+      evaluation: 'holdout'
+    };
+    await model.save();
+
+    candidates.push({ model, metrics: model.metrics });
+  }
+
+  logger.info(`Retrained models ${candidates.map(c => c.model.id).join(', ')} on ${trainExperiments.length} experiments`);
+
+  return {
+    candidates,
+    trainCount: trainExperiments.length,
+    testCount
+  };
+}
+
+/**
+ * Run the training script and collect the trained models
+ * @param {string} datasetPath - Path to the dataset JSON
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Array<Object>>} - Trained models as { target, path, manifest }
+ */
+function runTrainingScript(datasetPath, onProgress) {
+  return new Promise((resolve, reject) => {
+    const py = spawn(PYTHON_PATH, [
+      TRAIN_SCRIPT_PATH,
+      '--dataset', datasetPath,
+      '--output-dir', MODELS_DIR,
+      '--epochs', String(TRAINING_EPOCHS)
+    ], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const trainedModels = [];
+    const stderrTail = [];
+    let done = false;
+
+    const timeoutHandle = setTimeout(() => {
+      logger.error('Training script timed out');
+      py.kill('SIGKILL');
+    }, TRAINING_TIMEOUT);
+
+    readline.createInterface({ input: py.stdout }).on('line', (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (e) {
+        logger.warn(`Unexpected output from training script: ${line}`);
+        return;
+      }
+
+      if (message.type === 'progress') {
+        onProgress({ stage: 'training', ...message });
+      } else if (message.type === 'model') {
+        trainedModels.push(message);
+      } else if (message.type === 'done') {
+        done = true;
+      }
+    });
+
+    // Python logging goes to stderr, the last lines explain a failure
+    readline.createInterface({ input: py.stderr }).on('line', (line) => {
+      logger.debug(`[train.py] ${line}`);
+      stderrTail.push(line);
+      if (stderrTail.length > 5) stderrTail.shift();
+    });
+
+    py.on('error', (err) => {
+      clearTimeout(timeoutHandle);
+      reject(new Error(`Failed to start training script: ${err.message}`));
+    });
+
+    py.on('close', (code, signal) => {
+      clearTimeout(timeoutHandle);
+
+      if (code !== 0 || !done) {
+        reject(new Error(`Training script failed (code ${code}, signal ${signal}): ${stderrTail.join(' | ')}`));
+        return;
+      }
+
+      resolve(trainedModels);
+    });
+  });
+}
+
+/**
+ * Shuffle an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} - Shuffled copy
+ */
+function shuffle(items) {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+}
+
+module.exports = {
+  isRetrainingRunning,
+  retrainModels
+};
@@ -0,0 +1,127 @@
+import tensorflow as tf
+import numpy as np
+import argparse
+import json
+import sys
+import logging
+import os
+
+from predict import build_features
+
+logging.basicConfig(level=logging.INFO)
+logger = logging.getLogger(__name__)
+
+os.environ['TF_ENABLE_ONEDNN_OPTS'] = '0'
+
+# Как часто (в эпохах) сообщать о ходе обучения
+PROGRESS_EVERY = 10
+
+
+def build_model(n_features: int):
+    """Полносвязная сеть с dropout, чтобы для неё работала оценка неопределённости MC-dropout"""
+    model = tf.keras.Sequential([
+        tf.keras.layers.Input(shape=(n_features,)),
+        tf.keras.layers.Dense(64, activation='relu'),
+        tf.keras.layers.Dropout(0.1),
+        tf.keras.layers.Dense(32, activation='relu'),
+        tf.keras.layers.Dropout(0.1),
+        tf.keras.layers.Dense(1)
+    ])
+    model.compile(optimizer='adam', loss='mse')
+    return model
+
+
+class ProgressCallback(tf.keras.callbacks.Callback):
+    """Передаёт ход обучения в Node построчно в формате JSON"""
+
+    def __init__(self, emit, target: str, epochs: int):
+        super().__init__()
+        self.emit = emit
+        self.target = target
+        self.epochs = epochs
+
+    def on_epoch_end(self, epoch, logs=None):
+        if (epoch + 1) % PROGRESS_EVERY == 0 or epoch + 1 == self.epochs:
+            self.emit({
+                "type": "progress",
+                "target": self.target,
+                "epoch": epoch + 1,
+                "epochs": self.epochs,
+                "loss": float((logs or {}).get('loss', 0))
+            })
+
+
+def fit_scaling(rows: list, manifest: dict):
+    """Параметры стандартизации признаков по обучающей выборке"""
+    raw_manifest = {**manifest, 'scaling': {'type': 'none'}}
+    X = np.vstack([build_features(row, raw_manifest) for row in rows])
+
+    mean = X.mean(axis=0)
+    std = X.std(axis=0)
+    # Постоянные признаки (например, один вид лиганда во всей выборке) не масштабируем
+    std[std == 0] = 1.0
+
+    return {'type': 'standard', 'mean': mean.tolist(), 'std': std.tolist()}
+
+
+def main():
+    """
+    Обучение моделей на наборе данных, подготовленном ботом.
+    Набор данных: {"rows": [...], "targets": {"size": [...], "pdi": [...]},
+                   "manifests": {"size": {...}, "pdi": {...}}, "version": "..."}
+    В stdout построчно уходят сообщения {"type": "progress" | "model" | "done", ...},
+    весь прочий вывод (в т.ч. tensorflow) уходит в stderr.
+    """
+    parser = argparse.ArgumentParser()
+    parser.add_argument('--dataset', required=True)
+    parser.add_argument('--output-dir', required=True)
+    parser.add_argument('--epochs', type=int, default=300)
+    args = parser.parse_args()
+
+    protocol_out = sys.stdout
+    sys.stdout = sys.stderr
+
+    def emit(payload):
+        protocol_out.write(json.dumps(payload) + '\n')
+        protocol_out.flush()
+
+    with open(args.dataset, encoding='utf-8') as f:
+        dataset = json.load(f)
+
+    rows = dataset['rows']
+    os.makedirs(args.output_dir, exist_ok=True)
+
+    for target, base_manifest in dataset['manifests'].items():
+        manifest = {**base_manifest, 'scaling': fit_scaling(rows, base_manifest)}
+        X = np.vstack([build_features(row, manifest) for row in rows])
+        y = np.array(dataset['targets'][target], dtype='float32')
+
+        logger.info(f"Training {target} model on {len(rows)} experiments, {X.shape[1]} features")
+
+        model = build_model(X.shape[1])
+        model.fit(
+            X, y,
+            epochs=args.epochs,
+            batch_size=min(32, len(rows)),
+            verbose=0,
+            callbacks=[ProgressCallback(emit, target, args.epochs)]
+        )
+
+        model_path = os.path.join(args.output_dir, f"{target}_model_{dataset['version']}.keras")
+        model.save(model_path)
+
+        manifest_path = os.path.splitext(model_path)[0] + '.manifest.json'
+        with open(manifest_path, 'w', encoding='utf-8') as f:
+            json.dump(manifest, f, indent=2, ensure_ascii=False)
+
+        emit({"type": "model", "target": target, "path": model_path, "manifest": manifest})
+
+    emit({"type": "done"})
+
+
+if __name__ == "__main__":
+    try:
+        main()
+    except Exception:
+        logger.exception("Training failed:")
+        sys.exit(1)
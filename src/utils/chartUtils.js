@@ -3,8 +3,10 @@ const fs = require('fs');
 
 /**
  * Generate a chart image
- * @param {Array|Object} xData - X-axis data or correlation data object
- * @param {Array|null} yData - Y-axis data (array of arrays for multiple lines)
+ * @param {Array|Object} xData - X-axis data, correlation data object, measured values for a parity chart
+ *                              or parameter labels for a tornado chart
+ * @param {Array|null} yData - Y-axis data (array of arrays for multiple lines, prediction series
+ *                             or the changes for decreased and increased parameters)
  * @param {Object} options - Chart options
  * @param {string} outputPath - Path to save the chart image
  * @returns {Promise<string>} - Path to the saved chart
@@ -22,6 +24,12 @@ async function generateChart(xData, yData, options, outputPath) {
     if (options.isCorrelation) {
       // Correlation heatmap
       configuration = generateCorrelationConfig(xData, options.labels, options);
+    } else if (options.isParity) {
+      // Predicted vs measured scatter
+      configuration = generateParityConfig(xData, yData, options);
+    } else if (options.isTornado) {
+      // Sensitivity bars around a base prediction
+      configuration = generateTornadoConfig(xData, yData, options);
     } else {
       // Line chart
       configuration = generateLineConfig(xData, yData, options);
@@ -115,6 +123,149 @@ function generateLineConfig(xData, yData, options) {
   };
 }
 
+/**
+ * Generate configuration for a parity chart (predicted vs measured values)
+ * @param {Array} actual - Measured values
+ * @param {Array} predictedSeries - Predicted values (array of arrays, one per model)
+ * @param {Object} options - Chart options
+ * @returns {Object} - Chart.js configuration
+ */
+function generateParityConfig(actual, predictedSeries, options) {
+  // Default colors
+  const colors = [
+    'rgb(54, 162, 235)',
+    'rgb(255, 99, 132)',
+    'rgb(75, 192, 192)'
+  ];
+  
+  const datasets = predictedSeries.map((predicted, index) => ({
+    type: 'scatter',
+    label: options.legendLabels ? options.legendLabels[index] : `Модель ${index + 1}`,
+    data: actual.map((value, i) => ({ x: value, y: predicted[i] })),
+    backgroundColor: colors[index % colors.length],
+    pointRadius: 5
+  }));
+  
+  // Ideal prediction line y = x over the whole range of values
+  const allValues = actual.concat(...predictedSeries);
+  const min = Math.min(...allValues);
+  const max = Math.max(...allValues);
+  
+  datasets.push({
+    type: 'line',
+    label: 'Идеальный прогноз',
+    data: [{ x: min, y: min }, { x: max, y: max }],
+    borderColor: 'rgb(150, 150, 150)',
+    borderDash: [6, 6],
+    borderWidth: 1,
+    pointRadius: 0,
+    fill: false
+  });
+  
+  return {
+    type: 'scatter',
+    data: {
+      datasets
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: {
+          display: true,
+          text: options.title || 'Parity Chart',
+          font: {
+            size: 18
+          }
+        },
+        legend: {
+          position: 'top',
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          title: {
+            display: true,
+            text: options.xAxisLabel || 'Measured',
+            font: {
+              size: 14
+            }
+          }
+        },
+        y: {
+          type: 'linear',
+          title: {
+            display: true,
+            text: options.yAxisLabel || 'Predicted',
+            font: {
+              size: 14
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Generate configuration for a tornado chart (change of an output when each parameter is decreased or increased)
+ * @param {Array} labels - Parameter labels, from the largest to the smallest effect
+ * @param {Array} changes - [decreaseChanges, increaseChanges], null where a change was not computed
+ * @param {Object} options - Chart options
+ * @returns {Object} - Chart.js configuration
+ */
+function generateTornadoConfig(labels, changes, options) {
+  const colors = [
+    'rgba(54, 162, 235, 0.8)',
+    'rgba(255, 99, 132, 0.8)'
+  ];
+  
+  const datasets = changes.map((data, index) => ({
+    label: options.legendLabels ? options.legendLabels[index] : `Dataset ${index + 1}`,
+    data,
+    backgroundColor: colors[index % colors.length]
+  }));
+  
+  return {
+    type: 'bar',
+    data: {
+      labels,
+      datasets
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      plugins: {
+        title: {
+          display: true,
+          text: options.title || 'Tornado Chart',
+          font: {
+            size: 18
+          }
+        },
+        legend: {
+          position: 'top',
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: options.xAxisLabel || 'Change',
+            font: {
+              size: 14
+            }
+          }
+        },
+        y: {
+          // Both bars of a parameter share its row and extend from zero
+          stacked: true
+        }
+      }
+    }
+  };
+}
+
 /**
  * Generate configuration for a correlation heatmap
  * @param {Object} data - Correlation data
@@ -0,0 +1,165 @@
+const { Op } = require('sequelize');
+const logger = require('./logger');
+const ConversationState = require('../database/models/ConversationState');
+
+/**
+ * State of the unfinished dialogs (flows) of the users, stored in the database so a
+ * restart of the bot does not lose them. Each flow of a user has its own record, so
+ * e.g. /add_result can be started while the result of /predict is still open.
+ * A flow expires after its TTL without changes; expired records are treated as missing,
+ * deleted when read and purged at startup.
+ */
+const FLOWS = {
+  // Typed input: free text goes to the text flow that was changed last
+  predict: { ttlMinutes: 30, label: 'ввод параметров прогноза', text: true },
+  add_result: { ttlMinutes: 60, label: 'добавление фактических результатов', text: true },
+  batch: { ttlMinutes: 30, label: 'ожидание файла для пакетного прогноза' },
+  model_upload: { ttlMinutes: 60, label: 'загрузка моделей (ожидание файла модели)' },
+  // Buttons under the latest results
+  what_if: { ttlMinutes: 24 * 60, label: 'кнопки последнего прогноза' },
+  design: { ttlMinutes: 24 * 60, label: 'кнопки подобранных рецептов /design' }
+};
+
+/**
+ * Get the definition of a flow
+ * @param {string} flow - Flow name
+ * @returns {Object} - Flow definition
+ */
+function getFlow(flow) {
+  if (!FLOWS[flow]) {
+    throw new Error(`Unknown conversation flow: ${flow}`);
+  }
+  return FLOWS[flow];
+}
+
+/**
+ * Get the record of a flow, deleting it if it has expired
+ * @param {string} userId - Telegram ID of the user
+ * @param {string} flow - Flow name
+ * @returns {Promise<Object|null>} - ConversationState record
+ */
+async function findRecord(userId, flow) {
+  const record = await ConversationState.findOne({ where: { userId: String(userId), flow } });
+
+  if (record && record.expiresAt <= new Date()) {
+    await record.destroy();
+    logger.info(`Conversation flow ${flow} of user ${userId} expired`);
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Get the state of a flow
+ * @param {string} userId - Telegram ID of the user
+ * @param {string} flow - Flow name
+ * @returns {Promise<Object|null>} - State, null if the flow is not open
+ */
+async function getState(userId, flow) {
+  getFlow(flow);
+  const record = await findRecord(userId, flow);
+  return record ? record.data : null;
+}
+
+/**
+ * Open or update a flow. The state has to be plain JSON; changes of a state object
+ * returned by getState are kept only after it is set again.
+ * @param {string} userId - Telegram ID of the user
+ * @param {string} flow - Flow name
+ * @param {Object} data - State
+ * @returns {Promise<void>}
+ */
+async function setState(userId, flow, data) {
+  const expiresAt = new Date(Date.now() + getFlow(flow).ttlMinutes * 60 * 1000);
+  const record = await ConversationState.findOne({ where: { userId: String(userId), flow } });
+
+  if (record) {
+    // A new object, so the JSON column is marked as changed
+    record.data = { ...data };
+    record.expiresAt = expiresAt;
+    await record.save();
+    return;
+  }
+
+  await ConversationState.create({ userId: String(userId), flow, data, expiresAt });
+}
+
+/**
+ * Close a flow
+ * @param {string} userId - Telegram ID of the user
+ * @param {string} flow - Flow name
+ * @returns {Promise<boolean>} - Whether the flow was open
+ */
+async function clearState(userId, flow) {
+  getFlow(flow);
+  const deleted = await ConversationState.destroy({ where: { userId: String(userId), flow } });
+  return deleted > 0;
+}
+
+/**
+ * Get the open flows of a user, the most recently changed first
+ * @param {string} userId - Telegram ID of the user
+ * @returns {Promise<Array<Object>>} - { flow, label, text, updatedAt }
+ */
+async function getOpenFlows(userId) {
+  const records = await ConversationState.findAll({
+    where: { userId: String(userId), expiresAt: { [Op.gt]: new Date() } },
+    order: [['updatedAt', 'DESC']]
+  });
+
+  return records
+    .filter(record => FLOWS[record.flow])
+    .map(record => ({
+      flow: record.flow,
+      label: FLOWS[record.flow].label,
+      text: Boolean(FLOWS[record.flow].text),
+      updatedAt: record.updatedAt
+    }));
+}
+
+/**
+ * Get the flow that receives the text a user types: the text flow changed last
+ * @param {string} userId - Telegram ID of the user
+ * @returns {Promise<string|null>} - Flow name
+ */
+async function getTextFlow(userId) {
+  const textFlow = (await getOpenFlows(userId)).find(entry => entry.text);
+  return textFlow ? textFlow.flow : null;
+}
+
+/**
+ * Close all flows of a user
+ * @param {string} userId - Telegram ID of the user
+ * @returns {Promise<Array<Object>>} - The flows that were open ({ flow, label, ... })
+ */
+async function clearAllStates(userId) {
+  const openFlows = await getOpenFlows(userId);
+  await ConversationState.destroy({ where: { userId: String(userId) } });
+  return openFlows;
+}
+
+/**
+ * Delete the expired flows of all users
+ * @returns {Promise<number>} - Number of deleted flows
+ */
+async function purgeExpiredStates() {
+  const deleted = await ConversationState.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+
+  if (deleted > 0) {
+    logger.info(`Purged ${deleted} expired conversation flows`);
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  FLOWS,
+  getState,
+  setState,
+  clearState,
+  getOpenFlows,
+  getTextFlow,
+  clearAllStates,
+  purgeExpiredStates
+};
@@ -1,50 +1,313 @@
+const { PARAMETER_SCHEMA, getCategoryCodes } = require('./parameterUtils');
+const { getProperty, getAdditionalProperties, getPredictedValue, getActualValue } = require('./propertyUtils');
+
+/**
+ * Format a parameter value with its unit, e.g. "500 мл" or "эфир (2)"
+ * @param {Object} param - Parameter definition from the schema
+ * @param {number|null|undefined} value - Parameter value
+ * @returns {string} - Formatted value
+ */
+function formatParameterValue(param, value) {
+  // Experiments saved before a parameter was added to the schema have no value
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  
+  if (param.type === 'category') {
+    const category = param.categories[value];
+    return category ? `${category.name} (${value})` : String(value);
+  }
+  
+  const number = param.decimals !== undefined ? value.toFixed(param.decimals) : value;
+  return param.unit ? `${number} ${param.unit}` : String(number);
+}
+
+/**
+ * Format all parameters for display in messages, one per line
+ * @param {Object} params - Parameter object
+ * @param {string} [bullet] - Line prefix
+ * @returns {string} - Formatted parameter lines
+ */
+function formatParametersForDisplay(params, bullet = '') {
+  return PARAMETER_SCHEMA
+    .map(param => `${bullet}${param.label}: ${formatParameterValue(param, params[param.name])}`)
+    .join('\n');
+}
+
+/**
+ * Format the entered parameters in one line, e.g. "Eu=1 мМ/л, ..., t=30 мин"
+ * (parameters calculated from others are left out)
+ * @param {Object} params - Parameter object
+ * @returns {string} - Formatted parameters
+ */
+function formatParametersCompact(params) {
+  return PARAMETER_SCHEMA
+    .filter(param => !param.derived)
+    .map(param => `${param.symbol}=${formatParameterValue(param, params[param.name])}`)
+    .join(', ');
+}
+
+/**
+ * Describe the /predict input: the parameters in order with their allowed values
+ * @returns {string} - Numbered list of parameters
+ */
+function formatParameterInstructions() {
+  return PARAMETER_SCHEMA.map((param, index) => {
+    const name = `${index + 1}. ${param.fullName}${param.unit ? ` (${param.unit})` : ''}`;
+    const optional = param.optional ? ', опционально' : '';
+    
+    if (param.type === 'category') {
+      // Retired categories are not accepted for new input
+      const codes = getCategoryCodes(param);
+      return `${name} [${codes.join(', ')}${optional}]:\n` +
+        codes.map(code => `   • ${code} - ${param.categories[code].name}`).join('\n');
+    }
+    
+    return `${name} [${formatParameterRange(param)}${optional}]`;
+  }).join('\n');
+}
+
+/**
+ * Describe the allowed values of a numeric parameter, e.g. "число > 0" or "целое число: 7-11"
+ * @param {Object} param - Parameter definition from the schema
+ * @returns {string} - Allowed range
+ */
+function formatParameterRange(param) {
+  const kind = param.type === 'integer' ? 'целое число' : 'число';
+  
+  if (param.min !== undefined && param.max !== undefined) {
+    return `${kind}: ${param.min}-${param.max}`;
+  }
+  
+  if (param.min !== undefined) {
+    return `${kind} ${param.exclusiveMin ? '>' : '>='} ${param.min}`;
+  }
+  
+  return kind;
+}
+
+/**
+ * Get a chart axis label for a parameter, e.g. "Объем добавления (мл)"
+ * @param {Object} param - Parameter definition from the schema
+ * @returns {string} - Axis label
+ */
+function getParameterAxisLabel(param) {
+  return param.unit ? `${param.fullName} (${param.unit})` : param.fullName;
+}
+
+/**
+ * Get a label for a measured property with its unit, e.g. "Дзета-потенциал (мВ)"
+ * @param {Object} property - Property definition from config/properties.json
+ * @returns {string} - Label
+ */
+function getPropertyLabel(property) {
+  return property.unit ? `${property.label} (${property.unit})` : property.label;
+}
+
+/**
+ * Format a value of a measured property with its unit, e.g. "-25.3 ± 2.1 мВ"
+ * @param {Object} property - Property definition
+ * @param {number|null} value - Value
+ * @param {number|null} [uncertainty] - One standard deviation of a predicted value
+ * @returns {string} - Formatted value
+ */
+function formatPropertyValue(property, value, uncertainty = null) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  
+  const formatted = formatWithUncertainty(value, uncertainty, property.decimals);
+  return property.unit ? `${formatted} ${property.unit}` : formatted;
+}
+
+/**
+ * Format the predicted and measured values of the properties beyond size and PdI, one per line
+ * @param {Object} experiment - Experiment object from database
+ * @param {string} [bullet] - Line prefix
+ * @returns {Array<string>} - Lines for the properties the experiment has values for
+ */
+function formatAdditionalProperties(experiment, bullet = '') {
+  const lines = [];
+  
+  for (const property of getAdditionalProperties()) {
+    const predicted = getPredictedValue(experiment, property);
+    const actual = getActualValue(experiment, property);
+    
+    if (predicted) {
+      lines.push(`${bullet}${property.label}, прогноз: ${formatPropertyValue(property, predicted.value, predicted.uncertainty)}`);
+    }
+    if (actual !== null) {
+      lines.push(`${bullet}${property.label}, факт: ${formatPropertyValue(property, actual)}`);
+    }
+  }
+  
+  return lines;
+}
+
 /**
  * Format experiment parameters for display in messages
  * @param {Object} experiment - Experiment object from database
  * @returns {string} - Formatted experiment string
  */
 function formatExperimentForDisplay(experiment) {
-  const params = experiment.parameters;
-  const ligandTypeMap = {
-    0: 'нет',
-    1: 'кислота',
-    2: 'эфир',
-    3: 'нафтил'
-  };
-  
   return [
-    `• Конц. Eu: ${params.euConcentration} мМ/л`,
-    `• Конц. Фенантролина: ${params.phenanthrolineConcentration} мМ/л`,
-    `• Конц. Лиганда: ${params.ligandConcentration} мМ/л`,
-    `• Вид лиганда: ${ligandTypeMap[params.ligandType]} (${params.ligandType})`,
-    `• pH BSA: ${params.phBsa}`,
-    `• Объем добавления: ${params.additionVolume} мл`,
-    `• Время добавления: ${params.additionTime} мин`,
-    `• Скорость добавления: ${params.additionRate.toFixed(2)} мл/мин`,
-    `• Предсказанный размер: ${experiment.predictedSize.toFixed(1)} нм`,
-    `• Предсказанный PdI: ${experiment.predictedPdI.toFixed(3)}`
+    formatParametersForDisplay(experiment.parameters, '• '),
+    `• Предсказанный размер: ${formatWithUncertainty(experiment.predictedSize, experiment.predictedSizeUncertainty, 1)} нм`,
+    `• Предсказанный PdI: ${formatWithUncertainty(experiment.predictedPdI, experiment.predictedPdIUncertainty, 3)}`,
+    ...formatAdditionalProperties(experiment, '• ')
   ].join('\n');
 }
 
+/**
+ * Format a predicted value with its uncertainty, e.g. "80.0 ± 12.0"
+ * @param {number} value - Predicted value
+ * @param {number|null} uncertainty - One standard deviation, if known
+ * @param {number} digits - Number of decimal places
+ * @returns {string} - Formatted value
+ */
+function formatWithUncertainty(value, uncertainty, digits) {
+  if (uncertainty === null || uncertainty === undefined) {
+    return value.toFixed(digits);
+  }
+  
+  return `${value.toFixed(digits)} ± ${uncertainty.toFixed(digits)}`;
+}
+
+/**
+ * Describe how the uncertainty of a prediction was estimated
+ * @param {string|null} source - Uncertainty source returned by the prediction service
+ * @returns {string} - Human-readable note
+ */
+function formatUncertaintySource(source) {
+  switch (source) {
+    case 'mc_dropout':
+      return '± - стандартное отклонение прогноза (MC-dropout)';
+    case 'calibration':
+      return '± - среднеквадратичная ошибка прошлых прогнозов этих моделей по экспериментам с фактическими результатами';
+    default:
+      return 'Неопределенность прогноза не оценена: у этих моделей недостаточно экспериментов с фактическими результатами';
+  }
+}
+
+/**
+ * Format model evaluation metrics, e.g. "MAE 5.2, RMSE 7.1, R² 0.81, MAPE 6.3% (n=24)"
+ * @param {Object} metrics - Metrics from the model evaluation
+ * @param {string} target - Model output (e.g. 'size' or 'pdi')
+ * @returns {string} - Formatted metrics
+ */
+function formatModelMetrics(metrics, target) {
+  const property = getProperty(target);
+  const digits = property ? property.decimals : 1;
+  const format = (value, valueDigits) => value === null || value === undefined ? '—' : value.toFixed(valueDigits);
+  
+  return `MAE ${format(metrics.mae, digits)}, RMSE ${format(metrics.rmse, digits)}, ` +
+    `R² ${format(metrics.r2, 2)}, MAPE ${format(metrics.mape, 1)}% (n=${metrics.count})`;
+}
+
+/**
+ * Format the measured experiments closest to a prediction (HTML)
+ * @param {Array<Object>} similar - { experiment, distance } from findSimilarExperiments
+ * @returns {string} - Formatted list, one experiment per line
+ */
+function formatSimilarExperiments(similar) {
+  return similar.map(({ experiment, distance }) => {
+    return `• <code>${experiment.experimentId}</code> (расстояние ${distance.toFixed(2)})\n` +
+      `  ${formatParametersCompact(experiment.parameters)}\n` +
+      `  Факт: ${experiment.actualSize.toFixed(1)} нм, PdI ${experiment.actualPdI.toFixed(3)}`;
+  }).join('\n');
+}
+
 /**
  * Format parameters for CSV export
  * @param {Object} params - Parameter object
  * @returns {Object} - Formatted parameters for CSV
  */
 function formatParametersForCsv(params) {
-  return {
-    euConcentration: params.euConcentration,
-    phenanthrolineConcentration: params.phenanthrolineConcentration,
-    ligandConcentration: params.ligandConcentration,
-    ligandType: params.ligandType,
-    phBsa: params.phBsa,
-    additionVolume: params.additionVolume,
-    additionTime: params.additionTime,
-    additionRate: params.additionRate.toFixed(2)
-  };
+  const formatted = {};
+  
+  for (const param of PARAMETER_SCHEMA) {
+    const value = params[param.name];
+    
+    if (value === null || value === undefined) {
+      formatted[param.name] = '';
+    } else {
+      formatted[param.name] = param.decimals !== undefined ? value.toFixed(param.decimals) : value;
+    }
+  }
+  
+  return formatted;
+}
+
+/**
+ * Get the CSV header columns of the parameters, e.g. "Объем доб. (мл)"
+ * @returns {Array<Object>} - Header columns as { id, title }
+ */
+function getParameterCsvHeader() {
+  return PARAMETER_SCHEMA.map(param => ({
+    id: param.name,
+    title: param.unit ? `${param.shortLabel} (${param.unit})` : param.shortLabel
+  }));
+}
+
+/**
+ * Get the CSV header columns of the properties beyond size and PdI
+ * @param {boolean} withActual - Whether to add the measured values
+ * @returns {Array<Object>} - Header columns as { id, title }
+ */
+function getAdditionalPropertyCsvHeader(withActual) {
+  return getAdditionalProperties().flatMap(property => {
+    const label = getPropertyLabel(property);
+    const columns = [
+      { id: `${property.name}Predicted`, title: `Прогноз: ${label}` },
+      { id: `${property.name}Uncertainty`, title: `± ${label}` }
+    ];
+    
+    if (withActual) {
+      columns.push({ id: `${property.name}Actual`, title: `Факт: ${label}` });
+    }
+    
+    return columns;
+  });
+}
+
+/**
+ * Format the properties beyond size and PdI for CSV export
+ * @param {Object} experiment - Experiment object from database
+ * @returns {Object} - Values keyed by the ids of getAdditionalPropertyCsvHeader
+ */
+function formatAdditionalPropertiesForCsv(experiment) {
+  const formatted = {};
+  
+  for (const property of getAdditionalProperties()) {
+    const predicted = getPredictedValue(experiment, property);
+    const actual = getActualValue(experiment, property);
+    
+    formatted[`${property.name}Predicted`] = predicted ? predicted.value.toFixed(property.decimals) : '';
+    formatted[`${property.name}Uncertainty`] = predicted && predicted.uncertainty !== null ?
+      predicted.uncertainty.toFixed(property.decimals) : '';
+    formatted[`${property.name}Actual`] = actual !== null ? actual.toFixed(property.decimals) : '';
+  }
+  
+  return formatted;
 }
 
 module.exports = {
+  formatParameterValue,
+  formatParametersForDisplay,
+  formatParametersCompact,
+  formatParameterInstructions,
+  formatParameterRange,
+  getParameterAxisLabel,
+  getPropertyLabel,
+  formatPropertyValue,
+  formatAdditionalProperties,
   formatExperimentForDisplay,
-  formatParametersForCsv
+  formatWithUncertainty,
+  formatUncertaintySource,
+  formatModelMetrics,
+  formatSimilarExperiments,
+  formatParametersForCsv,
+  getParameterCsvHeader,
+  getAdditionalPropertyCsvHeader,
+  formatAdditionalPropertiesForCsv
 };
\ No newline at end of file
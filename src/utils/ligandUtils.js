@@ -0,0 +1,173 @@
+const logger = require('./logger');
+const Ligand = require('../database/models/Ligand');
+const { getParameter, setParameterCategories } = require('./parameterUtils');
+
+// Manifest category names: latin letters, digits, "_" and "-"
+const LIGAND_KEY_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+// Names are shown unescaped in Markdown and HTML messages, so markup characters are not allowed
+const LIGAND_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} .,()+-]*$/u;
+const MAX_LIGAND_NAME_LENGTH = 50;
+const LIGAND_NAME_ERROR = `Название лиганда должно начинаться с буквы или цифры и состоять из букв, цифр, пробелов ` +
+  `и символов . , ( ) + - (не длиннее ${MAX_LIGAND_NAME_LENGTH} символов).`;
+
+/**
+ * Load the ligand catalogue from the database into the parameter schema.
+ * An empty catalogue is filled with the ligand types of the schema.
+ * @returns {Promise<void>}
+ */
+async function loadLigandCatalogue() {
+  if (await Ligand.count() === 0) {
+    const categories = getParameter('ligandType').categories;
+
+    await Ligand.bulkCreate(Object.entries(categories).map(([code, category]) => ({
+      code: Number(code),
+      key: category.key,
+      name: category.name
+    })));
+
+    logger.info(`Ligand catalogue created with ${Object.keys(categories).length} ligands from the parameter schema`);
+  }
+
+  await refreshLigandCatalogue();
+}
+
+/**
+ * Re-read the ligand catalogue into the parameter schema used by validation, display and encoding
+ * @returns {Promise<Array<Object>>} - Ligand records ordered by code
+ */
+async function refreshLigandCatalogue() {
+  const ligands = await Ligand.findAll({ order: [['code', 'ASC']] });
+
+  setParameterCategories('ligandType', Object.fromEntries(ligands.map(ligand => [
+    ligand.code,
+    { key: ligand.key, name: ligand.name, retired: ligand.retiredAt !== null }
+  ])));
+
+  return ligands;
+}
+
+/**
+ * Get all ligands of the catalogue, retired ones included
+ * @returns {Promise<Array<Object>>} - Ligand records ordered by code
+ */
+async function listLigands() {
+  return Ligand.findAll({ order: [['code', 'ASC']] });
+}
+
+/**
+ * Check that a ligand name can be shown in messages of any parse mode
+ * @param {string} name - Ligand name
+ * @returns {boolean}
+ */
+function isValidLigandName(name) {
+  return name.length <= MAX_LIGAND_NAME_LENGTH && LIGAND_NAME_PATTERN.test(name);
+}
+
+/**
+ * Add a ligand to the catalogue under the next free code
+ * @param {string} key - Manifest category name (e.g. 'pyridyl')
+ * @param {string} name - Name shown to users
+ * @param {string} addedBy - Telegram ID of the admin
+ * @returns {Promise<Object>} - { ligand } or { error }
+ */
+async function addLigand(key, name, addedBy) {
+  const normalizedKey = key.toLowerCase();
+
+  if (!LIGAND_KEY_PATTERN.test(normalizedKey)) {
+    return { error: 'Ключ лиганда должен состоять из латинских букв, цифр, "_" и "-" и начинаться с буквы.' };
+  }
+
+  if (!isValidLigandName(name)) {
+    return { error: LIGAND_NAME_ERROR };
+  }
+
+  const ligands = await listLigands();
+
+  if (ligands.some(ligand => ligand.key === normalizedKey)) {
+    return { error: `Лиганд с ключом "${normalizedKey}" уже есть в каталоге.` };
+  }
+
+  if (ligands.some(ligand => ligand.name.toLowerCase() === name.toLowerCase())) {
+    return { error: `Лиганд с названием "${name}" уже есть в каталоге.` };
+  }
+
+  const code = ligands.length > 0 ? Math.max(...ligands.map(ligand => ligand.code)) + 1 : 0;
+  const ligand = await Ligand.create({ code, key: normalizedKey, name, addedBy });
+
+  await refreshLigandCatalogue();
+  logger.info(`Ligand ${code} (${normalizedKey}) added to the catalogue by ${addedBy}`);
+
+  return { ligand };
+}
+
+/**
+ * Rename a ligand. The key stays the same, model manifests refer to it.
+ * @param {number} code - Ligand code
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - { ligand, previousName } or { error }
+ */
+async function renameLigand(code, name) {
+  const ligands = await listLigands();
+  const ligand = ligands.find(entry => entry.code === code);
+
+  if (!ligand) {
+    return { error: `Лиганд с кодом ${code} не найден.` };
+  }
+
+  if (!isValidLigandName(name)) {
+    return { error: LIGAND_NAME_ERROR };
+  }
+
+  if (ligands.some(entry => entry.code !== code && entry.name.toLowerCase() === name.toLowerCase())) {
+    return { error: `Лиганд с названием "${name}" уже есть в каталоге.` };
+  }
+
+  const previousName = ligand.name;
+  ligand.name = name;
+  await ligand.save();
+
+  await refreshLigandCatalogue();
+  logger.info(`Ligand ${code} renamed from "${previousName}" to "${name}"`);
+
+  return { ligand, previousName };
+}
+
+/**
+ * Retire a ligand: it is no longer accepted for new recipes but stays readable in history
+ * @param {number} code - Ligand code
+ * @returns {Promise<Object>} - { ligand } or { error }
+ */
+async function retireLigand(code) {
+  const ligands = await listLigands();
+  const ligand = ligands.find(entry => entry.code === code);
+
+  if (!ligand) {
+    return { error: `Лиганд с кодом ${code} не найден.` };
+  }
+
+  if (ligand.retiredAt) {
+    return { error: `Лиганд ${ligand.name} (${code}) уже выведен из употребления.` };
+  }
+
+  if (ligands.filter(entry => !entry.retiredAt).length === 1) {
+    return { error: 'Нельзя вывести из употребления последний действующий лиганд.' };
+  }
+
+  ligand.retiredAt = new Date();
+  await ligand.save();
+
+  await refreshLigandCatalogue();
+  logger.info(`Ligand ${code} (${ligand.key}) retired`);
+
+  return { ligand };
+}
+
+module.exports = {
+  loadLigandCatalogue,
+  refreshLigandCatalogue,
+  listLigands,
+  addLigand,
+  renameLigand,
+  retireLigand
+};
@@ -0,0 +1,253 @@
+const { PARAMETER_SCHEMA } = require('./parameterUtils');
+
+/**
+ * Parsing of the /predict input. Besides the positional form ("1 1 3 2 11 500 30")
+ * parameters can be named in any order: "eu=1 phen=1 lig=3 ligand=acid ph=11 vol=500 time=30"
+ * or "европий 0.5 мМ, объем 500 мкл, время 30 с ...". Names are the parameter codes,
+ * field names and the `synonyms` of the schema; values with a unit from the `units`
+ * of the schema (factors to the canonical unit) are converted to the canonical unit.
+ */
+
+// Numbers (decimal point or comma) and words (names, units, ligand names)
+const TOKEN_PATTERN = /-?\d+(?:\.\d+)?|[a-zа-яµ%_][a-zа-яµ%_./]*/g;
+
+/**
+ * Check whether the input is the positional form: numbers only
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+function isPositionalInput(text) {
+  return text.trim().split(/\s+/).every(token => /^-?\d+(?:[.,]\d+)?$/.test(token));
+}
+
+/**
+ * Find the parameter a name refers to
+ * @param {string} name - Lowercase name
+ * @returns {Object|undefined} - Parameter definition
+ */
+function findParameterByName(name) {
+  return PARAMETER_SCHEMA.find(param =>
+    param.code === name ||
+    param.name.toLowerCase() === name ||
+    (param.synonyms || []).includes(name)
+  );
+}
+
+/**
+ * Get the factor from a unit to the canonical unit of a parameter
+ * @param {Object} param - Parameter definition
+ * @param {string} unit - Lowercase unit
+ * @returns {number|undefined} - Factor, undefined for an unknown unit
+ */
+function getUnitFactor(param, unit) {
+  if (param.unit && param.unit.toLowerCase() === unit) return 1;
+  return param.units ? param.units[unit] : undefined;
+}
+
+/**
+ * Check whether a word is a unit of any parameter
+ * @param {string} word - Lowercase word
+ * @returns {boolean}
+ */
+function isKnownUnit(word) {
+  return PARAMETER_SCHEMA.some(param => getUnitFactor(param, word) !== undefined);
+}
+
+/**
+ * Find a category by its code, key or name (retired ones included, validation rejects them)
+ * @param {Object} param - Category parameter definition
+ * @param {string} value - Lowercase code, key or name
+ * @returns {string|undefined} - Category code
+ */
+function findCategoryCode(param, value) {
+  return Object.keys(param.categories).find(code =>
+    code === value ||
+    param.categories[code].key === value ||
+    param.categories[code].name.toLowerCase() === value
+  );
+}
+
+/**
+ * Convert a number given in a unit to the canonical unit of its parameter
+ * @param {Object} param - Parameter definition
+ * @param {number} value - Value in the given unit
+ * @param {string} unit - Lowercase unit
+ * @returns {number|undefined} - Canonical value, undefined for an unknown unit
+ */
+function convertToCanonicalUnit(param, value, unit) {
+  const factor = getUnitFactor(param, unit);
+  return factor === undefined ? undefined : Number((value * factor).toPrecision(12));
+}
+
+/**
+ * Split the named input into tokens
+ * @param {string} text - Message text
+ * @returns {Array<string>} - Lowercase tokens
+ */
+function tokenize(text) {
+  const normalized = text
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/μ/g, 'µ')
+    // Decimal commas, other commas separate parameters
+    .replace(/(\d),(\d)/g, '$1.$2');
+
+  return (normalized.match(TOKEN_PATTERN) || []).map(token => token.replace(/\.+$/, ''));
+}
+
+/**
+ * Parse named parameter input
+ * @param {string} text - Message text
+ * @returns {Object} - { paramArray, conversions, ignored } or { error }.
+ *   paramArray holds the canonical values in the positional order of validateParameters,
+ *   conversions the values given in other units ({ param, value, unit }), ignored the unknown words.
+ */
+function parseNamedParameters(text) {
+  const tokens = tokenize(text);
+  const values = {};
+  const conversions = [];
+  const ignored = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const param = findParameterByName(token);
+
+    if (!param) {
+      if (!isNaN(Number(token))) {
+        return { error: `Не понятно, к какому параметру относится значение ${token}. Укажите его как название=значение.` };
+      }
+      ignored.push(token);
+      continue;
+    }
+
+    if (values[param.name] !== undefined) {
+      return { error: `Параметр «${param.fullName}» указан дважды.` };
+    }
+
+    const valueToken = tokens[i + 1];
+    if (valueToken === undefined || findParameterByName(valueToken)) {
+      return { error: `Не указано значение параметра «${param.fullName}».` };
+    }
+    i++;
+
+    if (param.type === 'category') {
+      const code = findCategoryCode(param, valueToken);
+
+      if (code === undefined) {
+        const allowed = Object.entries(param.categories)
+          .filter(([, category]) => !category.retired)
+          .map(([categoryCode, category]) => `${categoryCode}, ${category.key} или ${category.name}`);
+        return { error: `Неизвестное значение «${valueToken}» параметра «${param.fullName}». Допустимые значения: ${allowed.join('; ')}.` };
+      }
+
+      values[param.name] = code;
+      continue;
+    }
+
+    let value = Number(valueToken);
+    if (isNaN(value)) {
+      return { error: `Значение параметра «${param.fullName}» должно быть числом, получено «${valueToken}».` };
+    }
+
+    // A unit may follow the value: "0.5mM", "500 µl", "30s"
+    const unit = tokens[i + 1];
+    if (unit !== undefined && isNaN(Number(unit)) && !findParameterByName(unit)) {
+      const converted = convertToCanonicalUnit(param, value, unit);
+
+      if (converted !== undefined) {
+        if (converted !== value) {
+          conversions.push({ param, value, unit });
+          value = converted;
+        }
+        i++;
+      } else if (isKnownUnit(unit)) {
+        return { error: `Единица «${unit}» не подходит для параметра «${param.fullName}»${param.unit ? ` (${param.unit})` : ''}.` };
+      }
+    }
+
+    values[param.name] = String(value);
+  }
+
+  const missing = PARAMETER_SCHEMA.filter(param => !param.optional && values[param.name] === undefined);
+  if (missing.length > 0) {
+    return { error: `Не указаны параметры: ${missing.map(param => `${param.fullName} (${param.code})`).join(', ')}.` };
+  }
+
+  // Optional parameters can only be left out at the end of the positional order
+  let count = PARAMETER_SCHEMA.length;
+  while (count > 0 && values[PARAMETER_SCHEMA[count - 1].name] === undefined) {
+    count--;
+  }
+
+  const paramArray = PARAMETER_SCHEMA.slice(0, count).map(param => values[param.name]);
+  if (paramArray.includes(undefined)) {
+    const skipped = PARAMETER_SCHEMA.slice(0, count).filter(param => values[param.name] === undefined);
+    return { error: `Не указаны параметры: ${skipped.map(param => `${param.fullName} (${param.code})`).join(', ')}.` };
+  }
+
+  return { paramArray, conversions, ignored };
+}
+
+/**
+ * Parse the value of a single parameter, e.g. "500 мкл" or "кислота"
+ * @param {Object} param - Parameter definition
+ * @param {string} text - Message text
+ * @returns {Object} - { value, conversion } with the canonical raw value or { error }
+ */
+function parseParameterValueInput(param, text) {
+  const [valueToken, unit, ...rest] = tokenize(text);
+
+  if (valueToken === undefined || rest.length > 0) {
+    return { error: `Введите одно значение параметра «${param.fullName}».` };
+  }
+
+  if (param.type === 'category') {
+    const code = unit === undefined ? findCategoryCode(param, valueToken) : undefined;
+    return code === undefined ?
+      { error: `Неизвестное значение параметра «${param.fullName}». Выберите его кнопкой.` } :
+      { value: code, conversion: null };
+  }
+
+  const value = Number(valueToken);
+  if (isNaN(value)) {
+    return { error: `Значение параметра «${param.fullName}» должно быть числом.` };
+  }
+
+  if (unit === undefined) {
+    return { value: String(value), conversion: null };
+  }
+
+  const converted = convertToCanonicalUnit(param, value, unit);
+  if (converted === undefined) {
+    return { error: `Единица «${unit}» не подходит для параметра «${param.fullName}»${param.unit ? ` (${param.unit})` : ''}.` };
+  }
+
+  return {
+    value: String(converted),
+    conversion: converted !== value ? { param, value, unit } : null
+  };
+}
+
+/**
+ * Parse /predict input in the positional or the named form
+ * @param {string} text - Message text
+ * @returns {Object} - { paramArray, named, conversions, ignored } or { error }
+ */
+function parseParameterInput(text) {
+  if (isPositionalInput(text)) {
+    return {
+      paramArray: text.trim().split(/\s+/).map(param => param.replace(',', '.')),
+      named: false,
+      conversions: [],
+      ignored: []
+    };
+  }
+
+  const result = parseNamedParameters(text);
+  return result.error ? result : { ...result, named: true };
+}
+
+module.exports = {
+  parseParameterInput,
+  parseParameterValueInput
+};
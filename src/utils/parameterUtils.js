@@ -1,84 +1,256 @@
+const path = require('path');
+const fs = require('fs');
+
 /**
- * Validate parameters for prediction
- * @param {Array} paramArray - Array of parameter values
- * @returns {Object} - Validation result with valid flag and error message
+ * Synthesis parameter schema. Every parameter the bot accepts is described in
+ * config/parameters.json (or the file in PARAMETER_SCHEMA_PATH): its position in
+ * the /predict input, names, unit, type, allowed range, search range for inverse
+ * design, column aliases for uploaded tables and the validation message.
  */
-function validateParameters(paramArray) {
-  // Check number of parameters
-  if (paramArray.length < 7 || paramArray.length > 8) {
-    return {
-      valid: false,
-      error: `Неверное количество параметров (${paramArray.length}). Ожидается 7 или 8 параметров.`
-    };
-  }
-  
-  // Parse parameters
-  const euConcentration = parseFloat(paramArray[0]);
-  const phenanthrolineConcentration = parseFloat(paramArray[1]);
-  const ligandConcentration = parseFloat(paramArray[2]);
-  const ligandType = parseInt(paramArray[3]);
-  const phBsa = parseInt(paramArray[4]);
-  const additionVolume = parseFloat(paramArray[5]);
-  const additionTime = parseFloat(paramArray[6]);
-  const additionRate = paramArray.length === 8 ? parseFloat(paramArray[7]) : (additionVolume / additionTime);
-  
-  // Validate each parameter
-  if (isNaN(euConcentration) || euConcentration < 0) {
-    return {
-      valid: false,
-      error: 'Концентрация Eu должна быть неотрицательным числом.'
-    };
-  }
-  
-  if (isNaN(phenanthrolineConcentration) || phenanthrolineConcentration < 0) {
-    return {
-      valid: false,
-      error: 'Концентрация Фенантролина должна быть неотрицательным числом.'
-    };
+const SCHEMA_PATH = process.env.PARAMETER_SCHEMA_PATH ||
+  path.join(__dirname, '../../config/parameters.json');
+
+const PARAMETER_SCHEMA = loadParameterSchema(SCHEMA_PATH);
+
+/**
+ * Ligand type codes accepted by the bot. The key is the category name used
+ * by the one-hot features of model manifests, the name is shown to users.
+ * Filled from the ligand catalogue in the database at startup, the schema
+ * categories are the initial catalogue. Retired ligands are marked `retired`.
+ */
+const LIGAND_TYPES = getParameter('ligandType').categories;
+
+// Fields of the parameter object built by convertParametersToObject
+const PARAMETER_FIELDS = PARAMETER_SCHEMA.map(param => param.name);
+
+/**
+ * Ranges for searching the parameter space (inverse design).
+ * validateParameters only sets lower bounds for most parameters, the upper
+ * bounds here cover the conditions the lab actually works with.
+ * Order matches the positional order of validateParameters.
+ */
+const PARAMETER_SEARCH_RANGES = Object.fromEntries(
+  PARAMETER_SCHEMA
+    .filter(param => param.search)
+    .map(param => [param.name, { ...param.search, discrete: param.type !== 'number' }])
+);
+
+/**
+ * Load and check the parameter schema
+ * @param {string} schemaPath - Path to the schema file
+ * @returns {Array<Object>} - Parameter definitions in input order
+ */
+function loadParameterSchema(schemaPath) {
+  const { parameters } = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+  parameters.forEach((param, index) => {
+    if (!param.name || !param.code || !['number', 'integer', 'category'].includes(param.type)) {
+      throw new Error(`Parameter schema: entry ${index + 1} needs a name, a code and a type (number, integer or category)`);
+    }
+
+    if (!param.optional && param.example === undefined) {
+      throw new Error(`Parameter schema: required parameter ${param.name} has no example value`);
+    }
+
+    if (param.type === 'category' && !param.categories) {
+      throw new Error(`Parameter schema: category parameter ${param.name} has no categories`);
+    }
+
+    // Optional values can only be left out at the end of the input
+    if (!param.optional && parameters.slice(0, index).some(previous => previous.optional)) {
+      throw new Error(`Parameter schema: required parameter ${param.name} follows an optional one`);
+    }
+  });
+
+  // Names accepted in the named /predict input must each point to a single parameter
+  const inputNames = parameters.flatMap(param => [param.code, param.name.toLowerCase(), ...(param.synonyms || [])]);
+  const duplicate = inputNames.find((name, index) => inputNames.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Parameter schema: input name ${duplicate} is used by several parameters`);
   }
-  
-  if (isNaN(ligandConcentration) || ligandConcentration < 0) {
-    return {
-      valid: false,
-      error: 'Концентрация Лиганда должна быть неотрицательным числом.'
-    };
+
+  return parameters;
+}
+
+/**
+ * Get the definition of a parameter
+ * @param {string} name - Parameter field name (e.g. 'euConcentration')
+ * @returns {Object|undefined} - Parameter definition
+ */
+function getParameter(name) {
+  return PARAMETER_SCHEMA.find(param => param.name === name);
+}
+
+/**
+ * Get the definition of a parameter by its short code used in commands
+ * @param {string} code - Parameter code (e.g. 'eu')
+ * @returns {Object|undefined} - Parameter definition
+ */
+function getParameterByCode(code) {
+  return PARAMETER_SCHEMA.find(param => param.code === code.toLowerCase());
+}
+
+/**
+ * Get the numeric (non-category) parameters
+ * @returns {Array<Object>} - Parameter definitions
+ */
+function getNumericParameters() {
+  return PARAMETER_SCHEMA.filter(param => param.type !== 'category');
+}
+
+/**
+ * Replace the categories of a category parameter (e.g. after the ligand catalogue changed).
+ * The object is updated in place, so references such as LIGAND_TYPES stay current.
+ * @param {string} name - Parameter field name
+ * @param {Object} categories - Categories keyed by code: { key, name, retired }
+ */
+function setParameterCategories(name, categories) {
+  const param = getParameter(name);
+
+  for (const code of Object.keys(param.categories)) {
+    delete param.categories[code];
   }
-  
-  if (isNaN(ligandType) || ligandType < 0 || ligandType > 3) {
-    return {
-      valid: false,
-      error: 'Вид лиганда должен быть числом от 0 до 3.'
-    };
+  Object.assign(param.categories, categories);
+}
+
+/**
+ * Get the codes of a category parameter
+ * @param {Object} param - Parameter definition
+ * @param {boolean} includeRetired - Whether to include retired categories
+ * @returns {Array<number>} - Category codes
+ */
+function getCategoryCodes(param, includeRetired = false) {
+  return Object.keys(param.categories)
+    .filter(code => includeRetired || !param.categories[code].retired)
+    .map(Number);
+}
+
+/**
+ * Convert a parameter object to the positional values of validateParameters.
+ * Trailing parameters calculated from others are left out so they are recalculated.
+ * @param {Object} parameters - Parameter object
+ * @returns {Array<string>} - Raw parameter values
+ */
+function toParameterArray(parameters) {
+  const values = PARAMETER_SCHEMA.map(param => String(parameters[param.name]));
+
+  let count = PARAMETER_SCHEMA.length;
+  while (count > 0 && PARAMETER_SCHEMA[count - 1].derived) {
+    count--;
   }
-  
-  if (isNaN(phBsa) || phBsa < 7 || phBsa > 11) {
-    return {
-      valid: false,
-      error: 'pH BSA должен быть целым числом от 7 до 11.'
-    };
+
+  return values.slice(0, count);
+}
+
+/**
+ * Get the example input of the schema (the required parameters)
+ * @returns {Array<string>} - Raw parameter values, e.g. ['1', '1', '3', '2', '11', '500', '30']
+ */
+function getExampleParameters() {
+  return PARAMETER_SCHEMA
+    .filter(param => !param.optional)
+    .map(param => String(param.example));
+}
+
+/**
+ * Parse a raw value of a parameter
+ * @param {Object} param - Parameter definition
+ * @param {string} rawValue - Raw value
+ * @returns {number} - Parsed value (NaN if invalid)
+ */
+function parseParameterValue(param, rawValue) {
+  return param.type === 'number' ? parseFloat(rawValue) : parseInt(rawValue);
+}
+
+/**
+ * Check a parsed value against the schema of its parameter
+ * @param {Object} param - Parameter definition
+ * @param {number} value - Parsed value
+ * @param {boolean} allowRetired - Whether retired categories are accepted
+ * @returns {boolean} - Whether the value is allowed
+ */
+function isValidParameterValue(param, value, allowRetired) {
+  if (isNaN(value)) return false;
+
+  if (param.type === 'category') {
+    return getCategoryCodes(param, allowRetired).includes(value);
   }
-  
-  if (isNaN(additionVolume) || additionVolume <= 0) {
-    return {
-      valid: false,
-      error: 'Объем добавления должен быть положительным числом.'
-    };
+
+  if (param.min !== undefined && (param.exclusiveMin ? value <= param.min : value < param.min)) return false;
+  if (param.max !== undefined && value > param.max) return false;
+
+  return true;
+}
+
+/**
+ * Get the validation message of a parameter value
+ * @param {Object} param - Parameter definition
+ * @param {number} value - Parsed value
+ * @param {boolean} allowRetired - Whether retired categories are accepted
+ * @returns {string|null} - Error message, null if the value is allowed
+ */
+function getParameterValueError(param, value, allowRetired) {
+  if (isValidParameterValue(param, value, allowRetired)) return null;
+
+  let error = param.error || `Недопустимое значение параметра "${param.fullName}".`;
+
+  if (param.type === 'category') {
+    const allowed = getCategoryCodes(param).map(code => `${code} (${param.categories[code].name})`);
+    error += ` Допустимые значения: ${allowed.join(', ')}.`;
   }
-  
-  if (isNaN(additionTime) || additionTime <= 0) {
+
+  return error;
+}
+
+/**
+ * Validate the raw value of a single parameter with the rules of validateParameters
+ * @param {Object} param - Parameter definition
+ * @param {string} rawValue - Raw value
+ * @param {Object} [options] - { allowRetired } accepts retired categories
+ * @returns {Object} - Validation result with valid flag and error message
+ */
+function validateParameterValue(param, rawValue, options = {}) {
+  const error = getParameterValueError(param, parseParameterValue(param, rawValue), options.allowRetired);
+  return error ? { valid: false, error } : { valid: true };
+}
+
+/**
+ * Validate parameters for prediction
+ * @param {Array} paramArray - Array of parameter values
+ * @param {Object} [options] - { allowRetired } accepts retired categories (stored recipes, training data)
+ * @returns {Object} - Validation result with valid flag and error message
+ */
+function validateParameters(paramArray, options = {}) {
+  const requiredCount = PARAMETER_SCHEMA.filter(param => !param.optional).length;
+  const totalCount = PARAMETER_SCHEMA.length;
+
+  // Check number of parameters
+  if (paramArray.length < requiredCount || paramArray.length > totalCount) {
+    const expected = requiredCount === totalCount ? `${totalCount}` :
+      totalCount - requiredCount === 1 ? `${requiredCount} или ${totalCount}` :
+      `от ${requiredCount} до ${totalCount}`;
+
     return {
       valid: false,
-      error: 'Время добавления должно быть положительным числом.'
+      error: `Неверное количество параметров (${paramArray.length}). Ожидается ${expected} параметров.`
     };
   }
-  
-  if (isNaN(additionRate) || additionRate <= 0) {
-    return {
-      valid: false,
-      error: 'Скорость добавления должна быть положительным числом.'
-    };
+
+  const parameters = convertParametersToObject(paramArray);
+
+  // Validate each parameter
+  for (const param of PARAMETER_SCHEMA) {
+    const value = parameters[param.name];
+
+    // An optional parameter without a value or formula stays empty
+    if (value === null && param.optional) continue;
+
+    const error = getParameterValueError(param, value, options.allowRetired);
+    if (error) {
+      return { valid: false, error };
+    }
   }
-  
+
   return { valid: true };
 }
 
@@ -88,30 +260,41 @@ function validateParameters(paramArray) {
  * @returns {Object} - Parameter object
  */
 function convertParametersToObject(paramArray) {
-  const euConcentration = parseFloat(paramArray[0]);
-  const phenanthrolineConcentration = parseFloat(paramArray[1]);
-  const ligandConcentration = parseFloat(paramArray[2]);
-  const ligandType = parseInt(paramArray[3]);
-  const phBsa = parseInt(paramArray[4]);
-  const additionVolume = parseFloat(paramArray[5]);
-  const additionTime = parseFloat(paramArray[6]);
-  const additionRate = paramArray.length === 8 ? 
-    parseFloat(paramArray[7]) : 
-    (additionVolume / additionTime);
-  
-  return {
-    euConcentration,
-    phenanthrolineConcentration,
-    ligandConcentration,
-    ligandType,
-    phBsa,
-    additionVolume,
-    additionTime,
-    additionRate
-  };
+  const parameters = {};
+
+  PARAMETER_SCHEMA.forEach((param, index) => {
+    parameters[param.name] = index < paramArray.length ?
+      parseParameterValue(param, paramArray[index]) :
+      null;
+  });
+
+  // Optional parameters left out are calculated from others or take their default
+  for (const param of PARAMETER_SCHEMA) {
+    if (parameters[param.name] !== null) continue;
+
+    if (param.derived) {
+      parameters[param.name] = parameters[param.derived.numerator] / parameters[param.derived.denominator];
+    } else if (param.default !== undefined) {
+      parameters[param.name] = param.default;
+    }
+  }
+
+  return parameters;
 }
 
 module.exports = {
+  PARAMETER_SCHEMA,
+  LIGAND_TYPES,
+  PARAMETER_FIELDS,
+  PARAMETER_SEARCH_RANGES,
+  getParameter,
+  getParameterByCode,
+  getNumericParameters,
+  setParameterCategories,
+  getCategoryCodes,
+  toParameterArray,
+  getExampleParameters,
   validateParameters,
+  validateParameterValue,
   convertParametersToObject
-};
\ No newline at end of file
+};
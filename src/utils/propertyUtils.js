@@ -0,0 +1,175 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Measured properties of the nanoparticles. Every property /add_result asks for is
+ * described in config/properties.json (or the file in PROPERTY_SCHEMA_PATH): its name
+ * (also the output name of its models), unit, precision and allowed range.
+ * Size and PdI are kept in their own Experiment columns (actualColumn/predictedColumn),
+ * the other properties in the measurements and predictions JSON of the experiment.
+ */
+const SCHEMA_PATH = process.env.PROPERTY_SCHEMA_PATH ||
+  path.join(__dirname, '../../config/properties.json');
+
+// Properties every experiment has a prediction for, the bot needs models for them
+const CORE_PROPERTIES = ['size', 'pdi'];
+
+const MEASURED_PROPERTIES = loadPropertySchema(SCHEMA_PATH);
+
+/**
+ * Load and check the property schema
+ * @param {string} schemaPath - Path to the schema file
+ * @returns {Array<Object>} - Property definitions in input order
+ */
+function loadPropertySchema(schemaPath) {
+  const { properties } = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+  properties.forEach((property, index) => {
+    // The name is part of the model names (<name>_model) and of the worker output
+    if (!property.name || !/^[a-z][a-zA-Z0-9]*$/.test(property.name)) {
+      throw new Error(`Property schema: entry ${index + 1} needs a name of latin letters and digits`);
+    }
+
+    if (properties.findIndex(other => other.name === property.name) !== index) {
+      throw new Error(`Property schema: property ${property.name} is described twice`);
+    }
+  });
+
+  for (const name of CORE_PROPERTIES) {
+    const property = properties.find(entry => entry.name === name);
+
+    if (!property || !property.actualColumn || !property.predictedColumn || property.optional) {
+      throw new Error(`Property schema: required property ${name} must be stored in its Experiment columns`);
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Get the definition of a property
+ * @param {string} name - Property name (e.g. 'zeta'), case-insensitive
+ * @returns {Object|undefined} - Property definition
+ */
+function getProperty(name) {
+  return MEASURED_PROPERTIES.find(property => property.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Get the properties stored in the measurements/predictions JSON of experiments
+ * @returns {Array<Object>} - Property definitions
+ */
+function getAdditionalProperties() {
+  return MEASURED_PROPERTIES.filter(property => !property.actualColumn);
+}
+
+/**
+ * Parse and check a measured value entered by a user
+ * @param {Object} property - Property definition
+ * @param {string} text - Entered value (decimal comma allowed)
+ * @returns {Object} - { valid, value } or { valid, error }
+ */
+function parsePropertyValue(property, text) {
+  const value = Number(text.trim().replace(',', '.'));
+
+  const valid = text.trim() !== '' && !isNaN(value) &&
+    (property.min === undefined || (property.exclusiveMin ? value > property.min : value >= property.min)) &&
+    (property.max === undefined || value <= property.max);
+
+  if (!valid) {
+    return { valid: false, error: property.error || `Недопустимое значение: ${property.fullName}.` };
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Get the measured value of a property
+ * @param {Object} experiment - Experiment record
+ * @param {Object} property - Property definition
+ * @returns {number|null} - Measured value
+ */
+function getActualValue(experiment, property) {
+  if (property.actualColumn) {
+    return experiment[property.actualColumn];
+  }
+
+  const value = experiment.measurements ? experiment.measurements[property.name] : undefined;
+  return value === undefined ? null : value;
+}
+
+/**
+ * Set the measured value of a property (the experiment still has to be saved)
+ * @param {Object} experiment - Experiment record
+ * @param {Object} property - Property definition
+ * @param {number|null} value - Measured value, null removes it
+ */
+function setActualValue(experiment, property, value) {
+  if (property.actualColumn) {
+    experiment[property.actualColumn] = value;
+    return;
+  }
+
+  // A new object, so the JSON column is marked as changed
+  const measurements = { ...(experiment.measurements || {}) };
+  if (value === null) {
+    delete measurements[property.name];
+  } else {
+    measurements[property.name] = value;
+  }
+  experiment.measurements = measurements;
+}
+
+/**
+ * Get the stored prediction of a property
+ * @param {Object} experiment - Experiment record
+ * @param {Object} property - Property definition
+ * @returns {Object|null} - { value, uncertainty, modelId } or null if the property was not predicted
+ */
+function getPredictedValue(experiment, property) {
+  if (property.predictedColumn) {
+    const prefix = property.predictedColumn;
+
+    return {
+      value: experiment[prefix],
+      uncertainty: experiment[`${prefix}Uncertainty`],
+      modelId: experiment[`${property.name}ModelId`]
+    };
+  }
+
+  return (experiment.predictions && experiment.predictions[property.name]) || null;
+}
+
+/**
+ * Collect the predictions of the additional properties from a worker result,
+ * in the form stored in the predictions JSON of experiments
+ * @param {Object} prediction - Prediction result ({ <name>, <name>Uncertainty, <name>ModelId })
+ * @returns {Object} - { <name>: { value, uncertainty, modelId } } for the properties that were predicted
+ */
+function getAdditionalPredictions(prediction) {
+  const predictions = {};
+
+  for (const property of getAdditionalProperties()) {
+    if (prediction[property.name] === undefined || prediction[property.name] === null) continue;
+
+    predictions[property.name] = {
+      value: prediction[property.name],
+      uncertainty: prediction[`${property.name}Uncertainty`] ?? null,
+      modelId: prediction[`${property.name}ModelId`] ?? null
+    };
+  }
+
+  return predictions;
+}
+
+module.exports = {
+  MEASURED_PROPERTIES,
+  CORE_PROPERTIES,
+  getProperty,
+  getAdditionalProperties,
+  parsePropertyValue,
+  getActualValue,
+  setActualValue,
+  getPredictedValue,
+  getAdditionalPredictions
+};
@@ -0,0 +1,78 @@
+const XLSX = require('xlsx');
+
+const { PARAMETER_SCHEMA } = require('./parameterUtils');
+
+// Accepted column names for each parameter, in the positional order of validateParameters
+const columnAliases = Object.fromEntries(
+  PARAMETER_SCHEMA.map(param => [param.name, param.aliases || [param.name.toLowerCase(), param.code]])
+);
+
+/**
+ * Read parameter rows from a CSV/XLSX file
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Array<Object>} - Rows as { rowNumber, values } with values in validateParameters order
+ */
+function readParameterRows(filePath) {
+  const workbook = XLSX.readFile(filePath, { raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+    .map(cells => cells.map(cell => String(cell).trim().replace(',', '.')));
+
+  if (table.length === 0) {
+    return [];
+  }
+
+  // A header row is detected by a non-numeric first cell
+  const columnIndexes = isNaN(parseFloat(table[0][0])) ? getColumnIndexes(table[0]) : null;
+  const firstDataRow = columnIndexes ? 1 : 0;
+
+  const rows = [];
+
+  for (let i = firstDataRow; i < table.length; i++) {
+    const cells = table[i];
+
+    // Skip empty lines
+    if (cells.every(cell => cell === '')) continue;
+
+    let values;
+
+    if (columnIndexes) {
+      values = Object.values(columnIndexes).map(index => (index === -1 ? '' : cells[index] || ''));
+
+      // Optional parameters at the end are calculated or take their default when missing
+      while (values.length > 0 && values[values.length - 1] === '' &&
+        PARAMETER_SCHEMA[values.length - 1].optional) {
+        values.pop();
+      }
+    } else {
+      values = [...cells];
+      while (values.length > 0 && values[values.length - 1] === '') {
+        values.pop();
+      }
+    }
+
+    rows.push({ rowNumber: i + 1, values });
+  }
+
+  return rows;
+}
+
+/**
+ * Map parameters to column indexes using the header row
+ * @param {Array<string>} header - Header row cells
+ * @returns {Object} - Column index for each parameter (-1 if missing)
+ */
+function getColumnIndexes(header) {
+  const normalizedHeader = header.map(title => title.toLowerCase());
+  const columnIndexes = {};
+
+  for (const [parameter, aliases] of Object.entries(columnAliases)) {
+    columnIndexes[parameter] = normalizedHeader.findIndex(title => aliases.includes(title));
+  }
+
+  return columnIndexes;
+}
+
+module.exports = {
+  readParameterRows
+};